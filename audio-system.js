@@ -9,6 +9,8 @@ class AudioSystem {
     constructor() {
         this.audioContext = null;
         this.masterGain = null;
+        this.musicGain = null;
+        this.sfxGain = null;
         this.musicNodes = [];
         this.sfxNodes = [];
         this.analyser = null;
@@ -18,6 +20,16 @@ class AudioSystem {
         this.intensity = 0.5;
         this.enabled = false;
         
+        // Player settings (see setVolume, setMusicEnabled, setSfxEnabled)
+        this.volume = 0.3;
+        this.musicEnabled = true;
+        this.sfxEnabled = true;
+        
+        // Music is wanted from startMusic() to stopMusic(); a new loop id retires the old loop
+        this.musicRequested = false;
+        this.musicPlaying = false;
+        this.musicLoopId = 0;
+        
         // Musical scales for procedural generation
         this.scales = {
             minor: [0, 2, 3, 5, 7, 8, 10],
@@ -37,7 +49,7 @@ class AudioSystem {
         try {
             this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
             this.masterGain = this.audioContext.createGain();
-            this.masterGain.gain.value = 0.3;
+            this.masterGain.gain.value = this.volume;
             this.masterGain.connect(this.audioContext.destination);
             
             // Create analyser for visualizations
@@ -46,9 +58,22 @@ class AudioSystem {
             this.frequencyData = new Uint8Array(this.analyser.frequencyBinCount);
             this.analyser.connect(this.masterGain);
             
+            // Music and sound effects each have their own gain, so either can be muted
+            this.musicGain = this.audioContext.createGain();
+            this.musicGain.gain.value = this.musicEnabled ? 1 : 0;
+            this.musicGain.connect(this.analyser);
+            this.sfxGain = this.audioContext.createGain();
+            this.sfxGain.gain.value = this.sfxEnabled ? 1 : 0;
+            this.sfxGain.connect(this.analyser);
+            
             this.enabled = true;
             this.currentScale = this.scales.pentatonic;
             
+            // A match may have asked for music before the first click allowed any sound
+            if (this.musicRequested) {
+                this.startMusic();
+            }
+            
             return true;
         } catch (e) {
             console.warn('Audio initialization failed:', e);
@@ -57,9 +82,9 @@ class AudioSystem {
     }
     
     /**
-     * Play a synthesized note
+     * Play a synthesized note (a sound effect, unless output is the music gain)
      */
-    playNote(frequency, duration = 0.2, waveType = 'sine', volume = 0.3) {
+    playNote(frequency, duration = 0.2, waveType = 'sine', volume = 0.3, output = this.sfxGain) {
         if (!this.enabled || !this.audioContext) return;
         
         const oscillator = this.audioContext.createOscillator();
@@ -75,7 +100,7 @@ class AudioSystem {
         );
         
         oscillator.connect(gainNode);
-        gainNode.connect(this.analyser);
+        gainNode.connect(output);
         
         oscillator.start(this.audioContext.currentTime);
         oscillator.stop(this.audioContext.currentTime + duration);
@@ -201,7 +226,7 @@ class AudioSystem {
         );
         
         oscillator.connect(gainNode);
-        gainNode.connect(this.analyser);
+        gainNode.connect(this.sfxGain);
         
         oscillator.start(this.audioContext.currentTime);
         oscillator.stop(this.audioContext.currentTime + duration);
@@ -228,40 +253,50 @@ class AudioSystem {
     }
     
     /**
-     * Start background music loop
+     * Start background music loop (once sound is allowed, and if music is on)
      */
     startMusic() {
-        if (!this.enabled || !this.audioContext) return;
+        this.musicRequested = true;
+        if (!this.enabled || !this.audioContext || !this.musicEnabled || this.musicPlaying) return;
         
+        this.musicPlaying = true;
         this.currentScale = this.scales.pentatonic;
-        this.playMusicLoop();
+        this.playMusicLoop(++this.musicLoopId);
+    }
+    
+    /**
+     * Stop background music after the current beat
+     */
+    stopMusic() {
+        this.musicRequested = false;
+        this.musicPlaying = false;
     }
     
     /**
      * Play procedural music loop
      */
-    playMusicLoop() {
-        if (!this.enabled) return;
+    playMusicLoop(loopId) {
+        if (!this.enabled || !this.musicPlaying || loopId !== this.musicLoopId) return;
         
         const beatDuration = (60 / this.tempo) * 1000;
         
         // Bass line
         const bassNote = Math.floor(Math.random() * 3);
         const bassFreq = this.getNoteFrequency(bassNote, -1);
-        this.playNote(bassFreq, 0.5, 'triangle', 0.15);
+        this.playNote(bassFreq, 0.5, 'triangle', 0.15, this.musicGain);
         
         // Melody (based on intensity)
         if (Math.random() < this.intensity) {
             setTimeout(() => {
                 const melodyNote = Math.floor(Math.random() * this.currentScale.length);
                 const melodyFreq = this.getNoteFrequency(melodyNote, 1);
-                this.playNote(melodyFreq, 0.3, 'sine', 0.1);
+                this.playNote(melodyFreq, 0.3, 'sine', 0.1, this.musicGain);
             }, beatDuration / 2);
         }
         
         // Schedule next beat
         setTimeout(() => {
-            this.playMusicLoop();
+            this.playMusicLoop(loopId);
         }, beatDuration);
     }
     
@@ -333,7 +368,7 @@ class AudioSystem {
         gainNode.gain.value = 0.3;
         
         source.connect(gainNode);
-        gainNode.connect(this.analyser);
+        gainNode.connect(this.sfxGain);
         
         source.start();
     }
@@ -365,8 +400,34 @@ class AudioSystem {
      * Set master volume
      */
     setVolume(volume) {
+        this.volume = Math.max(0, Math.min(1, volume));
         if (this.masterGain) {
-            this.masterGain.gain.value = Math.max(0, Math.min(1, volume));
+            this.masterGain.gain.value = this.volume;
+        }
+    }
+    
+    /**
+     * Music on/off; turned back on mid-match, it picks up again
+     */
+    setMusicEnabled(enabled) {
+        this.musicEnabled = enabled;
+        if (this.musicGain) {
+            this.musicGain.gain.value = enabled ? 1 : 0;
+        }
+        if (!enabled) {
+            this.musicPlaying = false;
+        } else if (this.musicRequested) {
+            this.startMusic();
+        }
+    }
+    
+    /**
+     * Sound effects on/off
+     */
+    setSfxEnabled(enabled) {
+        this.sfxEnabled = enabled;
+        if (this.sfxGain) {
+            this.sfxGain.gain.value = enabled ? 1 : 0;
         }
     }
     
@@ -377,6 +438,9 @@ class AudioSystem {
         this.enabled = !this.enabled;
         if (!this.enabled) {
             this.stopAll();
+            this.musicPlaying = false;
+        } else if (this.musicRequested) {
+            this.startMusic();
         }
         return this.enabled;
     }
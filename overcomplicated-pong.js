@@ -25,11 +25,26 @@
 // GLOBAL CONSTANTS AND CONFIGURATION
 // ================================================================================================
 
+// Loaded in Node (headless simulation, tests, bots): sibling engines are not globals there
+if (typeof module !== 'undefined' && module.exports && typeof QuantumPhysicsEngine === 'undefined') {
+    global.QuantumPhysicsEngine = require('./quantum-physics.js').QuantumPhysicsEngine;
+}
+
+// Bump whenever a change makes the same inputs play out differently (old replays are refused)
+const GAME_VERSION = '1.2.0';
+
 const GAME_CONFIG = {
-    canvas: {
+    // The field, in world units: everything is simulated and drawn in these, whatever
+    // size the canvas is shown at (see Viewport)
+    world: {
         width: 1200,
-        height: 800,
-        backgroundColor: '#000000'
+        height: 800
+    },
+    
+    canvas: {
+        backgroundColor: '#000000',
+        maxPixelRatio: 2,         // sharper than this isn't worth the fill rate
+        margin: 20                // px kept free around the canvas when fitting it to the window
     },
     
     physics: {
@@ -41,6 +56,7 @@ const GAME_CONFIG = {
         minVelocity: 0.1,
         collisionDamping: 0.95,
         rotationalDamping: 0.99,
+        maxContactsPerStep: 4,
         magneticForce: 0.1,
         electricalForce: 0.05
     },
@@ -70,13 +86,15 @@ const GAME_CONFIG = {
     
     ai: {
         difficulty: 0.7,
-        reactionTime: 100,
+        reactionTime: 100,        // ms the Quantum AI keeps to a target before aiming again
         predictionDepth: 10,
         learningRate: 0.01,
         neuralNetworkLayers: [20, 40, 40, 20, 3],
         memorySize: 1000,
         batchSize: 32,
-        updateFrequency: 60
+        updateFrequency: 60,
+        abilityInterval: 500,     // ms between a computer player's decisions about its abilities
+        abilityReserve: 40        // quantum energy a hard one keeps back for rescues (less when easier)
     },
     
     quantum: {
@@ -86,7 +104,14 @@ const GAME_CONFIG = {
         waveCollapseTime: 100,
         uncertaintyFactor: 5,
         riftStability: 0.9,
-        dimensionalFrequency: 0.01
+        dimensionalFrequency: 0.01,
+        superpositionCost: 20,    // quantum energy per ability
+        timeSlowCost: 25,
+        riftBaseCost: 10,         // quantum energy for a rift, plus riftCostPerUnit for every
+        riftCostPerUnit: 0.025,   // unit between its ends (straight across the field: 30)
+        riftCooldown: 3000,       // ms before the same player can open another
+        twoWayRifts: true,        // the ball can go back through a rift's exit too
+        riftMinAcross: 0.5        // share of its speed a ball turned by a rift keeps going across
     },
     
     powerups: {
@@ -112,6 +137,45 @@ const GAME_CONFIG = {
         quantumBonus: 2,
         comboMultiplier: 1.5,
         perfectHitBonus: 1
+    },
+    
+    timing: {
+        frameDuration: 1000 / 60, // ms per deltaTime unit
+        tickRate: 60,             // simulation steps per second, independent of display refresh
+        maxStepsPerFrame: 5       // catch-up limit before dropping time after a stall
+    },
+    
+    network: {
+        relayPort: 8080,          // default port of relay-server.js
+        snapshotInterval: 2,      // host sends the match state every N ticks
+        inputBuffer: 4,           // guest inputs queued at the host before it catches up in one tick
+        maxPendingInputs: 120,    // unacknowledged inputs a guest keeps for replaying
+        inputDelay: 2,            // rollback: ticks between pressing a key and it taking effect
+        maxRollback: 20,          // rollback: ticks to run ahead of the other player before waiting
+        checksumHistory: 600,     // rollback: ticks of state checksums kept for desync checks
+        spectatorInterval: 6,     // player 1 streams the match state to spectators every N ticks
+        spectatorDelay: 3000,     // ms spectators watch behind the live match
+        reconnectDelay: 1000,     // ms before reconnecting, times the attempt number
+        maxReconnectAttempts: 10
+    },
+    
+    replay: {
+        keyframeInterval: 300,    // ticks between full-state keyframes, for seeking
+        maxTicks: 60 * 60 * 30,   // recording stops after 30 minutes
+        speeds: [0.25, 0.5, 1, 2, 4],
+        instantSeconds: 3,        // instant replay: seconds of play kept from before each goal
+        instantSpeed: 0.35,       // instant replay: slow motion factor
+        instantZoom: 1.8,         // instant replay: how far the camera closes in on the ball
+        ghostMaxTicks: 60 * 60    // rally ghosts stop recording after a minute
+    },
+    
+    input: {
+        analogSteps: 16,          // analog movement is rounded to 1/16ths of full speed (sent and recorded as is)
+        stickDeadzone: 0.2,       // gamepad stick travel ignored around the centre
+        tapTime: 300,             // ms a two-finger tap (pause) may take
+        tapSlop: 20,              // how far its fingers may move
+        riftAimSpeed: 12,         // units per tick an end of a rift moves while it's aimed
+        riftAimTurn: 45           // degrees an end turns at a time
     }
 };
 
@@ -201,8 +265,8 @@ class Vector2D {
         );
     }
     
-    static random(magnitude = 1) {
-        const angle = Math.random() * Math.PI * 2;
+    static random(magnitude = 1, rng = Random) {
+        const angle = rng.range(0, Math.PI * 2);
         return Vector2D.fromAngle(angle, magnitude);
     }
     
@@ -215,26 +279,83 @@ class Vector2D {
 }
 
 /**
- * Random number utilities
+ * Seedable random number generator (mulberry32)
+ * Same seed, same sequence - on every browser and in Node
  */
-const Random = {
-    range: (min, max) => Math.random() * (max - min) + min,
+class SeededRandom {
+    constructor(seed = SeededRandom.randomSeed()) {
+        this.setSeed(seed);
+    }
     
-    int: (min, max) => Math.floor(Math.random() * (max - min + 1)) + min,
+    /**
+     * Reset the sequence; strings are hashed so seeds can be shared as words
+     */
+    setSeed(seed) {
+        this.seed = SeededRandom.normalizeSeed(seed);
+        this.state = this.seed;
+    }
+    
+    /**
+     * Next float in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    
+    range(min, max) {
+        return this.next() * (max - min) + min;
+    }
+    
+    int(min, max) {
+        return Math.floor(this.next() * (max - min + 1)) + min;
+    }
     
-    choice: (array) => array[Math.floor(Math.random() * array.length)],
+    choice(array) {
+        return array[Math.floor(this.next() * array.length)];
+    }
     
-    gaussian: (mean = 0, stdDev = 1) => {
-        const u1 = Math.random();
-        const u2 = Math.random();
+    gaussian(mean = 0, stdDev = 1) {
+        const u1 = this.next() || Number.MIN_VALUE;
+        const u2 = this.next();
         const z0 = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
         return z0 * stdDev + mean;
-    },
+    }
     
-    bool: (probability = 0.5) => Math.random() < probability,
+    bool(probability = 0.5) {
+        return this.next() < probability;
+    }
     
-    color: () => `hsl(${Math.random() * 360}, 70%, 60%)`
-};
+    color() {
+        return `hsl(${this.next() * 360}, 70%, 60%)`;
+    }
+    
+    static randomSeed() {
+        return Math.floor(Math.random() * 4294967296) >>> 0;
+    }
+    
+    static normalizeSeed(seed) {
+        if (typeof seed === 'string') {
+            // FNV-1a
+            let hash = 0x811C9DC5;
+            for (let i = 0; i < seed.length; i++) {
+                hash ^= seed.charCodeAt(i);
+                hash = Math.imul(hash, 0x01000193);
+            }
+            return hash >>> 0;
+        }
+        return Math.floor(Number(seed) || 0) >>> 0;
+    }
+}
+
+/**
+ * Random number utilities for cosmetic effects (particles, backgrounds, music).
+ * Anything that decides the outcome of a match draws from GameSimulation.rng instead.
+ */
+const Random = new SeededRandom();
 
 /**
  * Color utilities
@@ -358,6 +479,7 @@ const MathUtil = {
 class PhysicsBody {
     constructor(x, y, mass = 1) {
         this.position = new Vector2D(x, y);
+        this.previousPosition = this.position.clone();
         this.velocity = new Vector2D(0, 0);
         this.acceleration = new Vector2D(0, 0);
         this.force = new Vector2D(0, 0);
@@ -422,12 +544,12 @@ class PhysicsBody {
         
         // Apply air resistance
         if (this.affectedByDrag) {
-            const dragForce = this.velocity.multiply(-GAME_CONFIG.physics.airResistance);
+            const dragForce = this.velocity.multiply(-GAME_CONFIG.physics.airResistance * deltaTime);
             this.velocity = this.velocity.add(dragForce);
         }
         
-        // Apply friction
-        this.velocity = this.velocity.multiply(this.friction);
+        // Apply friction (per 60Hz frame, so any tick rate damps the same per second)
+        this.velocity = this.velocity.multiply(Math.pow(this.friction, deltaTime));
         
         // Limit velocity
         this.velocity = this.velocity.limit(GAME_CONFIG.physics.maxVelocity);
@@ -446,6 +568,20 @@ class PhysicsBody {
         this.torque = 0;
     }
     
+    /**
+     * Start render interpolation from the current position (each tick, and after teleports)
+     */
+    resetInterpolation() {
+        this.previousPosition = this.position.clone();
+    }
+    
+    /**
+     * Position between the previous and current tick, alpha in [0, 1]
+     */
+    getInterpolatedPosition(alpha = 1) {
+        return Vector2D.lerp(this.previousPosition, this.position, alpha);
+    }
+    
     /**
      * Set velocity directly
      */
@@ -552,6 +688,212 @@ class CollisionSystem {
         };
     }
     
+    /**
+     * Swept circle vs axis-aligned rectangle for a circle moving from start to end.
+     * Returns the earliest contact { time (0-1 along the path), normal, point, penetration } or null;
+     * a circle already overlapping at start reports time 0 with the penetration depth.
+     */
+    sweepCircleRect(start, end, radius, rect) {
+        const right = rect.x + rect.width;
+        const bottom = rect.y + rect.height;
+        
+        // Already overlapping at the start of the path
+        const closest = new Vector2D(
+            MathUtil.clamp(start.x, rect.x, right),
+            MathUtil.clamp(start.y, rect.y, bottom)
+        );
+        const offset = start.subtract(closest);
+        const distance = offset.magnitude();
+        if (distance < radius) {
+            if (distance > 0) {
+                return { time: 0, normal: offset.divide(distance), point: closest, penetration: radius - distance };
+            }
+            
+            // Centre inside the rectangle: push out through the nearest side
+            const exits = [
+                { depth: start.x - rect.x, normal: new Vector2D(-1, 0) },
+                { depth: right - start.x, normal: new Vector2D(1, 0) },
+                { depth: start.y - rect.y, normal: new Vector2D(0, -1) },
+                { depth: bottom - start.y, normal: new Vector2D(0, 1) }
+            ];
+            const nearest = exits.reduce((a, b) => (b.depth < a.depth ? b : a));
+            return { time: 0, normal: nearest.normal, point: closest, penetration: radius + nearest.depth };
+        }
+        
+        const delta = end.subtract(start);
+        
+        // Ray against the rectangle grown by the radius (slab test)
+        let tEnter = -Infinity;
+        let tExit = Infinity;
+        let normal = null;
+        const slabs = [
+            { origin: start.x, dir: delta.x, min: rect.x - radius, max: right + radius, axis: new Vector2D(1, 0) },
+            { origin: start.y, dir: delta.y, min: rect.y - radius, max: bottom + radius, axis: new Vector2D(0, 1) }
+        ];
+        for (const slab of slabs) {
+            if (Math.abs(slab.dir) < 1e-9) {
+                if (slab.origin < slab.min || slab.origin > slab.max) return null;
+                continue;
+            }
+            
+            let t1 = (slab.min - slab.origin) / slab.dir;
+            let t2 = (slab.max - slab.origin) / slab.dir;
+            if (t1 > t2) [t1, t2] = [t2, t1];
+            
+            if (t1 > tEnter) {
+                tEnter = t1;
+                normal = slab.axis.multiply(slab.dir > 0 ? -1 : 1);
+            }
+            tExit = Math.min(tExit, t2);
+        }
+        if (normal === null || tEnter > tExit || tEnter > 1 || tExit < 0) return null;
+        
+        // Entering beside a corner: the grown shape is rounded there, so test the corner circle
+        const entry = start.add(delta.multiply(Math.max(tEnter, 0)));
+        const cornerX = entry.x < rect.x ? rect.x : (entry.x > right ? right : null);
+        const cornerY = entry.y < rect.y ? rect.y : (entry.y > bottom ? bottom : null);
+        if (cornerX !== null && cornerY !== null) {
+            const corner = new Vector2D(cornerX, cornerY);
+            const time = this.sweepPointCircle(start, delta, corner, radius);
+            if (time === null) return null;
+            
+            const centre = start.add(delta.multiply(time));
+            return { time, normal: centre.subtract(corner).normalize(), point: corner, penetration: 0 };
+        }
+        if (tEnter < 0) return null;
+        
+        return {
+            time: tEnter,
+            normal,
+            point: new Vector2D(
+                MathUtil.clamp(entry.x, rect.x, right),
+                MathUtil.clamp(entry.y, rect.y, bottom)
+            ),
+            penetration: 0
+        };
+    }
+    
+    /**
+     * Swept circle vs rotated rectangle ({ x, y } centre, width, height, rotation),
+     * done as an axis-aligned sweep in the rectangle's local space
+     */
+    sweepCircleOrientedRect(start, end, radius, box) {
+        const centre = new Vector2D(box.x, box.y);
+        const toLocal = point => point.subtract(centre).rotate(-box.rotation);
+        
+        const contact = this.sweepCircleRect(toLocal(start), toLocal(end), radius, {
+            x: -box.width / 2,
+            y: -box.height / 2,
+            width: box.width,
+            height: box.height
+        });
+        if (!contact) return null;
+        
+        return {
+            ...contact,
+            normal: contact.normal.rotate(box.rotation),
+            point: contact.point.rotate(box.rotation).add(centre)
+        };
+    }
+    
+    /**
+     * Earliest time in [0, 1] at which a point moving by delta from start comes within radius of centre
+     */
+    sweepPointCircle(start, delta, centre, radius) {
+        const f = start.subtract(centre);
+        const a = delta.dot(delta);
+        const b = 2 * f.dot(delta);
+        const c = f.dot(f) - radius * radius;
+        
+        if (a === 0) return null;
+        const discriminant = b * b - 4 * a * c;
+        if (discriminant < 0) return null;
+        
+        const time = (-b - Math.sqrt(discriminant)) / (2 * a);
+        return time >= 0 && time <= 1 ? time : null;
+    }
+    
+    /**
+     * Distance along a unit direction until a circle at origin fully clears the rectangle
+     */
+    rayExitRect(origin, direction, radius, rect) {
+        let tExit = Infinity;
+        [
+            { origin: origin.x, dir: direction.x, min: rect.x - radius, max: rect.x + rect.width + radius },
+            { origin: origin.y, dir: direction.y, min: rect.y - radius, max: rect.y + rect.height + radius }
+        ].forEach(slab => {
+            if (Math.abs(slab.dir) < 1e-9) return;
+            tExit = Math.min(tExit, Math.max(
+                (slab.min - slab.origin) / slab.dir,
+                (slab.max - slab.origin) / slab.dir
+            ));
+        });
+        return Number.isFinite(tExit) ? Math.max(0, tExit) : 0;
+    }
+    
+    /**
+     * rayExitRect for a rotated rectangle
+     */
+    rayExitOrientedRect(origin, direction, radius, box) {
+        const local = origin.subtract(new Vector2D(box.x, box.y)).rotate(-box.rotation);
+        return this.rayExitRect(local, direction.rotate(-box.rotation), radius, {
+            x: -box.width / 2,
+            y: -box.height / 2,
+            width: box.width,
+            height: box.height
+        });
+    }
+    
+    /**
+     * Velocity of a point on a body moving at linearVelocity and spinning at angularVelocity (rad per frame)
+     */
+    pointVelocity(point, centre, linearVelocity, angularVelocity) {
+        const r = point.subtract(centre);
+        return new Vector2D(
+            linearVelocity.x - angularVelocity * r.y,
+            linearVelocity.y + angularVelocity * r.x
+        );
+    }
+    
+    /**
+     * Bounce a ball off a contact from one of the sweeps above; the surface may be moving.
+     * friction (0-1) drags the ball towards the surface's tangential speed and turns it into spin.
+     */
+    resolveContact(ball, contact, centre, surfaceVelocity = new Vector2D(0, 0), friction = 0) {
+        const normal = contact.normal;
+        
+        // Relative velocity
+        const relVel = ball.velocity.subtract(surfaceVelocity);
+        const velAlongNormal = relVel.dot(normal);
+        
+        // Don't resolve if moving apart
+        if (velAlongNormal > 0) return null;
+        
+        // Calculate and apply impulse
+        const j = -(1 + ball.restitution) * velAlongNormal;
+        const impulse = normal.multiply(j);
+        ball.velocity = ball.velocity.add(impulse);
+        
+        // Add spin based on impact point
+        const offsetY = ball.position.y - centre.y;
+        ball.angularVelocity += offsetY * 0.01;
+        
+        // Surface sliding past the ball (e.g. a spinning obstacle) carries it along and spins it
+        if (friction > 0) {
+            const tangent = new Vector2D(-normal.y, normal.x);
+            const slip = surfaceVelocity.subtract(ball.velocity).dot(tangent) * friction;
+            ball.velocity = ball.velocity.add(tangent.multiply(slip));
+            ball.angularVelocity += slip / ball.radius;
+        }
+        
+        return {
+            normal,
+            impulse,
+            point: contact.point,
+            velocity: relVel
+        };
+    }
+    
     /**
      * Resolve circle-circle collision
      */
@@ -587,7 +929,7 @@ class ForceField {
         this.strength = strength;
         this.type = type; // 'attractive', 'repulsive', 'vortex', 'directional'
         this.active = true;
-        this.lifetime = -1; // Infinite
+        this.lifetime = -1; // Infinite, otherwise ms of game time
         this.age = 0;
     }
     
@@ -637,7 +979,7 @@ class ForceField {
      */
     update(deltaTime) {
         if (this.lifetime > 0) {
-            this.age += deltaTime;
+            this.age += deltaTime * GAME_CONFIG.timing.frameDuration;
             if (this.age >= this.lifetime) {
                 this.active = false;
             }
@@ -700,12 +1042,22 @@ class ParticleSystem {
     constructor() {
         this.particles = [];
         this.maxParticles = GAME_CONFIG.particles.maxParticles;
+        this.enabled = true;
+    }
+    
+    /**
+     * Particles on/off; turning them off clears the ones in flight
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (!enabled) this.clear();
     }
     
     /**
      * Create explosion effect
      */
     createExplosion(x, y, count = 50, color = '#ff6600') {
+        if (!this.enabled) return;
         for (let i = 0; i < count; i++) {
             const angle = (Math.PI * 2 * i) / count + Random.range(-0.3, 0.3);
             const speed = Random.range(2, 8);
@@ -724,7 +1076,7 @@ class ParticleSystem {
      * Create trail effect
      */
     createTrail(x, y, vx, vy, color = '#ffffff') {
-        if (this.particles.length < this.maxParticles) {
+        if (this.enabled && this.particles.length < this.maxParticles) {
             this.particles.push(new Particle(
                 x + Random.range(-2, 2),
                 y + Random.range(-2, 2),
@@ -741,6 +1093,8 @@ class ParticleSystem {
      * Create quantum particle effect
      */
     createQuantumEffect(x, y, type = 'superposition') {
+        if (!this.enabled) return;
+        
         const colors = {
             superposition: ['#ff00ff', '#00ffff', '#ffff00'],
             entanglement: ['#ff0080', '#8000ff'],
@@ -771,6 +1125,8 @@ class ParticleSystem {
      * Create portal/rift effect
      */
     createPortalEffect(x, y, radius = 30) {
+        if (!this.enabled) return;
+        
         const count = 30;
         for (let i = 0; i < count; i++) {
             const angle = (Math.PI * 2 * i) / count;
@@ -848,6 +1204,9 @@ class NeuralNetworkAI {
         this.epsilonMin = 0.05;
         this.gamma = 0.95; // Discount factor for future rewards
         
+        // Its own choices draw from here: the game seeds it from each match (see beginMatch)
+        this.rng = new SeededRandom();
+        
         this.initializeModel();
     }
     
@@ -915,20 +1274,20 @@ class NeuralNetworkAI {
     getStateRepresentation(paddle, ball, gameState) {
         const state = [
             // Paddle state
-            paddle.position.y / GAME_CONFIG.canvas.height,
+            paddle.position.y / GAME_CONFIG.world.height,
             paddle.velocity.y / 10,
-            paddle.position.x / GAME_CONFIG.canvas.width,
+            paddle.position.x / GAME_CONFIG.world.width,
             
             // Ball state
-            ball.position.x / GAME_CONFIG.canvas.width,
-            ball.position.y / GAME_CONFIG.canvas.height,
+            ball.position.x / GAME_CONFIG.world.width,
+            ball.position.y / GAME_CONFIG.world.height,
             ball.velocity.x / 20,
             ball.velocity.y / 20,
             ball.angularVelocity / Math.PI,
             
             // Relative positions
-            (ball.position.x - paddle.position.x) / GAME_CONFIG.canvas.width,
-            (ball.position.y - paddle.position.y) / GAME_CONFIG.canvas.height,
+            (ball.position.x - paddle.position.x) / GAME_CONFIG.world.width,
+            (ball.position.y - paddle.position.y) / GAME_CONFIG.world.height,
             
             // Distance and angle
             Math.min(1, paddle.position.distanceTo(ball.position) / 1000),
@@ -938,8 +1297,8 @@ class NeuralNetworkAI {
             ) / Math.PI,
             
             // Predicted future position (simple extrapolation)
-            MathUtil.clamp((ball.position.x + ball.velocity.x * 30) / GAME_CONFIG.canvas.width, 0, 1),
-            MathUtil.clamp((ball.position.y + ball.velocity.y * 30) / GAME_CONFIG.canvas.height, 0, 1),
+            MathUtil.clamp((ball.position.x + ball.velocity.x * 30) / GAME_CONFIG.world.width, 0, 1),
+            MathUtil.clamp((ball.position.y + ball.velocity.y * 30) / GAME_CONFIG.world.height, 0, 1),
             
             // Game state features
             gameState.score1 / 10,
@@ -957,6 +1316,11 @@ class NeuralNetworkAI {
      * Predict action using neural network
      */
     async predict(paddle, ball, gameState) {
+        // Set below the default difficulty, it sometimes doesn't react at all
+        if (this.rng.next() < GAME_CONFIG.ai.difficulty - this.difficulty) {
+            return 0;
+        }
+        
         if (this.useFallback || !this.model) {
             return this.fallbackAI(paddle, ball);
         }
@@ -965,11 +1329,12 @@ class NeuralNetworkAI {
             const state = this.getStateRepresentation(paddle, ball, gameState);
             const stateTensor = tf.tensor2d([state]);
             
-            // Epsilon-greedy exploration
+            // Epsilon-greedy exploration (less of it above the default difficulty)
+            const exploration = Math.min(1, (1 - this.difficulty) / (1 - GAME_CONFIG.ai.difficulty));
             let action;
-            if (Math.random() < this.epsilon) {
+            if (this.rng.next() < this.epsilon * exploration) {
                 // Random action (exploration)
-                action = Random.int(0, 2);
+                action = this.rng.int(0, 2);
             } else {
                 // Neural network prediction (exploitation)
                 const prediction = this.model.predict(stateTensor);
@@ -1181,6 +1546,102 @@ class NeuralNetworkAI {
     }
 }
 
+/**
+ * When a computer player spends its own quantum energy: superposition to hide a ball it has
+ * just sent back, a rift to rescue one it can't reach, and time slow against a fast one.
+ * Difficulty (0.4 easy to 1 hard) sets how often it reacts and how much energy it keeps back
+ * for rescues. Both AI opponents use it, so their abilities cost what a human's do.
+ */
+class QuantumAbilityAI {
+    constructor(player = 2, difficulty = GAME_CONFIG.ai.difficulty, rng = new SeededRandom()) {
+        this.player = player;
+        this.difficulty = difficulty;
+        this.rng = rng;
+        this.sinceDecision = 0;
+    }
+    
+    /**
+     * Start a match, drawing its choices from rng (seeded from the match, so a match replays)
+     */
+    reset(rng) {
+        this.rng = rng;
+        this.sinceDecision = 0;
+    }
+    
+    /**
+     * Where a ball will cross x, bouncing off the top and bottom walls on the way
+     */
+    static predictY(ball, x) {
+        const height = GAME_CONFIG.world.height;
+        const ticks = Math.abs(x - ball.position.x) / Math.max(Math.abs(ball.velocity.x), 0.1);
+        const y = MathUtil.wrap(ball.position.y + ball.velocity.y * ticks, 0, height * 2);
+        return y > height ? height * 2 - y : y;
+    }
+    
+    /**
+     * Abilities to use now, as { type, params } (at most one, and only every abilityInterval ms)
+     */
+    decide(simulation, deltaTime) {
+        this.sinceDecision += deltaTime * GAME_CONFIG.timing.frameDuration;
+        if (this.sinceDecision < GAME_CONFIG.ai.abilityInterval) return [];
+        this.sinceDecision = 0;
+        
+        // The easier it is, the more often it doesn't think of it
+        if (simulation.gameState.state !== 'playing' || this.rng.next() > this.difficulty) return [];
+        
+        const paddle = simulation.getPaddle(this.player);
+        const ball = simulation.balls.find(candidate => candidate.isActive);
+        if (!paddle || !ball) return [];
+        
+        const { quantum } = GAME_CONFIG;
+        const { width } = GAME_CONFIG.world;
+        const toward = Math.sign(paddle.position.x - width / 2);
+        const incoming = ball.velocity.x * toward > 0;
+        const onOwnHalf = (ball.position.x - width / 2) * toward > 0;
+        const reserve = GAME_CONFIG.ai.abilityReserve * this.difficulty;
+        
+        if (incoming) {
+            const ticks = Math.abs(paddle.position.x - ball.position.x) / Math.max(Math.abs(ball.velocity.x), 0.1);
+            const gap = Math.abs(QuantumAbilityAI.predictY(ball, paddle.position.x) - paddle.position.y) - paddle.height / 2;
+            if (gap <= GAME_CONFIG.paddle.maxSpeed * ticks * 0.8) return [];
+            
+            // Out of reach: catch it in a rift just ahead of it, sending it to the far side
+            // from the opponent's paddle
+            if (onOwnHalf && paddle.riftCooldown <= 0) {
+                const opponent = simulation.getPaddle(this.player === 1 ? 2 : 1);
+                const { height } = GAME_CONFIG.world;
+                const params = {
+                    aim: {
+                        x: Math.round(ball.position.x + ball.velocity.x * 10),
+                        y: Math.round(ball.position.y + ball.velocity.y * 10)
+                    },
+                    exit: {
+                        x: Math.round(width / 2 - toward * width / 3),
+                        y: Math.round(opponent.position.y < height / 2 ? height * 7 / 8 : height / 8)
+                    }
+                };
+                if (paddle.quantumEnergy >= simulation.planRift(this.player, params).cost) {
+                    return [{ type: 'rift', params }];
+                }
+            }
+            
+            // Or slow it down to get there in time
+            if (simulation.gameState.timeScale === 1 && paddle.quantumEnergy >= quantum.timeSlowCost) {
+                return [{ type: 'timeSlow', params: {} }];
+            }
+            return [];
+        }
+        
+        // Just sent back: hide it in superposition as it crosses the middle, if that leaves
+        // enough energy for a rescue
+        if (!ball.inSuperposition && Math.abs(ball.position.x - width / 2) < width / 6 &&
+            paddle.quantumEnergy - quantum.superpositionCost >= reserve) {
+            return [{ type: 'superposition', params: {} }];
+        }
+        return [];
+    }
+}
+
 
 // ================================================================================================
 // GAME ENTITIES - PADDLE, BALL, POWERUPS, OBSTACLES
@@ -1199,10 +1660,13 @@ class Paddle extends PhysicsBody {
         this.speed = GAME_CONFIG.paddle.speed;
         this.color = GAME_CONFIG.paddle.color;
         
-        this.input = 0; // -1: up, 0: none, 1: down
+        this.input = 0; // -1: full speed up, 0: none, 1: full speed down
+        this.target = null; // a height to steer to instead of input (touch, AI), or null
         this.score = 0;
         this.boostActive = false;
+        this.boostTimer = 0;
         this.boostCooldown = 0;
+        this.riftCooldown = 0;
         this.shield = false;
         this.shieldEnergy = 100;
         
@@ -1225,13 +1689,15 @@ class Paddle extends PhysicsBody {
      * Update paddle physics and state
      */
     update(deltaTime) {
-        // Apply input movement
-        if (this.input !== 0) {
+        // Apply input movement: steer to a target, or move at a speed
+        if (this.target !== null) {
+            this.steerToTarget(deltaTime);
+        } else if (this.input !== 0) {
             const moveSpeed = this.boostActive ? this.speed * GAME_CONFIG.paddle.boostMultiplier : this.speed;
             this.velocity.y = this.input * moveSpeed;
             this.stats.totalDistance += Math.abs(this.velocity.y * deltaTime);
         } else {
-            this.velocity.y *= 0.85; // Deceleration
+            this.velocity.y *= Math.pow(0.85, deltaTime); // Deceleration
         }
         
         // Update physics
@@ -1242,8 +1708,8 @@ class Paddle extends PhysicsBody {
             this.position.y = this.height / 2;
             this.velocity.y = 0;
         }
-        if (this.position.y > GAME_CONFIG.canvas.height - this.height / 2) {
-            this.position.y = GAME_CONFIG.canvas.height - this.height / 2;
+        if (this.position.y > GAME_CONFIG.world.height - this.height / 2) {
+            this.position.y = GAME_CONFIG.world.height - this.height / 2;
             this.velocity.y = 0;
         }
         
@@ -1253,9 +1719,19 @@ class Paddle extends PhysicsBody {
             this.trail.shift();
         }
         
-        // Update cooldowns
+        // Update cooldowns (milliseconds of game time)
+        const elapsed = deltaTime * GAME_CONFIG.timing.frameDuration;
         if (this.boostCooldown > 0) {
-            this.boostCooldown -= deltaTime;
+            this.boostCooldown -= elapsed;
+        }
+        if (this.riftCooldown > 0) {
+            this.riftCooldown -= elapsed;
+        }
+        if (this.boostActive) {
+            this.boostTimer -= elapsed;
+            if (this.boostTimer <= 0) {
+                this.boostActive = false;
+            }
         }
         
         // Regenerate quantum energy
@@ -1273,15 +1749,45 @@ class Paddle extends PhysicsBody {
         });
     }
     
+    /**
+     * Accelerate towards the target (GAME_CONFIG.paddle.acceleration, up to maxSpeed),
+     * braking in time to stop on it
+     */
+    steerToTarget(deltaTime) {
+        const { acceleration, maxSpeed, boostMultiplier } = GAME_CONFIG.paddle;
+        const distance = this.target - this.position.y;
+        
+        // Close and slow enough to settle
+        if (Math.abs(distance) < 1 && Math.abs(this.velocity.y) < acceleration) {
+            this.position.y = this.target;
+            this.velocity.y = 0;
+            return;
+        }
+        
+        const topSpeed = this.boostActive ? maxSpeed * boostMultiplier : maxSpeed;
+        const wanted = Math.sign(distance) * Math.min(topSpeed, Math.sqrt(2 * acceleration * Math.abs(distance)));
+        const change = acceleration * deltaTime;
+        this.velocity.y += MathUtil.clamp(wanted - this.velocity.y, -change, change);
+        this.stats.totalDistance += Math.abs(this.velocity.y * deltaTime);
+    }
+    
+    /**
+     * The movement input as the simulation records it (see GameSimulation.setPaddleInput)
+     */
+    getMove() {
+        return this.target !== null ? { target: this.target } : this.input;
+    }
+    
     /**
      * Draw paddle with effects
      */
-    draw(ctx) {
+    draw(ctx, alpha = 1) {
+        const position = this.getInterpolatedPosition(alpha);
+        
         // Draw trail
         ctx.globalAlpha = 0.3;
         for (let i = 0; i < this.trail.length - 1; i++) {
-            const alpha = (i + 1) / this.trail.length;
-            ctx.globalAlpha = alpha * 0.3;
+            ctx.globalAlpha = (i + 1) / this.trail.length * 0.3;
             ctx.strokeStyle = this.color;
             ctx.lineWidth = this.width * 0.8;
             ctx.beginPath();
@@ -1297,7 +1803,7 @@ class Paddle extends PhysicsBody {
             ctx.strokeStyle = `rgba(0, 255, 255, ${this.shieldEnergy / 100})`;
             ctx.lineWidth = 3;
             ctx.beginPath();
-            ctx.arc(this.position.x, this.position.y, this.height * 0.7, 0, Math.PI * 2);
+            ctx.arc(position.x, position.y, this.height * 0.7, 0, Math.PI * 2);
             ctx.stroke();
             ctx.restore();
         }
@@ -1310,8 +1816,8 @@ class Paddle extends PhysicsBody {
         }
         
         ctx.fillRect(
-            this.position.x - this.width / 2,
-            this.position.y - this.height / 2,
+            position.x - this.width / 2,
+            position.y - this.height / 2,
             this.width,
             this.height
         );
@@ -1323,8 +1829,8 @@ class Paddle extends PhysicsBody {
             ctx.fillStyle = '#ff00ff';
             ctx.globalAlpha = 0.5;
             ctx.fillRect(
-                this.position.x - this.width / 2 - 5,
-                this.position.y - this.height / 2,
+                position.x - this.width / 2 - 5,
+                position.y - this.height / 2,
                 3,
                 this.height
             );
@@ -1336,8 +1842,8 @@ class Paddle extends PhysicsBody {
             ctx.globalAlpha = effect.lifetime / effect.maxLifetime;
             ctx.fillStyle = effect.color;
             ctx.fillRect(
-                this.position.x - this.width / 2,
-                this.position.y - this.height / 2,
+                position.x - this.width / 2,
+                position.y - this.height / 2,
                 this.width,
                 this.height
             );
@@ -1351,10 +1857,8 @@ class Paddle extends PhysicsBody {
     activateBoost() {
         if (this.boostCooldown <= 0) {
             this.boostActive = true;
+            this.boostTimer = 500;
             this.boostCooldown = 2000; // 2 second cooldown
-            setTimeout(() => {
-                this.boostActive = false;
-            }, 500);
         }
     }
     
@@ -1481,9 +1985,11 @@ class Ball extends PhysicsBody {
     /**
      * Draw ball with quantum effects
      */
-    draw(ctx) {
+    draw(ctx, alpha = 1) {
         if (!this.isActive) return;
         
+        const position = this.getInterpolatedPosition(alpha);
+        
         // Draw superposition ghosts
         if (this.inSuperposition) {
             this.superpositionGhosts.forEach(ghost => {
@@ -1511,7 +2017,7 @@ class Ball extends PhysicsBody {
         // Fill
         ctx.fillStyle = this.color;
         ctx.beginPath();
-        ctx.arc(this.position.x, this.position.y, this.radius, 0, Math.PI * 2);
+        ctx.arc(position.x, position.y, this.radius, 0, Math.PI * 2);
         ctx.fill();
         
         // Draw spin indicator
@@ -1520,8 +2026,8 @@ class Ball extends PhysicsBody {
             ctx.lineWidth = 2;
             ctx.beginPath();
             ctx.arc(
-                this.position.x,
-                this.position.y,
+                position.x,
+                position.y,
                 this.radius * 0.7,
                 this.rotation,
                 this.rotation + Math.PI
@@ -1535,7 +2041,7 @@ class Ball extends PhysicsBody {
             ctx.strokeStyle = effect.color;
             ctx.lineWidth = 3;
             ctx.beginPath();
-            ctx.arc(this.position.x, this.position.y, this.radius + 5, 0, Math.PI * 2);
+            ctx.arc(position.x, position.y, this.radius + 5, 0, Math.PI * 2);
             ctx.stroke();
         });
         
@@ -1545,13 +2051,13 @@ class Ball extends PhysicsBody {
     /**
      * Reset ball to center
      */
-    reset(direction = 1) {
+    reset(direction = 1, rng = Random) {
         this.position = new Vector2D(
-            GAME_CONFIG.canvas.width / 2,
-            GAME_CONFIG.canvas.height / 2
+            GAME_CONFIG.world.width / 2,
+            GAME_CONFIG.world.height / 2
         );
         
-        const angle = Random.range(-Math.PI / 4, Math.PI / 4);
+        const angle = rng.range(-Math.PI / 4, Math.PI / 4);
         const speed = GAME_CONFIG.ball.initialSpeed;
         
         this.velocity = new Vector2D(
@@ -1568,6 +2074,7 @@ class Ball extends PhysicsBody {
         this.inSuperposition = false;
         this.superpositionGhosts = [];
         this.effects = [];
+        this.resetInterpolation();
     }
     
     /**
@@ -1621,14 +2128,15 @@ class Ball extends PhysicsBody {
     /**
      * Collapse superposition
      */
-    collapseSuperposition() {
+    collapseSuperposition(rng = Random) {
         if (this.superpositionGhosts.length > 0) {
             // Choose random ghost position
-            const ghost = Random.choice(this.superpositionGhosts);
+            const ghost = rng.choice(this.superpositionGhosts);
             this.position.x = ghost.x;
             this.position.y = ghost.y;
             this.velocity.x = ghost.vx;
             this.velocity.y = ghost.vy;
+            this.resetInterpolation();
         }
         
         this.inSuperposition = false;
@@ -1755,7 +2263,7 @@ class PowerUp {
  * Obstacle entity
  */
 class Obstacle {
-    constructor(x, y, width, height, type = 'static') {
+    constructor(x, y, width, height, type = 'static', rng = Random) {
         this.position = new Vector2D(x, y);
         this.width = width;
         this.height = height;
@@ -1768,7 +2276,7 @@ class Obstacle {
         this.color = '#808080';
         
         if (type === 'moving') {
-            this.velocity = Vector2D.random(2);
+            this.velocity = Vector2D.random(2, rng);
         }
     }
     
@@ -1782,16 +2290,16 @@ class Obstacle {
             this.position = this.position.add(this.velocity.multiply(deltaTime));
             
             // Bounce off walls
-            if (this.position.x < 0 || this.position.x > GAME_CONFIG.canvas.width) {
+            if (this.position.x < 0 || this.position.x > GAME_CONFIG.world.width) {
                 this.velocity.x *= -1;
             }
-            if (this.position.y < 0 || this.position.y > GAME_CONFIG.canvas.height) {
+            if (this.position.y < 0 || this.position.y > GAME_CONFIG.world.height) {
                 this.velocity.y *= -1;
             }
         }
         
         if (this.type === 'rotating') {
-            this.rotation += this.rotationSpeed;
+            this.rotation += this.rotationSpeed * deltaTime;
         }
     }
     
@@ -1838,7 +2346,7 @@ class Obstacle {
     }
     
     /**
-     * Get bounding box
+     * Get bounding box (unrotated)
      */
     getBounds() {
         return {
@@ -1848,6 +2356,19 @@ class Obstacle {
             height: this.height
         };
     }
+    
+    /**
+     * Get the box as drawn: centre, size and rotation
+     */
+    getOrientedBounds() {
+        return {
+            x: this.position.x,
+            y: this.position.y,
+            width: this.width,
+            height: this.height,
+            rotation: this.rotation
+        };
+    }
 }
 
 // ================================================================================================
@@ -1858,9 +2379,10 @@ class Obstacle {
  * Manages game state, modes, and progression
  */
 class GameStateManager {
-    constructor() {
+    constructor(rng = Random) {
+        this.rng = rng;
         this.state = 'menu'; // 'menu', 'playing', 'paused', 'gameover'
-        this.mode = null; // 'vs-ai', 'vs-quantum', 'chaos'
+        this.mode = null; // 'vs-ai', 'vs-quantum', 'vs-human', 'online', 'chaos', 'survival', 'time-attack', 'boss', 'practice'
         this.difficulty = 0.7;
         this.score1 = 0;
         this.score2 = 0;
@@ -1871,6 +2393,8 @@ class GameStateManager {
         this.chaosLevel = 0;
         this.combo = 0;
         this.lastScorer = null;
+        this.winner = null; // 1, 2 or null when nobody wins (survival)
+        this.endReason = '';
         this.matchStartTime = 0;
         this.matchDuration = 0;
     }
@@ -1883,11 +2407,14 @@ class GameStateManager {
         this.mode = mode;
         this.score1 = 0;
         this.score2 = 0;
+        this.winScore = GAME_CONFIG.scoring.winScore; // modes may lift this
         this.timeScale = 1.0;
         this.dimension = 'Prime';
         this.quantumActive = false;
         this.chaosLevel = mode === 'chaos' ? 5 : 0;
         this.combo = 0;
+        this.winner = null;
+        this.endReason = '';
         this.matchStartTime = Date.now();
         
         console.log(`Starting game in ${mode} mode`);
@@ -1917,11 +2444,24 @@ class GameStateManager {
         
         // Check win condition
         if (this.score1 >= this.winScore || this.score2 >= this.winScore) {
-            this.state = 'gameover';
-            this.matchDuration = Date.now() - this.matchStartTime;
+            this.endGame(this.score1 >= this.winScore ? 1 : 2, `First to ${this.winScore}`);
         }
     }
     
+    /**
+     * End the match; every mode's win or lose condition comes through here.
+     * Returns false if the match was already over.
+     */
+    endGame(winner, reason = '') {
+        if (this.state === 'gameover') return false;
+        
+        this.state = 'gameover';
+        this.winner = winner;
+        this.endReason = reason;
+        this.matchDuration = Date.now() - this.matchStartTime;
+        return true;
+    }
+    
     /**
      * Toggle pause
      */
@@ -1952,8 +2492,8 @@ class GameStateManager {
             }
             
             // Random quantum events
-            if (Math.random() < GAME_CONFIG.quantum.dimensionalFrequency * deltaTime) {
-                this.dimension = Random.choice(['Prime', 'Mirror', 'Chaos', 'Void', 'Quantum']);
+            if (this.rng.next() < GAME_CONFIG.quantum.dimensionalFrequency * deltaTime) {
+                this.dimension = this.rng.choice(['Prime', 'Mirror', 'Chaos', 'Void', 'Quantum']);
             }
         }
     }
@@ -1977,215 +2517,234 @@ class GameStateManager {
 
 
 // ================================================================================================
-// MAIN GAME CLASS - THE OVERCOMPLICATED PONG ORCHESTRATOR
+// HEADLESS GAME SIMULATION
 // ================================================================================================
 
 /**
- * Main game class that brings everything together
+ * Timed effects measured in game time instead of wall-clock setTimeout.
+ * Entries are plain data ({ type, params }) dispatched to handlers registered by type,
+ * so they pause with the game, follow timeScale and can be listed or cleared on reset.
  */
-class OvercomplicatedPong {
+class EffectScheduler {
     constructor() {
-        this.canvas = document.getElementById('gameCanvas');
-        this.ctx = this.canvas.getContext('2d');
-        
-        // Core systems
-        this.quantumEngine = new QuantumPhysicsEngine();
-        this.audioSystem = new AudioSystem();
-        this.particleSystem = new ParticleSystem();
-        this.collisionSystem = new CollisionSystem();
-        this.gameState = new GameStateManager();
-        
-        // Entities
-        this.paddle1 = null;
-        this.paddle2 = null;
-        this.balls = [];
-        this.powerups = [];
-        this.obstacles = [];
-        this.forceFields = [];
-        
-        // AI
-        this.neuralNetworkAI = null;
-        this.quantumAI = null;
-        
-        // Input handling
-        this.keys = {};
-        this.setupInput();
-        
-        // Game loop
-        this.lastTime = 0;
-        this.fps = 60;
-        this.fpsHistory = [];
-        this.running = false;
-        
-        // HUD elements
-        this.hudElements = {
-            p1Score: document.getElementById('p1Score'),
-            p2Score: document.getElementById('p2Score'),
-            p1Speed: document.getElementById('p1Speed'),
-            p2Speed: document.getElementById('p2Speed'),
-            p1Quantum: document.getElementById('p1Quantum'),
-            p2Quantum: document.getElementById('p2Quantum'),
-            fps: document.getElementById('fps'),
-            particles: document.getElementById('particles'),
-            dimension: document.getElementById('dimension'),
-            quantumState: document.getElementById('quantumState'),
-            hud: document.getElementById('hud'),
-            overlay: document.getElementById('overlay')
-        };
-        
-        // Visual effects
-        this.backgroundEffects = [];
-        this.screenShake = 0;
-        this.flashEffect = 0;
-        this.timeWarpEffect = 0;
-        
-        // Initialize
-        this.initialize();
+        this.handlers = {};
+        this.effects = [];
+        this.nextId = 1;
     }
     
     /**
-     * Initialize game systems
+     * Register the function run when an effect of this type comes due
      */
-    async initialize() {
-        console.log('Initializing Overcomplicated Pong...');
-        
-        // Initialize audio (requires user interaction)
-        document.addEventListener('click', () => {
-            if (!this.audioSystem.enabled) {
-                this.audioSystem.initialize();
-            }
-        }, { once: true });
-        
-        // Create AI instances
-        this.neuralNetworkAI = new NeuralNetworkAI(0.7);
-        
-        // Try to load saved AI model
-        try {
-            await this.neuralNetworkAI.loadModel();
-        } catch (e) {
-            console.log('No saved AI model');
-        }
-        
-        console.log('Game initialized!');
+    register(type, handler) {
+        this.handlers[type] = handler;
     }
     
     /**
-     * Setup input handling
+     * Run an effect after delay ms of game time.
+     * Options: scaled (default true) follows timeScale, label is shown when listing.
      */
-    setupInput() {
-        // Keyboard input
-        window.addEventListener('keydown', (e) => {
-            this.keys[e.key] = true;
-            
-            // Handle special keys
-            if (e.key === ' ') {
-                e.preventDefault();
-                this.handleSpacebar();
-            }
-            if (e.key === 'q' || e.key === 'Q') {
-                this.handlePortalKey();
-            }
-            if (e.key === 'e' || e.key === 'E') {
-                this.handleTimeSlowKey();
-            }
-            if (e.key === 'Escape') {
-                this.gameState.togglePause();
-            }
-        });
-        
-        window.addEventListener('keyup', (e) => {
-            this.keys[e.key] = false;
+    schedule(type, delay, params = {}, options = {}) {
+        const effect = {
+            id: this.nextId++,
+            type,
+            params,
+            label: options.label || type,
+            duration: delay,
+            remaining: delay,
+            scaled: options.scaled !== false
+        };
+        this.effects.push(effect);
+        return effect.id;
+    }
+    
+    /**
+     * Cancel an effect by id
+     */
+    cancel(id) {
+        this.effects = this.effects.filter(effect => effect.id !== id);
+    }
+    
+    /**
+     * Cancel every effect of a type whose params match all given values
+     */
+    cancelMatching(type, params = {}) {
+        this.effects = this.effects.filter(effect =>
+            effect.type !== type ||
+            Object.keys(params).some(key => effect.params[key] !== params[key])
+        );
+    }
+    
+    /**
+     * Advance by deltaMs of unscaled game time and run effects that came due
+     */
+    update(deltaMs, timeScale = 1) {
+        this.effects.forEach(effect => {
+            effect.remaining -= effect.scaled ? deltaMs * timeScale : deltaMs;
         });
         
-        // Touch/Mouse input for mobile
-        this.canvas.addEventListener('touchstart', (e) => {
-            e.preventDefault();
-            this.handleTouch(e.touches[0]);
-        });
+        // Run in the order they came due; handlers may schedule new effects
+        const due = this.effects
+            .filter(effect => effect.remaining <= 0)
+            .sort((a, b) => a.remaining - b.remaining || a.id - b.id);
+        this.effects = this.effects.filter(effect => effect.remaining > 0);
         
-        this.canvas.addEventListener('touchmove', (e) => {
-            e.preventDefault();
-            this.handleTouch(e.touches[0]);
+        due.forEach(effect => {
+            const handler = this.handlers[effect.type];
+            if (handler) {
+                handler(effect.params);
+            }
         });
     }
     
     /**
-     * Handle spacebar - activate quantum powers
+     * Drop every pending effect; ids start from 1 again, so a new match numbers its own
+     * effects the same way whatever ran before it
      */
-    handleSpacebar() {
-        if (this.gameState.state !== 'playing') return;
-        
-        if (this.paddle1.useQuantumEnergy(20)) {
-            // Activate quantum superposition on ball
-            this.balls.forEach(ball => {
-                if (!ball.inSuperposition) {
-                    ball.enterSuperposition(3);
-                    this.audioSystem.playQuantumEvent('superposition');
-                    this.particleSystem.createQuantumEffect(ball.position.x, ball.position.y, 'superposition');
-                }
-            });
-            this.gameState.quantumActive = true;
-        }
+    clear() {
+        this.effects = [];
+        this.nextId = 1;
     }
     
     /**
-     * Handle portal key - create dimensional rift
+     * Pending effects with remaining time in ms, soonest first
      */
-    handlePortalKey() {
-        if (this.gameState.state !== 'playing') return;
-        
-        if (this.paddle1.useQuantumEnergy(30)) {
-            const entrance = { x: 200, y: Random.int(100, 700) };
-            const exit = { x: 1000, y: Random.int(100, 700) };
-            
-            this.quantumEngine.createDimensionalRift(entrance, exit);
-            this.audioSystem.playQuantumEvent('rift');
-            this.particleSystem.createPortalEffect(entrance.x, entrance.y);
-            this.particleSystem.createPortalEffect(exit.x, exit.y);
-        }
+    getActiveEffects() {
+        return this.effects
+            .map(effect => ({
+                id: effect.id,
+                type: effect.type,
+                label: effect.label,
+                params: { ...effect.params },
+                remaining: effect.remaining,
+                duration: effect.duration
+            }))
+            .sort((a, b) => a.remaining - b.remaining);
     }
+}
+
+/**
+ * Entity <-> plain data conversion for simulation snapshots.
+ * Vector fields are recognised on the freshly constructed entity being decoded into,
+ * so fields added to an entity later are carried without listing them here.
+ */
+const StateCodec = {
+    /**
+     * Own data fields of an entity, minus the keys in skip
+     */
+    encode(entity, skip = []) {
+        const data = {};
+        Object.keys(entity).forEach(key => {
+            const value = entity[key];
+            if (skip.includes(key) || typeof value === 'function') return;
+            data[key] = value instanceof Vector2D ? { x: value.x, y: value.y } : StateCodec.copy(value);
+        });
+        return data;
+    },
     
     /**
-     * Handle time slow key
+     * Copy encoded fields onto an entity, rebuilding its vectors
      */
-    handleTimeSlowKey() {
-        if (this.gameState.state !== 'playing') return;
-        
-        if (this.paddle1.useQuantumEnergy(25)) {
-            this.gameState.timeScale = 0.5;
-            this.timeWarpEffect = 1.0;
-            
-            setTimeout(() => {
-                this.gameState.timeScale = 1.0;
-            }, 2000);
-            
-            this.audioSystem.playQuantumEvent('collapse');
-        }
-    }
+    decode(target, data) {
+        Object.keys(data).forEach(key => {
+            target[key] = target[key] instanceof Vector2D
+                ? new Vector2D(data[key].x, data[key].y)
+                : StateCodec.copy(data[key]);
+        });
+        return target;
+    },
     
     /**
-     * Handle touch input
+     * Deep copy of plain data
      */
-    handleTouch(touch) {
-        const rect = this.canvas.getBoundingClientRect();
-        const y = touch.clientY - rect.top;
-        
-        if (this.paddle1) {
-            this.paddle1.position.y = y;
+    copy(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    },
+    
+    // Wall-clock fields differ between machines without the match differing
+    checksumIgnored: ['matchStartTime', 'matchDuration'],
+    
+    /**
+     * Hash of a serialized state, to check two simulations agree
+     */
+    checksum(state) {
+        return StateCodec.hash(JSON.stringify(state, (key, value) =>
+            StateCodec.checksumIgnored.includes(key) ? undefined : value
+        ));
+    },
+    
+    /**
+     * 32-bit FNV-1a hash of a string
+     */
+    hash(text) {
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
         }
+        return hash >>> 0;
+    }
+};
+
+/**
+ * Pure game simulation: paddles, balls, obstacles, power-ups, force fields and quantum physics.
+ * Owns no canvas, audio or animation frame, so a match can be stepped in Node for tests and bots.
+ * Everything the presentation layer wants to react to is announced through `events`.
+ */
+class GameSimulation {
+    constructor() {
+        // Every random decision in a match comes from here, so seed + inputs replay exactly
+        this.seed = SeededRandom.randomSeed();
+        this.rng = new SeededRandom(this.seed);
+        
+        // Core systems
+        this.quantumEngine = new QuantumPhysicsEngine(this.rng);
+        this.collisionSystem = new CollisionSystem();
+        this.gameState = new GameStateManager(this.rng);
+        this.events = new EventEmitter();
+        this.scheduler = new EffectScheduler();
+        this.registerEffectHandlers();
+        
+        // Entities
+        this.paddle1 = null;
+        this.paddle2 = null;
+        this.balls = [];
+        this.powerups = [];
+        this.obstacles = [];
+        this.forceFields = [];
+        
+        // Rules for survival, time attack and boss modes (SurvivalMode, TimeAttackMode, BossBattle)
+        this.modeController = null;
+        
+        // Abilities requested since the last update, applied at the start of the next one
+        this.pendingActions = [];
+        
+        // Inputs consumed by the most recent update, for recording
+        this.lastInputs = null;
+        
+        this.tick = 0;
+        this.ballCounter = 0;
     }
     
     /**
-     * Start game
+     * Start a new match; pass { seed } to reproduce an earlier one
      */
-    startGame(mode) {
-        console.log(`Starting ${mode} mode`);
+    start(mode, options = {}) {
+        this.seed = options.seed !== undefined
+            ? SeededRandom.normalizeSeed(options.seed)
+            : SeededRandom.randomSeed();
+        this.rng.setSeed(this.seed);
         
         this.gameState.startGame(mode);
+        this.quantumEngine.reset();
+        this.scheduler.clear();
+        
+        this.tick = 0;
+        this.ballCounter = 0;
+        this.pendingActions = [];
         
         // Create paddles
-        this.paddle1 = new Paddle(50, GAME_CONFIG.canvas.height / 2, true);
-        this.paddle2 = new Paddle(GAME_CONFIG.canvas.width - 50, GAME_CONFIG.canvas.height / 2, false);
+        this.paddle1 = new Paddle(50, GAME_CONFIG.world.height / 2, true);
+        this.paddle2 = new Paddle(GAME_CONFIG.world.width - 50, GAME_CONFIG.world.height / 2, false);
         
         // Initialize quantum states
         this.paddle1.quantumState = this.quantumEngine.initializeQuantumState(
@@ -2199,8 +2758,13 @@ class OvercomplicatedPong {
             this.paddle2.velocity
         );
         
-        // Create initial ball
+        // Clear the field
         this.balls = [];
+        this.powerups = [];
+        this.obstacles = [];
+        this.forceFields = [];
+        
+        // Create initial ball
         this.createBall();
         
         // Setup obstacles for chaos mode
@@ -2208,33 +2772,287 @@ class OvercomplicatedPong {
             this.createChaosObstacles();
         }
         
-        // Clear power-ups and force fields
-        this.powerups = [];
-        this.forceFields = [];
+        // Mode-specific rules
+        this.modeController = this.createModeController(mode);
+        if (this.modeController) {
+            this.modeController.start();
+        }
+    }
+    
+    /**
+     * Rules object for modes beyond a plain match, or null
+     */
+    createModeController(mode) {
+        switch (mode) {
+            case 'survival':
+                return new SurvivalMode(this);
+            case 'time-attack':
+                return new TimeAttackMode(this);
+            case 'boss':
+                return new BossBattle(this);
+            case 'practice':
+                return new PracticeMode(this);
+            default:
+                return null;
+        }
+    }
+    
+    /**
+     * End the match for a mode-specific reason (see GameStateManager.endGame)
+     */
+    endGame(winner, reason) {
+        if (this.gameState.endGame(winner, reason)) {
+            this.events.emit('gameOver', this.gameState);
+        }
+    }
+    
+    /**
+     * Handlers for timed effects; params are plain data so pending effects stay serializable
+     */
+    registerEffectHandlers() {
+        this.scheduler.register('shieldExpire', ({ player }) => {
+            this.getPaddle(player).shield = false;
+        });
+        this.scheduler.register('timeSlowExpire', () => {
+            this.gameState.timeScale = 1.0;
+        });
+        this.scheduler.register('gravityExpire', ({ ballId }) => {
+            const ball = this.findBall(ballId);
+            if (ball) ball.affectedByGravity = false;
+        });
+        this.scheduler.register('explosiveExpire', ({ ballId }) => {
+            const ball = this.findBall(ballId);
+            if (ball) ball.explosive = false;
+        });
+        this.scheduler.register('freezeExpire', ({ ballId }) => {
+            const ball = this.findBall(ballId);
+            if (ball) ball.frozen = false;
+        });
+        this.scheduler.register('spawnPowerUp', () => {
+            this.spawnPowerUp();
+        });
+    }
+    
+    /**
+     * Timed effects still pending (power-up expirations, time slow, rifts) with remaining ms
+     */
+    getActiveEffects() {
+        const effects = this.scheduler.getActiveEffects();
+        
+        this.quantumEngine.dimensionalRifts.forEach(rift => {
+            effects.push({
+                id: rift.id,
+                type: 'rift',
+                label: 'Rift',
+                params: { player: rift.owner || null },
+                remaining: rift.lifetime - rift.age,
+                duration: rift.lifetime
+            });
+        });
         
-        // Hide overlay, show HUD
-        this.hudElements.overlay.classList.add('hidden');
-        this.hudElements.hud.classList.remove('hidden');
+        return effects.sort((a, b) => a.remaining - b.remaining);
+    }
+    
+    /**
+     * Timed effects belonging to one player (shield, their time slow, their rifts)
+     */
+    getPlayerEffects(player) {
+        return this.getActiveEffects().filter(effect => effect.params.player === player);
+    }
+    
+    /**
+     * Find a ball by id
+     */
+    findBall(id) {
+        return this.balls.find(ball => ball.id === id) || null;
+    }
+    
+    /**
+     * Slow time to half speed for duration ms (real game time, not itself slowed)
+     */
+    slowTime(duration, label, player = null) {
+        this.gameState.timeScale = 0.5;
         
-        // Start game loop
-        this.running = true;
-        this.lastTime = performance.now();
-        this.gameLoop(this.lastTime);
+        // Overlapping slows keep whichever ends later
+        const current = this.scheduler.getActiveEffects().find(effect => effect.type === 'timeSlowExpire');
+        if (current && current.remaining >= duration) return;
         
-        // Start music
-        this.audioSystem.startMusic();
+        this.scheduler.cancelMatching('timeSlowExpire');
+        this.scheduler.schedule('timeSlowExpire', duration, { player }, { scaled: false, label });
+    }
+    
+    /**
+     * Get paddle for player number (1 or 2)
+     */
+    getPaddle(player) {
+        return player === 1 ? this.paddle1 : this.paddle2;
+    }
+    
+    /**
+     * A movement input as the simulation takes it: a speed from -1 (full speed up) to 1
+     * (full speed down) in steps of 1/analogSteps, or { target } with a whole-pixel height,
+     * so it stays exact over the network and in replays
+     */
+    static normalizeMove(move) {
+        if (move !== null && typeof move === 'object') {
+            return { target: Math.round(MathUtil.clamp(Number(move.target) || 0, 0, GAME_CONFIG.world.height)) };
+        }
+        const steps = GAME_CONFIG.input.analogSteps;
+        return Math.round(MathUtil.clamp(Number(move) || 0, -1, 1) * steps) / steps;
+    }
+    
+    /**
+     * Whether two (normalized) movement inputs are the same
+     */
+    static sameMove(a, b) {
+        if (a !== null && b !== null && typeof a === 'object' && typeof b === 'object') {
+            return a.target === b.target;
+        }
+        return a === b;
+    }
+    
+    /**
+     * Set movement input for a player: a speed (-1: up, 0: none, 1: down, analog in
+     * between), or { target: y } to steer the paddle to that height
+     */
+    setPaddleInput(player, input) {
+        const paddle = this.getPaddle(player);
+        if (!paddle) return;
+        
+        const move = GameSimulation.normalizeMove(input);
+        if (typeof move === 'object') {
+            paddle.target = move.target;
+            paddle.input = 0;
+        } else {
+            paddle.target = null;
+            paddle.input = move;
+        }
+    }
+    
+    /**
+     * Request an ability ('superposition', 'rift', 'timeSlow', 'boost') for a player
+     */
+    queueAction(player, type, params = {}) {
+        this.pendingActions.push({ player, type, params });
+    }
+    
+    /**
+     * Feed a recorded input frame ({ moves: [p1, p2], actions }) before an update
+     */
+    applyInputs(inputs) {
+        this.setPaddleInput(1, inputs.moves[0]);
+        this.setPaddleInput(2, inputs.moves[1]);
+        inputs.actions.forEach(action => this.queueAction(action.player, action.type, action.params));
+    }
+    
+    /**
+     * The whole match as plain JSON-safe data, enough for restoreState() to carry on
+     * from this exact tick (network snapshots, rejoining a match in progress)
+     */
+    serializeState() {
+        const playerOf = paddle => paddle === this.paddle1 ? 1 : paddle === this.paddle2 ? 2 : null;
+        
+        const gameState = StateCodec.encode(this.gameState, ['rng']);
+        // JSON has no Infinity, which modes without a score limit use
+        gameState.winScore = Number.isFinite(this.gameState.winScore) ? this.gameState.winScore : null;
+        
+        return {
+            seed: this.seed,
+            rngState: this.rng.state,
+            tick: this.tick,
+            ballCounter: this.ballCounter,
+            gameState,
+            paddles: [this.paddle1, this.paddle2].map(paddle =>
+                paddle ? StateCodec.encode(paddle, ['quantumState']) : null
+            ),
+            balls: this.balls.map(ball => ({
+                ...StateCodec.encode(ball, ['quantumState', 'lastHitBy']),
+                lastHitBy: playerOf(ball.lastHitBy)
+            })),
+            powerups: this.powerups.map(powerup => StateCodec.encode(powerup, ['colors', 'icons'])),
+            obstacles: this.obstacles.map(obstacle => StateCodec.encode(obstacle)),
+            forceFields: this.forceFields.map(field => StateCodec.encode(field)),
+            quantum: this.quantumEngine.getState(),
+            scheduler: {
+                effects: StateCodec.copy(this.scheduler.effects),
+                nextId: this.scheduler.nextId
+            },
+            modeController: this.modeController
+                ? StateCodec.encode(this.modeController, ['game', 'boss'])
+                : null,
+            pendingActions: StateCodec.copy(this.pendingActions)
+        };
+    }
+    
+    /**
+     * Continue from a serializeState() copy, replacing the current match
+     */
+    restoreState(state) {
+        this.seed = state.seed;
+        this.rng.seed = state.seed;
+        this.rng.state = state.rngState;
+        this.tick = state.tick;
+        this.ballCounter = state.ballCounter;
+        
+        StateCodec.decode(this.gameState, state.gameState);
+        if (state.gameState.winScore === null) {
+            this.gameState.winScore = Infinity;
+        }
+        
+        // Entities share their quantum state objects with the engine, so link them back up
+        this.quantumEngine.setState(state.quantum);
+        const quantumStateOf = id => this.quantumEngine.waveFunction.get(id) || null;
+        
+        [this.paddle1, this.paddle2] = state.paddles.map((data, i) => {
+            if (!data) return null;
+            const paddle = StateCodec.decode(new Paddle(data.position.x, data.position.y, i === 0), data);
+            paddle.quantumState = quantumStateOf(`paddle${i + 1}`);
+            return paddle;
+        });
+        
+        this.balls = state.balls.map(data => {
+            const ball = StateCodec.decode(new Ball(data.position.x, data.position.y), data);
+            ball.quantumState = quantumStateOf(ball.id);
+            ball.lastHitBy = data.lastHitBy ? this.getPaddle(data.lastHitBy) : null;
+            return ball;
+        });
+        
+        this.powerups = state.powerups.map(data =>
+            StateCodec.decode(new PowerUp(data.position.x, data.position.y, data.type), data)
+        );
+        this.obstacles = state.obstacles.map(data =>
+            StateCodec.decode(new Obstacle(data.position.x, data.position.y, data.width, data.height, data.type), data)
+        );
+        this.forceFields = state.forceFields.map(data =>
+            StateCodec.decode(new ForceField(data.position.x, data.position.y, data.radius, data.strength, data.type), data)
+        );
+        
+        this.scheduler.effects = StateCodec.copy(state.scheduler.effects);
+        this.scheduler.nextId = state.scheduler.nextId;
+        
+        // Mode rules are rebuilt for the mode, then given their saved progress
+        this.modeController = this.createModeController(this.gameState.mode);
+        if (this.modeController && state.modeController) {
+            StateCodec.decode(this.modeController, state.modeController);
+            if (this.modeController instanceof BossBattle) {
+                this.modeController.boss = this.paddle2;
+            }
+        }
+        
+        this.pendingActions = StateCodec.copy(state.pendingActions);
+        this.lastInputs = null;
     }
     
     /**
      * Create a new ball
      */
-    createBall(direction = Random.bool() ? 1 : -1) {
+    createBall(direction = this.rng.bool() ? 1 : -1) {
         const ball = new Ball(
-            GAME_CONFIG.canvas.width / 2,
-            GAME_CONFIG.canvas.height / 2
+            GAME_CONFIG.world.width / 2,
+            GAME_CONFIG.world.height / 2
         );
-        ball.id = 'ball-' + Date.now() + '-' + this.balls.length;
-        ball.reset(direction);
+        ball.id = 'ball-' + this.ballCounter++;
+        ball.reset(direction, this.rng);
         
         // Initialize quantum state
         ball.quantumState = this.quantumEngine.initializeQuantumState(
@@ -2251,13 +3069,13 @@ class OvercomplicatedPong {
      * Create chaos mode obstacles
      */
     createChaosObstacles() {
-        const centerX = GAME_CONFIG.canvas.width / 2;
-        const centerY = GAME_CONFIG.canvas.height / 2;
+        const centerX = GAME_CONFIG.world.width / 2;
+        const centerY = GAME_CONFIG.world.height / 2;
         
         // Create various obstacles
         this.obstacles = [
-            new Obstacle(centerX, 100, 100, 20, 'moving'),
-            new Obstacle(centerX, 700, 100, 20, 'moving'),
+            new Obstacle(centerX, centerY - 300, 100, 20, 'moving', this.rng),
+            new Obstacle(centerX, centerY + 300, 100, 20, 'moving', this.rng),
             new Obstacle(centerX - 150, centerY, 20, 150, 'rotating'),
             new Obstacle(centerX + 150, centerY, 20, 150, 'rotating'),
             new Obstacle(centerX, centerY - 100, 80, 80, 'breakable'),
@@ -2272,69 +3090,66 @@ class OvercomplicatedPong {
     }
     
     /**
-     * Main game loop
+     * Fixed step in frame units (1 = one 60Hz frame), from GAME_CONFIG.timing.tickRate
      */
-    gameLoop(currentTime) {
-        if (!this.running) return;
-        
-        requestAnimationFrame((time) => this.gameLoop(time));
-        
-        // Calculate delta time
-        const deltaTime = Math.min((currentTime - this.lastTime) / 16.67, 3) * this.gameState.timeScale;
-        this.lastTime = currentTime;
-        
-        // Calculate FPS
-        this.fpsHistory.push(1000 / (currentTime - this.lastTime + 1));
-        if (this.fpsHistory.length > 60) this.fpsHistory.shift();
-        this.fps = Math.round(this.fpsHistory.reduce((a, b) => a + b, 0) / this.fpsHistory.length);
-        
-        // Update and render
-        if (this.gameState.state === 'playing') {
-            this.update(deltaTime);
-        }
-        this.render();
-        this.updateHUD();
+    get fixedDelta() {
+        return 60 / GAME_CONFIG.timing.tickRate;
     }
     
     /**
-     * Update game state
+     * Advance the simulation by one fixed step
+     */
+    step() {
+        this.update(this.fixedDelta);
+    }
+    
+    /**
+     * Advance the simulation by deltaTime frames (before time scaling)
      */
     update(deltaTime) {
-        // Update game state manager
-        this.gameState.update(deltaTime);
+        if (this.gameState.state !== 'playing') return;
         
-        // Handle player input
-        this.handleInput();
+        const scaledDelta = deltaTime * this.gameState.timeScale;
+        this.tick++;
         
-        // Update AI
-        this.updateAI(deltaTime);
+        // Positions at the start of the tick, for render interpolation
+        this.paddle1.resetInterpolation();
+        this.paddle2.resetInterpolation();
+        this.balls.forEach(ball => ball.resetInterpolation());
         
-        // Update paddles
-        this.paddle1.update(deltaTime);
-        this.paddle2.update(deltaTime);
+        this.lastInputs = {
+            tick: this.tick,
+            moves: [this.paddle1.getMove(), this.paddle2.getMove()],
+            actions: this.pendingActions.slice()
+        };
+        
+        // Apply requested abilities
+        this.processActions();
+        
+        // Run timed effects that came due
+        this.scheduler.update(deltaTime * GAME_CONFIG.timing.frameDuration, this.gameState.timeScale);
+        
+        // Mode rules (waves, timers, boss attacks)
+        if (this.modeController) {
+            this.modeController.update(scaledDelta);
+        }
+        
+        // Update game state manager
+        this.gameState.update(scaledDelta);
+        
+        // Update paddles
+        this.paddle1.update(scaledDelta);
+        this.paddle2.update(scaledDelta);
         
         // Update balls
-        this.balls.forEach(ball => {
-            ball.update(deltaTime, this.quantumEngine);
-            
-            // Create trail
-            if (ball.isActive) {
-                this.particleSystem.createTrail(
-                    ball.position.x,
-                    ball.position.y,
-                    ball.velocity.x,
-                    ball.velocity.y,
-                    ball.color
-                );
-            }
-        });
+        this.balls.forEach(ball => ball.update(scaledDelta, this.quantumEngine));
         
         // Update obstacles
-        this.obstacles.forEach(obs => obs.update(deltaTime));
+        this.obstacles.forEach(obs => obs.update(scaledDelta));
         
         // Update force fields
         this.forceFields.forEach(field => {
-            field.update(deltaTime);
+            field.update(scaledDelta);
             // Apply to balls
             this.balls.forEach(ball => {
                 if (ball.isActive) {
@@ -2342,128 +3157,152 @@ class OvercomplicatedPong {
                 }
             });
         });
+        this.forceFields = this.forceFields.filter(field => field.active);
         
         // Update power-ups
-        this.powerups.forEach(powerup => powerup.update(deltaTime));
+        this.powerups.forEach(powerup => powerup.update(scaledDelta));
         this.powerups = this.powerups.filter(p => p.active);
         
         // Spawn power-ups
-        if (Math.random() < GAME_CONFIG.powerups.spawnRate * deltaTime) {
+        if (this.rng.next() < GAME_CONFIG.powerups.spawnRate * scaledDelta) {
             this.spawnPowerUp();
         }
         
         // Update quantum engine
-        this.quantumEngine.update(deltaTime);
-        
-        // Update particle system
-        this.particleSystem.update(deltaTime);
+        this.quantumEngine.update(scaledDelta);
         
         // Handle collisions
-        this.handleCollisions();
+        this.handleCollisions(scaledDelta);
         
         // Check quantum events
         this.handleQuantumEvents();
-        
-        // Update audio based on game state
-        this.audioSystem.updateIntensity({
-            score1: this.gameState.score1,
-            score2: this.gameState.score2,
-            ballSpeed: this.balls[0] ? this.balls[0].velocity.magnitude() : 0,
-            quantumActive: this.gameState.quantumActive,
-            powerupActive: this.powerups.length > 0
+    }
+    
+    /**
+     * Apply abilities queued since the last update
+     */
+    processActions() {
+        const actions = this.pendingActions;
+        this.pendingActions = [];
+        
+        actions.forEach(action => {
+            switch (action.type) {
+                case 'superposition':
+                    this.activateSuperposition(action.player);
+                    break;
+                case 'rift':
+                    this.openRift(action.player, action.params);
+                    break;
+                case 'timeSlow':
+                    this.activateTimeSlow(action.player);
+                    break;
+                case 'boost':
+                    this.getPaddle(action.player).activateBoost();
+                    break;
+            }
         });
-        
-        // Update visual effects
-        this.updateVisualEffects(deltaTime);
     }
     
     /**
-     * Handle player input
+     * Put every ball into superposition
      */
-    handleInput() {
-        // Player 1 controls (W/S)
-        if (this.keys['w'] || this.keys['W']) {
-            this.paddle1.input = -1;
-        } else if (this.keys['s'] || this.keys['S']) {
-            this.paddle1.input = 1;
-        } else {
-            this.paddle1.input = 0;
-        }
+    activateSuperposition(player) {
+        if (!this.getPaddle(player).useQuantumEnergy(GAME_CONFIG.quantum.superpositionCost)) return false;
         
-        // Player 2 controls (Arrow keys) - if not AI mode
-        if (this.gameState.mode !== 'vs-ai' && this.gameState.mode !== 'vs-quantum') {
-            if (this.keys['ArrowUp']) {
-                this.paddle2.input = -1;
-            } else if (this.keys['ArrowDown']) {
-                this.paddle2.input = 1;
-            } else {
-                this.paddle2.input = 0;
+        this.balls.forEach(ball => {
+            if (!ball.inSuperposition) {
+                ball.enterSuperposition(3);
+                this.events.emit('superposition', ball);
             }
-        }
+        });
+        this.gameState.quantumActive = true;
+        return true;
     }
     
     /**
-     * Update AI
+     * Where a player's rift would open and what it would cost. params.aim ({ x, y }) places
+     * the entrance, kept to the player's own half, and params.exit the exit, kept to the
+     * opponent's; either one left out is picked at random. Each can have an angle (degrees)
+     * for the way it faces: by default the entrance faces the opponent and the exit back,
+     * so the ball comes out going the way it went in.
      */
-    async updateAI(deltaTime) {
-        if (this.gameState.mode === 'vs-ai' && this.neuralNetworkAI && this.balls.length > 0) {
-            const ball = this.balls[0];
-            const action = await this.neuralNetworkAI.update(this.paddle2, ball, this.gameState);
-            this.paddle2.input = action;
-        } else if (this.gameState.mode === 'vs-quantum') {
-            // Quantum AI uses probability-based prediction
-            if (this.balls.length > 0) {
-                const ball = this.balls[0];
-                this.paddle2.input = this.quantumAIPrediction(ball);
-            }
-        }
+    planRift(player, params = {}) {
+        const { width, height } = GAME_CONFIG.world;
+        const ownX = player === 1 ? width / 6 : width * 5 / 6;
+        const minY = height / 8;
+        const maxY = height * 7 / 8;
+        const point = value => value && Number.isFinite(value.x) && Number.isFinite(value.y) ? value : null;
+        const aim = point(params.aim);
+        const aimedExit = point(params.exit);
+        
+        const ownHalf = player === 1 ? [width / 12, width / 2] : [width / 2, width * 11 / 12];
+        const otherHalf = player === 1 ? [width / 2, width * 11 / 12] : [width / 12, width / 2];
+        const entrance = aim
+            ? { x: MathUtil.clamp(aim.x, ownHalf[0], ownHalf[1]), y: MathUtil.clamp(aim.y, minY, maxY) }
+            : { x: ownX, y: this.rng.int(minY, maxY) };
+        const exit = aimedExit
+            ? { x: MathUtil.clamp(aimedExit.x, otherHalf[0], otherHalf[1]), y: MathUtil.clamp(aimedExit.y, minY, maxY) }
+            : { x: width - ownX, y: this.rng.int(minY, maxY) };
+        const facing = (end, degrees) => (end && Number.isFinite(end.angle) ? end.angle : degrees) * Math.PI / 180;
+        entrance.angle = facing(aim, player === 1 ? 0 : 180);
+        exit.angle = facing(aimedExit, player === 1 ? 180 : 0);
+        
+        const distance = Math.hypot(exit.x - entrance.x, exit.y - entrance.y);
+        const cost = GAME_CONFIG.quantum.riftBaseCost + GAME_CONFIG.quantum.riftCostPerUnit * distance;
+        return { entrance, exit, cost };
     }
     
     /**
-     * Quantum AI prediction using wave function
+     * Open a dimensional rift across the field, from the player's own side to the opponent's
+     * (params as for planRift). The longer it is the more it costs, and the player can't
+     * open another until riftCooldown has passed. params.link, the id of one of their rifts
+     * still open, sends the ball on into that one when it comes out of this one.
      */
-    quantumAIPrediction(ball) {
-        // Use quantum superposition to predict multiple possible positions
-        if (ball.inSuperposition && ball.superpositionGhosts.length > 0) {
-            // Target the most probable ghost
-            const targetGhost = ball.superpositionGhosts[0];
-            const error = targetGhost.y - this.paddle2.position.y;
-            return error > 10 ? 1 : (error < -10 ? -1 : 0);
-        }
-        
-        // Normal prediction with quantum uncertainty
-        const timeToReach = Math.abs(ball.position.x - this.paddle2.position.x) / Math.abs(ball.velocity.x || 1);
-        const predictedY = ball.position.y + ball.velocity.y * timeToReach;
+    openRift(player, params = {}) {
+        const paddle = this.getPaddle(player);
+        if (paddle.riftCooldown > 0) return null;
+        
+        const { entrance, exit, cost } = this.planRift(player, params);
+        if (!paddle.useQuantumEnergy(cost)) return null;
+        paddle.riftCooldown = GAME_CONFIG.quantum.riftCooldown;
+        
+        const linked = this.quantumEngine.dimensionalRifts.find(other => other.id === params.link && other.owner === player);
+        const rift = this.quantumEngine.createDimensionalRift(entrance, exit, {
+            twoWay: GAME_CONFIG.quantum.twoWayRifts,
+            entranceAngle: entrance.angle,
+            exitAngle: exit.angle,
+            linkedTo: linked ? linked.id : null
+        });
+        rift.owner = player;
+        this.events.emit('riftOpened', rift);
+        return rift;
+    }
+    
+    /**
+     * Slow down time
+     */
+    activateTimeSlow(player) {
+        if (!this.getPaddle(player).useQuantumEnergy(GAME_CONFIG.quantum.timeSlowCost)) return false;
         
-        // Add quantum uncertainty
-        const uncertainty = GAME_CONFIG.quantum.uncertaintyFactor * (Math.random() - 0.5) * 50;
-        const target = predictedY + uncertainty;
+        this.slowTime(2000, 'Time slow', player);
         
-        const error = target - this.paddle2.position.y;
-        return error > 10 ? 1 : (error < -10 ? -1 : 0);
+        this.events.emit('timeSlow', player);
+        return true;
     }
     
     /**
      * Handle all collisions
      */
-    handleCollisions() {
-        this.balls.forEach(ball => {
+    handleCollisions(deltaTime) {
+        this.balls.slice().forEach(ball => {
             if (!ball.isActive) return;
             
-            // Ball-paddle collisions
-            this.checkBallPaddleCollision(ball, this.paddle1);
-            this.checkBallPaddleCollision(ball, this.paddle2);
+            // Ball-paddle and ball-obstacle collisions, swept along this tick's path
+            this.sweepBallContacts(ball, deltaTime);
             
             // Ball-wall collisions
             this.checkBallWallCollision(ball);
             
-            // Ball-obstacle collisions
-            this.obstacles.forEach(obstacle => {
-                if (obstacle.active) {
-                    this.checkBallObstacleCollision(ball, obstacle);
-                }
-            });
-            
             // Ball-ball collisions (multi-ball mode)
             this.balls.forEach(other => {
                 if (ball !== other && ball.isActive && other.isActive) {
@@ -2481,49 +3320,94 @@ class OvercomplicatedPong {
     }
     
     /**
-     * Check ball-paddle collision
+     * Replay a ball's movement this tick against paddles and obstacles, stopping at each
+     * contact and spending the rest of the tick along the new velocity. Checking the whole
+     * path keeps fast balls from skipping through thin paddles between two ticks.
+     */
+    sweepBallContacts(ball, deltaTime) {
+        const touched = new Set();
+        let start = ball.previousPosition.clone();
+        let elapsed = 0; // fraction of the tick already travelled
+        
+        for (let i = 0; i < GAME_CONFIG.physics.maxContactsPerStep; i++) {
+            const contact = this.findFirstContact(ball, start, ball.position, 1 - elapsed, deltaTime, touched);
+            if (!contact) break;
+            touched.add(contact.collider);
+            
+            // Move to the point of impact, just clear of the surface
+            ball.position = Vector2D.lerp(start, ball.position, contact.time)
+                .add(contact.normal.multiply(contact.penetration + 0.01));
+            elapsed += (1 - elapsed) * contact.time;
+            
+            if (contact.collider instanceof Paddle) {
+                this.handleBallPaddleContact(ball, contact.collider, contact);
+            } else {
+                this.handleBallObstacleContact(ball, contact.collider, contact);
+            }
+            
+            // Spend the rest of the tick along the new velocity
+            start = ball.position.clone();
+            ball.position = start.add(ball.velocity.multiply(deltaTime * (1 - elapsed)));
+        }
+    }
+    
+    /**
+     * Earliest paddle or obstacle contact on the path from start to end, or null
      */
-    checkBallPaddleCollision(ball, paddle) {
-        const paddleBounds = paddle.getBounds();
+    findFirstContact(ball, start, end, remaining, deltaTime, exclude) {
+        const colliders = [this.paddle1, this.paddle2].concat(this.obstacles.filter(obs => obs.active));
+        let first = null;
         
-        if (this.collisionSystem.checkCircleRect(
-            { x: ball.position.x, y: ball.position.y, radius: ball.radius },
-            paddleBounds
-        )) {
-            const collision = this.collisionSystem.resolveCircleRect(
-                ball,
-                paddleBounds,
-                paddle.velocity
-            );
+        colliders.forEach(collider => {
+            if (exclude.has(collider)) return;
             
-            if (collision) {
-                ball.applyPaddleHit(paddle, collision.point);
-                paddle.stats.hits++;
-                
-                // Perfect hit detection
-                const centerHit = Math.abs(ball.position.y - paddle.position.y) < paddle.height * 0.2;
-                if (centerHit) {
-                    paddle.stats.perfectHits++;
-                    this.particleSystem.createExplosion(
-                        collision.point.x,
-                        collision.point.y,
-                        20,
-                        '#ffff00'
-                    );
-                }
-                
-                // Audio feedback
-                this.audioSystem.playPaddleHit(collision.velocity);
-                
-                // Screen shake
-                this.screenShake = Math.min(ball.velocity.magnitude() / 5, 10);
-                
-                // Check for quantum entanglement
-                if (Math.random() < 0.1) {
-                    this.quantumEngine.createEntanglement(ball.id, paddle.isPlayer1 ? 'paddle1' : 'paddle2');
-                    this.audioSystem.playQuantumEvent('entanglement');
-                    paddle.stats.quantumHits++;
-                }
+            // Sweep in the collider's frame so its own movement this tick counts too
+            const motion = collider instanceof Paddle
+                ? collider.position.subtract(collider.previousPosition)
+                : collider.velocity.multiply(deltaTime);
+            
+            // Obstacles collide as drawn, rotation included
+            const relativeStart = start.add(motion.multiply(remaining));
+            const contact = collider instanceof Paddle
+                ? this.collisionSystem.sweepCircleRect(relativeStart, end, ball.radius, collider.getBounds())
+                : this.collisionSystem.sweepCircleOrientedRect(relativeStart, end, ball.radius, collider.getOrientedBounds());
+            
+            if (contact && (!first || contact.time < first.time)) {
+                first = { ...contact, collider };
+            }
+        });
+        
+        return first;
+    }
+    
+    /**
+     * Ball-paddle contact
+     */
+    handleBallPaddleContact(ball, paddle, contact) {
+        const collision = this.collisionSystem.resolveContact(
+            ball,
+            contact,
+            paddle.position,
+            paddle.velocity
+        );
+        
+        if (collision) {
+            ball.applyPaddleHit(paddle, collision.point);
+            paddle.stats.hits++;
+            
+            // Perfect hit detection
+            const perfect = Math.abs(ball.position.y - paddle.position.y) < paddle.height * 0.2;
+            if (perfect) {
+                paddle.stats.perfectHits++;
+            }
+            
+            this.events.emit('paddleHit', ball, paddle, collision, perfect);
+            
+            // Check for quantum entanglement
+            if (this.rng.next() < 0.1) {
+                this.quantumEngine.createEntanglement(ball.id, paddle.isPlayer1 ? 'paddle1' : 'paddle2');
+                paddle.stats.quantumHits++;
+                this.events.emit('entanglement', ball, paddle);
             }
         }
     }
@@ -2536,64 +3420,59 @@ class OvercomplicatedPong {
         if (ball.position.y - ball.radius < 0) {
             ball.position.y = ball.radius;
             ball.velocity.y = Math.abs(ball.velocity.y) * ball.restitution;
-            this.audioSystem.playWallBounce();
-            this.particleSystem.createExplosion(ball.position.x, 0, 10, '#ffffff');
+            this.events.emit('wallBounce', ball, new Vector2D(ball.position.x, 0));
         }
-        if (ball.position.y + ball.radius > GAME_CONFIG.canvas.height) {
-            ball.position.y = GAME_CONFIG.canvas.height - ball.radius;
+        if (ball.position.y + ball.radius > GAME_CONFIG.world.height) {
+            ball.position.y = GAME_CONFIG.world.height - ball.radius;
             ball.velocity.y = -Math.abs(ball.velocity.y) * ball.restitution;
-            this.audioSystem.playWallBounce();
-            this.particleSystem.createExplosion(ball.position.x, GAME_CONFIG.canvas.height, 10, '#ffffff');
+            this.events.emit('wallBounce', ball, new Vector2D(ball.position.x, GAME_CONFIG.world.height));
         }
         
         // Left and right walls (scoring)
         if (ball.position.x - ball.radius < 0) {
             this.scorePoint(2, ball);
-        }
-        if (ball.position.x + ball.radius > GAME_CONFIG.canvas.width) {
+        } else if (ball.position.x + ball.radius > GAME_CONFIG.world.width) {
             this.scorePoint(1, ball);
         }
     }
     
     /**
-     * Check ball-obstacle collision
+     * Ball-obstacle contact
      */
-    checkBallObstacleCollision(ball, obstacle) {
+    handleBallObstacleContact(ball, obstacle, contact) {
         const obstacleBounds = obstacle.getBounds();
         
-        if (this.collisionSystem.checkCircleRect(
-            { x: ball.position.x, y: ball.position.y, radius: ball.radius },
-            obstacleBounds
-        )) {
-            // Try quantum tunneling
-            const tunnelingResult = this.quantumEngine.applyTunneling(ball.id, obstacleBounds);
+        // Try quantum tunneling
+        const tunnelingResult = this.quantumEngine.applyTunneling(ball.id, obstacleBounds);
+        
+        if (tunnelingResult.success) {
+            // Ball tunneled through: come out the far side on the same heading
+            const direction = ball.velocity.normalize();
+            const depth = this.collisionSystem.rayExitOrientedRect(
+                ball.position,
+                direction,
+                ball.radius,
+                obstacle.getOrientedBounds()
+            );
+            ball.position = ball.position.add(direction.multiply(depth + 0.01));
             
-            if (tunnelingResult.success) {
-                // Ball tunneled through!
-                this.audioSystem.playQuantumEvent('tunneling');
-                this.particleSystem.createQuantumEffect(
-                    tunnelingResult.exitPosition.x,
-                    tunnelingResult.exitPosition.y,
-                    'tunneling'
-                );
-                this.gameState.quantumActive = true;
-            } else {
-                // Normal collision
-                this.collisionSystem.resolveCircleRect(ball, obstacleBounds);
-                this.audioSystem.playWallBounce();
-                
-                // Damage breakable obstacles
-                if (obstacle.type === 'breakable') {
-                    if (obstacle.takeDamage(1)) {
-                        this.particleSystem.createExplosion(
-                            obstacle.position.x,
-                            obstacle.position.y,
-                            30,
-                            obstacle.color
-                        );
-                        this.audioSystem.playExplosion();
-                    }
-                }
+            this.gameState.quantumActive = true;
+            this.events.emit('tunneling', ball, ball.position.clone());
+        } else {
+            // Normal collision; a spinning obstacle's surface moves with its rotation
+            const surfaceVelocity = this.collisionSystem.pointVelocity(
+                contact.point,
+                obstacle.position,
+                obstacle.velocity,
+                obstacle.rotationSpeed
+            );
+            const friction = obstacle.rotationSpeed !== 0 ? 0.3 : 0;
+            this.collisionSystem.resolveContact(ball, contact, obstacle.position, surfaceVelocity, friction);
+            this.events.emit('obstacleBounce', ball, obstacle);
+            
+            // Damage breakable obstacles
+            if (obstacle.type === 'breakable' && obstacle.takeDamage(1)) {
+                this.events.emit('obstacleDestroyed', obstacle);
             }
         }
     }
@@ -2607,12 +3486,7 @@ class OvercomplicatedPong {
             { x: ball2.position.x, y: ball2.position.y, radius: ball2.radius }
         )) {
             this.collisionSystem.resolveCircleCircle(ball1, ball2);
-            this.audioSystem.playWallBounce();
-            
-            // Create particle effect
-            const midX = (ball1.position.x + ball2.position.x) / 2;
-            const midY = (ball1.position.y + ball2.position.y) / 2;
-            this.particleSystem.createExplosion(midX, midY, 15, '#ff00ff');
+            this.events.emit('ballCollision', ball1, ball2);
         }
     }
     
@@ -2624,15 +3498,18 @@ class OvercomplicatedPong {
         this.balls.forEach(ball => {
             if (!ball.isActive) return;
             
-            const riftResult = this.quantumEngine.checkDimensionalRift(ball.position);
+            const riftResult = this.quantumEngine.checkDimensionalRift(ball.position, ball.velocity, ball.id);
             if (riftResult.teleport) {
+                const turned = riftResult.velocity.x !== ball.velocity.x || riftResult.velocity.y !== ball.velocity.y;
                 ball.position.x = riftResult.destination.x;
                 ball.position.y = riftResult.destination.y;
-                this.audioSystem.playQuantumEvent('rift');
-                this.particleSystem.createPortalEffect(
-                    riftResult.destination.x,
-                    riftResult.destination.y
-                );
+                ball.velocity.x = riftResult.velocity.x;
+                ball.velocity.y = riftResult.velocity.y;
+                if (turned) {
+                    this.keepCrossing(ball);
+                }
+                ball.resetInterpolation();
+                this.events.emit('riftTeleport', ball, riftResult.rift);
             }
         });
         
@@ -2640,71 +3517,59 @@ class OvercomplicatedPong {
         this.balls.forEach(ball => {
             if (ball.inSuperposition && ball.quantumState) {
                 if (ball.quantumState.coherence < 0.3) {
-                    ball.collapseSuperposition();
-                    this.audioSystem.playQuantumEvent('collapse');
-                    this.particleSystem.createQuantumEffect(
-                        ball.position.x,
-                        ball.position.y,
-                        'collapse'
-                    );
+                    ball.collapseSuperposition(this.rng);
+                    this.events.emit('collapse', ball);
                 }
             }
         });
         
         // Random quantum fluctuations
-        if (Math.random() < 0.001 && this.gameState.chaosLevel > 5) {
-            const ball = Random.choice(this.balls);
+        if (this.rng.next() < 0.001 && this.gameState.chaosLevel > 5) {
+            const ball = this.rng.choice(this.balls);
             if (ball && ball.isActive) {
                 ball.enterSuperposition(4);
-                this.audioSystem.playQuantumEvent('superposition');
+                this.events.emit('superposition', ball);
             }
         }
     }
     
+    /**
+     * Steer a ball that's heading too steeply back towards the paddles (a rift turned it),
+     * so it doesn't bounce between the walls for ever
+     */
+    keepCrossing(ball) {
+        const speed = Math.hypot(ball.velocity.x, ball.velocity.y);
+        const across = speed * GAME_CONFIG.quantum.riftMinAcross;
+        if (Math.abs(ball.velocity.x) >= across) return;
+        
+        ball.velocity.x = (ball.velocity.x < 0 ? -1 : 1) * across;
+        ball.velocity.y = (ball.velocity.y < 0 ? -1 : 1) * Math.sqrt(speed * speed - across * across);
+    }
+    
     /**
      * Score a point
      */
     scorePoint(player, ball) {
         this.gameState.scorePoint(player);
+        const position = ball.position.clone();
         
-        // Audio feedback
-        this.audioSystem.playScore(player === 1);
-        
-        // Visual feedback
-        this.flashEffect = 1.0;
-        this.particleSystem.createExplosion(
-            ball.position.x,
-            ball.position.y,
-            50,
-            player === 1 ? '#00ff00' : '#ff0000'
-        );
-        
-        // Reset ball or remove it
-        if (this.balls.length > 1) {
+        // Reset ball or remove it (survival clears every scored ball)
+        const clearsBalls = this.modeController && this.modeController.clearsScoredBalls;
+        if (this.balls.length > 1 || clearsBalls) {
             const index = this.balls.indexOf(ball);
             if (index > -1) {
                 this.balls.splice(index, 1);
             }
         } else {
-            ball.reset(player === 1 ? 1 : -1);
+            ball.reset(player === 1 ? 1 : -1, this.rng);
         }
         
-        // Train AI
-        if (this.neuralNetworkAI && this.gameState.mode === 'vs-ai') {
-            const reward = this.neuralNetworkAI.calculateReward(
-                this.paddle2,
-                ball,
-                player === 2,
-                player === 1
-            );
-            
-            const state = this.neuralNetworkAI.getStateRepresentation(
-                this.paddle2,
-                ball,
-                this.gameState
-            );
-            
-            this.neuralNetworkAI.remember(state, 0, reward, state, true);
+        this.events.emit('score', player, ball, position);
+        
+        if (this.gameState.state === 'gameover') {
+            this.events.emit('gameOver', this.gameState);
+        } else if (this.modeController) {
+            this.modeController.onScore(player);
         }
     }
     
@@ -2712,12 +3577,13 @@ class OvercomplicatedPong {
      * Spawn random power-up
      */
     spawnPowerUp() {
-        const type = Random.choice(GAME_CONFIG.powerups.types);
-        const x = Random.range(200, GAME_CONFIG.canvas.width - 200);
-        const y = Random.range(100, GAME_CONFIG.canvas.height - 100);
+        const type = this.rng.choice(GAME_CONFIG.powerups.types);
+        const x = this.rng.range(200, GAME_CONFIG.world.width - 200);
+        const y = this.rng.range(100, GAME_CONFIG.world.height - 100);
         
         const powerup = new PowerUp(x, y, type);
         this.powerups.push(powerup);
+        return powerup;
     }
     
     /**
@@ -2725,13 +3591,7 @@ class OvercomplicatedPong {
      */
     collectPowerUp(powerup, ball) {
         powerup.active = false;
-        this.audioSystem.playPowerUp(powerup.type);
-        this.particleSystem.createExplosion(
-            powerup.position.x,
-            powerup.position.y,
-            30,
-            powerup.color
-        );
+        this.events.emit('powerupCollected', powerup, ball);
         
         // Apply power-up effect
         this.applyPowerUpEffect(powerup.type, ball);
@@ -2745,53 +3605,55 @@ class OvercomplicatedPong {
             case 'speedBoost':
                 ball.velocity = ball.velocity.multiply(1.5);
                 break;
-                
+            
             case 'sizeChange':
-                ball.radius *= Random.bool() ? 1.5 : 0.7;
+                ball.radius *= this.rng.bool() ? 1.5 : 0.7;
                 ball.radius = MathUtil.clamp(ball.radius, 5, 20);
                 break;
-                
+            
             case 'multiBall':
                 for (let i = 0; i < 2; i++) {
                     const newBall = this.createBall();
                     newBall.position = ball.position.clone();
-                    const angle = Random.range(0, Math.PI * 2);
+                    newBall.resetInterpolation();
+                    const angle = this.rng.range(0, Math.PI * 2);
                     newBall.velocity = Vector2D.fromAngle(angle, ball.velocity.magnitude());
                 }
                 break;
-                
+            
             case 'shield':
                 const paddle = ball.lastHitBy || this.paddle1;
+                const player = paddle === this.paddle1 ? 1 : 2;
                 paddle.shield = true;
                 paddle.shieldEnergy = 100;
-                setTimeout(() => {
-                    paddle.shield = false;
-                }, GAME_CONFIG.powerups.duration);
+                // A fresh shield replaces the old expiry instead of being cut short by it
+                this.scheduler.cancelMatching('shieldExpire', { player });
+                this.scheduler.schedule('shieldExpire', GAME_CONFIG.powerups.duration, { player }, {
+                    label: 'Shield'
+                });
                 break;
-                
+            
             case 'quantum':
                 ball.enterSuperposition(5);
                 this.gameState.quantumActive = true;
                 break;
-                
+            
             case 'timeSlow':
-                this.gameState.timeScale = 0.5;
-                setTimeout(() => {
-                    this.gameState.timeScale = 1.0;
-                }, GAME_CONFIG.powerups.duration);
+                this.slowTime(GAME_CONFIG.powerups.duration, 'Time slow');
                 break;
-                
+            
             case 'gravity':
                 ball.affectedByGravity = !ball.affectedByGravity;
-                setTimeout(() => {
-                    ball.affectedByGravity = false;
-                }, GAME_CONFIG.powerups.duration);
+                this.scheduler.cancelMatching('gravityExpire', { ballId: ball.id });
+                this.scheduler.schedule('gravityExpire', GAME_CONFIG.powerups.duration, { ballId: ball.id }, {
+                    label: 'Gravity'
+                });
                 break;
-                
+            
             case 'magnetic':
                 const center = new Vector2D(
-                    GAME_CONFIG.canvas.width / 2,
-                    GAME_CONFIG.canvas.height / 2
+                    GAME_CONFIG.world.width / 2,
+                    GAME_CONFIG.world.height / 2
                 );
                 const field = new ForceField(
                     center.x,
@@ -2803,1756 +3665,5495 @@ class OvercomplicatedPong {
                 field.lifetime = GAME_CONFIG.powerups.duration;
                 this.forceFields.push(field);
                 break;
-                
+            
             case 'explosive':
                 ball.explosive = true;
-                setTimeout(() => {
-                    ball.explosive = false;
-                }, GAME_CONFIG.powerups.duration);
+                this.scheduler.cancelMatching('explosiveExpire', { ballId: ball.id });
+                this.scheduler.schedule('explosiveExpire', GAME_CONFIG.powerups.duration, { ballId: ball.id }, {
+                    label: 'Explosive'
+                });
                 break;
-                
+            
             case 'portal':
-                const entrance = { x: Random.int(100, 500), y: Random.int(100, 700) };
-                const exit = { x: Random.int(700, 1100), y: Random.int(100, 700) };
-                this.quantumEngine.createDimensionalRift(entrance, exit);
+                // Somewhere on the left half to somewhere on the right, its exit facing up to
+                // 45 degrees off straight back
+                const { width, height } = GAME_CONFIG.world;
+                const entrance = { x: this.rng.int(width / 12, width * 5 / 12), y: this.rng.int(height / 8, height * 7 / 8) };
+                const exit = { x: this.rng.int(width * 7 / 12, width * 11 / 12), y: this.rng.int(height / 8, height * 7 / 8) };
+                this.events.emit('riftOpened', this.quantumEngine.createDimensionalRift(entrance, exit, {
+                    twoWay: GAME_CONFIG.quantum.twoWayRifts,
+                    entranceAngle: 0,
+                    exitAngle: Math.PI + this.rng.int(-1, 1) * Math.PI / 4
+                }));
                 break;
-                
+            
             case 'chaos':
                 this.gameState.chaosLevel += 2;
-                this.audioSystem.playChaosSound();
+                this.events.emit('chaosSurge');
                 for (let i = 0; i < 3; i++) {
-                    setTimeout(() => {
-                        this.spawnPowerUp();
-                    }, i * 1000);
+                    this.scheduler.schedule('spawnPowerUp', i * 1000, {}, { label: 'Chaos spawn' });
                 }
                 break;
-                
+            
             case 'freeze':
                 ball.frozen = true;
-                setTimeout(() => {
-                    ball.frozen = false;
-                }, 2000);
+                this.scheduler.cancelMatching('freezeExpire', { ballId: ball.id });
+                this.scheduler.schedule('freezeExpire', 2000, { ballId: ball.id }, { label: 'Freeze' });
                 break;
         }
     }
-    
-    /**
-     * Update visual effects
-     */
-    updateVisualEffects(deltaTime) {
-        // Screen shake decay
-        this.screenShake *= 0.9;
-        if (this.screenShake < 0.1) this.screenShake = 0;
+}
+
+
+// ================================================================================================
+// MAIN GAME CLASS - THE OVERCOMPLICATED PONG ORCHESTRATOR
+// ================================================================================================
+
+/**
+ * Main game class: the browser shell around GameSimulation.
+ * Handles input, rendering, audio, particles and the HUD.
+ */
+class OvercomplicatedPong {
+    constructor() {
+        this.canvas = document.getElementById('gameCanvas');
+        this.ctx = this.canvas.getContext('2d');
         
-        // Flash effect decay
-        this.flashEffect *= 0.9;
-        if (this.flashEffect < 0.01) this.flashEffect = 0;
+        // The canvas fills the window (letterboxed); everything draws in world units
+        this.viewport = new Viewport(this.canvas);
+        window.addEventListener('resize', () => this.viewport.fit());
         
-        // Time warp effect decay
-        this.timeWarpEffect *= 0.95;
-        if (this.timeWarpEffect < 0.01) this.timeWarpEffect = 0;
-    }
-    
-    
-    /**
-     * Render everything
-     */
-    render() {
-        // Apply screen shake
-        this.ctx.save();
-        if (this.screenShake > 0) {
-            const shakeX = (Math.random() - 0.5) * this.screenShake;
-            const shakeY = (Math.random() - 0.5) * this.screenShake;
-            this.ctx.translate(shakeX, shakeY);
-        }
+        // Core systems
+        this.simulation = new GameSimulation();
+        this.audioSystem = new AudioSystem();
+        this.particleSystem = new ParticleSystem();
+        this.bindSimulationEvents();
         
-        // Clear canvas
-        this.ctx.fillStyle = GAME_CONFIG.canvas.backgroundColor;
-        this.ctx.fillRect(0, 0, GAME_CONFIG.canvas.width, GAME_CONFIG.canvas.height);
+        // AI
+        this.neuralNetworkAI = null;
+        this.quantumAI = null;
         
-        // Draw background effects
-        this.renderBackground();
+        // Online play (see startOnline and watchOnline); null for local matches
+        this.online = null;
+        this.onlineTokenKey = null;
+        
+        // Whose side a spectator watches from: 2 mirrors the field so player 2 is on the left
+        this.perspective = 1;
+        
+        // Every match is recorded; replayPlayer is set while watching one back
+        this.replaySystem = new ReplaySystem();
+        this.replayPlayer = null;
+        
+        // Player settings, applied live (see setupSettings); capturingControl is a key being rebound
+        this.settings = new SettingsManager();
+        this.capturingControl = null;
+        this.pausedForSettings = false;
+        
+        // The last few seconds of play, shown in slow motion after a goal (see onPointScored)
+        this.recentStates = new RingBuffer(GAME_CONFIG.replay.instantSeconds * GAME_CONFIG.timing.tickRate);
+        this.instantReplay = null;
+        
+        // Heights the paddles steer to after a touch (or the mouse, for paddle 1), until
+        // another input moves them; the fingers on the field by touch identifier
+        this.pointerTargets = { 1: null, 2: null };
+        this.touches = new Map();
+        this.twoFingerTap = null;
+        this.touchDevice = false;
+        
+        // Rifts being aimed (rift held down) by input player: { entrance, exit, moving }, where
+        // its ends will open and which one the player is moving
+        this.riftAims = {};
+        
+        // Practice and replays show the previous rally as a ghost (G hides it)
+        this.rallyGhost = new RallyGhost();
+        this.showGhost = true;
+        
+        // Input handling: key state, and which keys do what (rebindable in the settings)
+        this.input = new InputManager();
+        this.actionMap = new ActionMap(this.settings.get('controls'));
+        this.gamepads = new GamepadManager();
+        this.setupInput();
         
-        // Draw dimensional rifts
-        this.renderDimensionalRifts();
+        // Game loop: fixed-rate simulation ticks, rendering interpolates between the last two
+        this.lastTime = 0;
+        this.accumulator = 0;
+        this.renderAlpha = 1;
+        this.fps = 60;
+        this.fpsHistory = [];
+        this.running = false;
         
-        // Draw force fields
-        this.renderForceFields();
+        // HUD elements
+        this.hudElements = {
+            p1Score: document.getElementById('p1Score'),
+            p2Score: document.getElementById('p2Score'),
+            p1Speed: document.getElementById('p1Speed'),
+            p2Speed: document.getElementById('p2Speed'),
+            p1Quantum: document.getElementById('p1Quantum'),
+            p2Quantum: document.getElementById('p2Quantum'),
+            p1Effects: document.getElementById('p1Effects'),
+            p2Effects: document.getElementById('p2Effects'),
+            p1Rift: document.getElementById('p1Rift'),
+            p2Rift: document.getElementById('p2Rift'),
+            fps: document.getElementById('fps'),
+            particles: document.getElementById('particles'),
+            dimension: document.getElementById('dimension'),
+            quantumState: document.getElementById('quantumState'),
+            hud: document.getElementById('hud'),
+            overlay: document.getElementById('overlay'),
+            
+            // Mode-specific HUD
+            waveDisplay: document.getElementById('waveDisplay'),
+            waveNumber: document.getElementById('waveNumber'),
+            livesCount: document.getElementById('livesCount'),
+            timerDisplay: document.getElementById('timerDisplay'),
+            timeRemaining: document.getElementById('timeRemaining'),
+            bossDisplay: document.getElementById('bossDisplay'),
+            bossHealthFill: document.getElementById('bossHealthFill'),
+            netDisplay: document.getElementById('netDisplay'),
+            netStatus: document.getElementById('netStatus'),
+            p1Panel: document.getElementById('p1Panel'),
+            p2Panel: document.getElementById('p2Panel'),
+            
+            // Online menu
+            relayUrl: document.getElementById('relayUrl'),
+            roomCode: document.getElementById('roomCode'),
+            netcode: document.getElementById('netcode'),
+            onlineStatus: document.getElementById('onlineStatus'),
+            replayButton: document.getElementById('replayButton'),
+            replayDownload: document.getElementById('replayDownload'),
+            replayStatus: document.getElementById('replayStatus'),
+            touchControls: document.getElementById('touchControls'),
+            touchControls1: document.getElementById('touchControls1'),
+            touchControls2: document.getElementById('touchControls2'),
+            settingsPanel: document.getElementById('settingsPanel'),
+            bindingStatus: document.getElementById('bindingStatus'),
+            gamepadStatus: document.getElementById('gamepadStatus'),
+            p1Pad: document.getElementById('p1Pad'),
+            p2Pad: document.getElementById('p2Pad'),
+            
+            // Replay viewer
+            replayControls: document.getElementById('replayControls'),
+            replayPlay: document.getElementById('replayPlay'),
+            replayScrub: document.getElementById('replayScrub'),
+            replaySpeed: document.getElementById('replaySpeed'),
+            replayTime: document.getElementById('replayTime')
+        };
         
-        // Draw obstacles
-        this.obstacles.forEach(obs => obs.draw(this.ctx));
+        // Visual effects
+        this.backgroundEffects = [];
+        this.screenShake = 0;
+        this.flashEffect = 0;
+        this.timeWarpEffect = 0;
         
-        // Draw particles
-        this.particleSystem.draw(this.ctx);
+        // Initialize
+        this.initialize();
+    }
+    
+    // The simulation on screen: the match, or during an instant replay the replay's copy of it
+    get scene() { return this.instantReplay ? this.instantReplay.simulation : this.simulation; }
+    
+    // Simulation state, exposed directly for rendering, debugging and game modes
+    get gameState() { return this.scene.gameState; }
+    get quantumEngine() { return this.scene.quantumEngine; }
+    get collisionSystem() { return this.scene.collisionSystem; }
+    get paddle1() { return this.scene.paddle1; }
+    get paddle2() { return this.scene.paddle2; }
+    get balls() { return this.scene.balls; }
+    get powerups() { return this.scene.powerups; }
+    get obstacles() { return this.scene.obstacles; }
+    get forceFields() { return this.scene.forceFields; }
+    get modeController() { return this.scene.modeController; }
+    
+    /**
+     * Initialize game systems
+     */
+    async initialize() {
+        console.log('Initializing Overcomplicated Pong...');
         
-        // Draw power-ups
-        this.powerups.forEach(powerup => powerup.draw(this.ctx));
+        // Initialize audio (requires user interaction)
+        document.addEventListener('click', () => {
+            if (!this.audioSystem.enabled) {
+                this.audioSystem.initialize();
+            }
+        }, { once: true });
         
-        // Draw paddles
-        this.paddle1.draw(this.ctx);
-        this.paddle2.draw(this.ctx);
+        // Default relay: the server this page came from (relay-server.js serves the game), else a local one
+        if (this.hudElements.relayUrl && !this.hudElements.relayUrl.value) {
+            this.hudElements.relayUrl.value = location.protocol.startsWith('http')
+                ? `${location.protocol === 'https:' ? 'wss' : 'ws'}://${location.host}`
+                : `ws://localhost:${GAME_CONFIG.network.relayPort}`;
+        }
         
-        // Draw balls
-        this.balls.forEach(ball => ball.draw(this.ctx));
+        // Create AI instances
+        this.aiRandom = new SeededRandom();
+        this.neuralNetworkAI = new NeuralNetworkAI(this.settings.get('difficulty'));
+        this.abilityAI = new QuantumAbilityAI(2, this.settings.get('difficulty'), this.aiRandom);
+        this.setupSettings();
+        this.setupTouchControls();
+        this.gamepads.poll();
+        this.updateGamepadStatus();
         
-        // Draw quantum entanglement lines
-        this.renderQuantumEntanglement();
+        // Try to load saved AI model
+        try {
+            await this.neuralNetworkAI.loadModel();
+        } catch (e) {
+            console.log('No saved AI model');
+        }
         
-        // Draw center line
-        this.renderCenterLine();
+        console.log('Game initialized!');
+    }
+    
+    /**
+     * Turn simulation events into sound, particles and screen effects
+     */
+    bindSimulationEvents() {
+        const events = this.simulation.events;
         
-        // Draw visual effects
-        this.renderVisualEffects();
+        events.on('paddleHit', (ball, paddle, collision, perfect) => {
+            if (perfect) {
+                this.particleSystem.createExplosion(collision.point.x, collision.point.y, 20, '#ffff00');
+            }
+            this.audioSystem.playPaddleHit(collision.velocity);
+            this.screenShake = Math.min(ball.velocity.magnitude() / 5, 10);
+        });
         
-        // Draw game over / pause screen
-        if (this.gameState.state === 'gameover') {
-            this.renderGameOver();
-        } else if (this.gameState.state === 'paused') {
-            this.renderPaused();
-        }
+        events.on('entanglement', () => {
+            this.audioSystem.playQuantumEvent('entanglement');
+        });
         
-        this.ctx.restore();
+        events.on('wallBounce', (ball, point) => {
+            this.audioSystem.playWallBounce();
+            this.particleSystem.createExplosion(point.x, point.y, 10, '#ffffff');
+        });
+        
+        events.on('obstacleBounce', () => {
+            this.audioSystem.playWallBounce();
+        });
+        
+        events.on('obstacleDestroyed', (obstacle) => {
+            this.particleSystem.createExplosion(obstacle.position.x, obstacle.position.y, 30, obstacle.color);
+            this.audioSystem.playExplosion();
+        });
+        
+        events.on('tunneling', (ball, exitPosition) => {
+            this.audioSystem.playQuantumEvent('tunneling');
+            this.particleSystem.createQuantumEffect(exitPosition.x, exitPosition.y, 'tunneling');
+        });
+        
+        events.on('ballCollision', (ball1, ball2) => {
+            this.audioSystem.playWallBounce();
+            const midX = (ball1.position.x + ball2.position.x) / 2;
+            const midY = (ball1.position.y + ball2.position.y) / 2;
+            this.particleSystem.createExplosion(midX, midY, 15, '#ff00ff');
+        });
+        
+        events.on('superposition', (ball) => {
+            this.audioSystem.playQuantumEvent('superposition');
+            this.particleSystem.createQuantumEffect(ball.position.x, ball.position.y, 'superposition');
+        });
+        
+        events.on('collapse', (ball) => {
+            this.audioSystem.playQuantumEvent('collapse');
+            this.particleSystem.createQuantumEffect(ball.position.x, ball.position.y, 'collapse');
+        });
+        
+        events.on('riftOpened', (rift) => {
+            this.audioSystem.playQuantumEvent('rift');
+            this.particleSystem.createPortalEffect(rift.entrance.x, rift.entrance.y);
+            this.particleSystem.createPortalEffect(rift.exit.x, rift.exit.y);
+        });
+        
+        events.on('riftTeleport', (ball) => {
+            this.audioSystem.playQuantumEvent('rift');
+            this.particleSystem.createPortalEffect(ball.position.x, ball.position.y);
+        });
+        
+        events.on('timeSlow', () => {
+            this.timeWarpEffect = 1.0;
+            this.audioSystem.playQuantumEvent('collapse');
+        });
+        
+        events.on('powerupCollected', (powerup) => {
+            this.audioSystem.playPowerUp(powerup.type);
+            this.particleSystem.createExplosion(powerup.position.x, powerup.position.y, 30, powerup.color);
+        });
+        
+        events.on('chaosSurge', () => {
+            this.audioSystem.playChaosSound();
+        });
+        
+        events.on('score', (player, ball, position) => {
+            this.onPointScored(player, ball, position);
+        });
     }
     
     /**
-     * Render background effects
+     * Wire the settings panel to SettingsManager, then apply every setting now and again
+     * whenever one changes
      */
-    renderBackground() {
-        // Quantum field background
-        if (this.gameState.quantumActive) {
-            const gradient = this.ctx.createRadialGradient(
-                GAME_CONFIG.canvas.width / 2,
-                GAME_CONFIG.canvas.height / 2,
-                0,
-                GAME_CONFIG.canvas.width / 2,
-                GAME_CONFIG.canvas.height / 2,
-                GAME_CONFIG.canvas.width
-            );
-            gradient.addColorStop(0, 'rgba(138, 43, 226, 0.05)');
-            gradient.addColorStop(1, 'rgba(138, 43, 226, 0)');
-            this.ctx.fillStyle = gradient;
-            this.ctx.fillRect(0, 0, GAME_CONFIG.canvas.width, GAME_CONFIG.canvas.height);
+    setupSettings() {
+        const panel = this.hudElements.settingsPanel;
+        if (panel) {
+            panel.querySelectorAll('[data-setting]').forEach(input => {
+                input.addEventListener(input.type === 'range' ? 'input' : 'change', () => {
+                    const value = input.type === 'checkbox' ? input.checked : Number(input.value);
+                    this.settings.set(input.dataset.setting, value);
+                });
+            });
+            panel.querySelectorAll('[data-control]').forEach(button => {
+                button.addEventListener('click', () => {
+                    this.capturingControl = button.dataset.control;
+                    this.setBindingStatus(`Press a key for ${this.describeControl(button.dataset.control)} (ESC cancels)`);
+                    this.updateSettingsPanel();
+                });
+            });
         }
         
-        // Dimension-specific effects
-        if (this.gameState.dimension === 'Mirror') {
-            this.ctx.globalAlpha = 0.1;
-            this.ctx.scale(-1, 1);
-            this.ctx.translate(-GAME_CONFIG.canvas.width, 0);
-            // Draw mirrored content would go here
-            this.ctx.setTransform(1, 0, 0, 1, 0, 0);
-            this.ctx.globalAlpha = 1;
+        this.settings.events.on('change', (key, value) => this.applySetting(key, value));
+        Object.keys(this.settings.settings).forEach(key => this.applySetting(key, this.settings.get(key)));
+    }
+    
+    /**
+     * Put one setting into effect
+     */
+    applySetting(key, value) {
+        switch (key) {
+            case 'volume':
+                this.audioSystem.setVolume(value);
+                break;
+            case 'musicEnabled':
+                this.audioSystem.setMusicEnabled(value);
+                break;
+            case 'sfxEnabled':
+                this.audioSystem.setSfxEnabled(value);
+                break;
+            case 'particlesEnabled':
+                this.particleSystem.setEnabled(value);
+                break;
+            case 'screenShakeEnabled':
+                if (!value) this.screenShake = 0;
+                break;
+            case 'difficulty':
+                if (this.neuralNetworkAI) this.neuralNetworkAI.difficulty = value;
+                if (this.abilityAI) this.abilityAI.difficulty = value;
+                break;
+            case 'instantReplay':
+                this.recentStates.clear();
+                break;
+            case 'mouseControl':
+                this.canvas.style.cursor = value ? 'crosshair' : '';
+                if (!value) this.pointerTargets[1] = null;
+                break;
+            case 'controls':
+                this.actionMap.load(value);
+                break;
         }
-        
-        // Chaos mode visual noise
-        if (this.gameState.chaosLevel > 5) {
-            this.ctx.globalAlpha = (this.gameState.chaosLevel - 5) / 20;
-            for (let i = 0; i < 50; i++) {
-                const x = Random.int(0, GAME_CONFIG.canvas.width);
-                const y = Random.int(0, GAME_CONFIG.canvas.height);
-                this.ctx.fillStyle = Random.color();
-                this.ctx.fillRect(x, y, 2, 2);
+        this.updateSettingsPanel();
+    }
+    
+    /**
+     * Keep the settings panel's inputs in step with the settings
+     */
+    updateSettingsPanel() {
+        const panel = this.hudElements.settingsPanel;
+        if (!panel) return;
+        
+        panel.querySelectorAll('[data-setting]').forEach(input => {
+            const value = this.settings.get(input.dataset.setting);
+            if (input.type === 'checkbox') {
+                input.checked = Boolean(value);
+            } else {
+                input.value = String(value);
             }
-            this.ctx.globalAlpha = 1;
-        }
+        });
+        const conflicts = this.actionMap.getConflicts();
+        panel.querySelectorAll('[data-control]').forEach(button => {
+            const control = button.dataset.control;
+            const [player, action] = control.split('.');
+            button.textContent = control === this.capturingControl
+                ? '...'
+                : ActionMap.describeKey(this.actionMap.getKey(player, action));
+            button.classList.toggle('conflict', conflicts.has(control));
+        });
     }
     
     /**
-     * Render center line
+     * "Player 1 Spawn portal" for a 'player.action' control id
      */
-    renderCenterLine() {
-        const centerX = GAME_CONFIG.canvas.width / 2;
-        this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
-        this.ctx.lineWidth = 2;
-        this.ctx.setLineDash([10, 10]);
-        this.ctx.beginPath();
-        this.ctx.moveTo(centerX, 0);
-        this.ctx.lineTo(centerX, GAME_CONFIG.canvas.height);
-        this.ctx.stroke();
-        this.ctx.setLineDash([]);
+    describeControl(control) {
+        const [player, action] = control.split('.');
+        return `Player ${player} ${ActionMap.LABELS[action]}`;
     }
     
     /**
-     * Render dimensional rifts
+     * Bind the key pressed while capturing a control, swapping it over if it was taken
      */
-    renderDimensionalRifts() {
-        const rifts = this.quantumEngine.dimensionalRifts;
+    bindCapturedKey(key) {
+        const control = this.capturingControl;
+        this.capturingControl = null;
         
-        rifts.forEach(rift => {
-            // Draw entrance
-            this.renderRift(rift.entrance.x, rift.entrance.y, rift.radius, rift.stability);
-            
-            // Draw exit
-            this.renderRift(rift.exit.x, rift.exit.y, rift.radius, rift.stability);
-            
-            // Draw connection line
-            this.ctx.save();
-            this.ctx.strokeStyle = `rgba(0, 255, 255, ${rift.stability * 0.3})`;
-            this.ctx.lineWidth = 2;
-            this.ctx.setLineDash([5, 5]);
-            this.ctx.beginPath();
-            this.ctx.moveTo(rift.entrance.x, rift.entrance.y);
-            this.ctx.lineTo(rift.exit.x, rift.exit.y);
-            this.ctx.stroke();
-            this.ctx.setLineDash([]);
-            this.ctx.restore();
-        });
+        if (key === 'Escape') {
+            this.setBindingStatus('');
+        } else {
+            const [player, action] = control.split('.');
+            const result = this.actionMap.bind(Number(player), action, key);
+            if (result.error) {
+                this.setBindingStatus(result.error);
+            } else {
+                const { swapped } = result;
+                const swappedKey = swapped && ActionMap.describeKey(this.actionMap.getKey(swapped.player, swapped.action));
+                this.setBindingStatus(swapped
+                    ? `Swapped with ${this.describeControl(`${swapped.player}.${swapped.action}`)} (now ${swappedKey})`
+                    : '');
+                this.settings.set('controls', this.actionMap.toJSON());
+            }
+        }
+        this.updateSettingsPanel();
     }
     
     /**
-     * Render single rift
+     * Back to the default keys for everything
      */
-    renderRift(x, y, radius, stability) {
-        this.ctx.save();
+    resetControls() {
+        this.actionMap.reset();
+        this.settings.set('controls', this.actionMap.toJSON());
+        this.setBindingStatus('Keys reset to the defaults');
+    }
+    
+    setBindingStatus(text) {
+        if (this.hudElements.bindingStatus) {
+            this.hudElements.bindingStatus.textContent = text;
+        }
+    }
+    
+    isSettingsOpen() {
+        return Boolean(this.hudElements.settingsPanel) && !this.hudElements.settingsPanel.classList.contains('hidden');
+    }
+    
+    /**
+     * Open/close the settings; a local match pauses while they're open
+     */
+    toggleSettings() {
+        const panel = this.hudElements.settingsPanel;
+        if (!panel) return;
         
-        // Outer glow
-        const gradient = this.ctx.createRadialGradient(x, y, 0, x, y, radius);
-        gradient.addColorStop(0, `rgba(0, 255, 255, ${stability * 0.5})`);
-        gradient.addColorStop(0.5, `rgba(138, 43, 226, ${stability * 0.3})`);
-        gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
-        this.ctx.fillStyle = gradient;
-        this.ctx.beginPath();
-        this.ctx.arc(x, y, radius, 0, Math.PI * 2);
-        this.ctx.fill();
+        const open = !this.isSettingsOpen();
+        panel.classList.toggle('hidden', !open);
+        this.capturingControl = null;
+        this.setBindingStatus('');
+        this.updateSettingsPanel();
         
-        // Spinning ring
-        const time = Date.now() * 0.001;
-        for (let i = 0; i < 8; i++) {
-            const angle = (Math.PI * 2 * i / 8) + time;
-            const r = radius * 0.8;
-            const px = x + Math.cos(angle) * r;
-            const py = y + Math.sin(angle) * r;
-            
-            this.ctx.fillStyle = ColorUtil.rainbow(i / 8);
-            this.ctx.globalAlpha = stability;
-            this.ctx.beginPath();
-            this.ctx.arc(px, py, 3, 0, Math.PI * 2);
-            this.ctx.fill();
+        const gameState = this.simulation.gameState;
+        if (open && this.running && !this.online && !this.replayPlayer && gameState.state === 'playing') {
+            gameState.togglePause();
+            this.pausedForSettings = true;
+        } else if (!open && this.pausedForSettings) {
+            if (gameState.state === 'paused') gameState.togglePause();
+            this.pausedForSettings = false;
         }
-        
-        this.ctx.restore();
     }
     
     /**
-     * Render force fields
+     * Enter or leave fullscreen; the viewport refits on the resize that follows
      */
-    renderForceFields() {
-        this.forceFields.forEach(field => {
-            if (!field.active) return;
+    toggleFullscreen() {
+        if (document.fullscreenElement) {
+            document.exitFullscreen();
+        } else if (document.documentElement.requestFullscreen) {
+            // Refused (e.g. not from a key press or click, or in a frame): stay windowed
+            document.documentElement.requestFullscreen().catch(() => {});
+        }
+    }
+    
+    /**
+     * Setup input handling
+     */
+    setupInput() {
+        // Keyboard input
+        window.addEventListener('keydown', (e) => {
+            // Rebinding a control takes the next key (ESC cancels)
+            if (this.capturingControl) {
+                e.preventDefault();
+                this.bindCapturedKey(e.key);
+                return;
+            }
             
-            this.ctx.save();
+            // TAB opens/closes the settings, and while they're open ESC closes them
+            if (e.key === 'Tab' || (e.key === 'Escape' && this.isSettingsOpen())) {
+                e.preventDefault();
+                this.toggleSettings();
+                return;
+            }
             
-            // Field visualization
-            const alpha = field.lifetime > 0 ? (field.age / field.lifetime) : 0.3;
-            let color;
+            // F toggles fullscreen (unless it's being typed into the online menu)
+            if (InputManager.normalizeKey(e.key) === 'f' && !(e.target && e.target.tagName === 'INPUT')) {
+                this.toggleFullscreen();
+                return;
+            }
             
-            switch (field.type) {
-                case 'attractive':
-                    color = `rgba(0, 255, 0, ${alpha * 0.2})`;
-                    break;
-                case 'repulsive':
-                    color = `rgba(255, 0, 0, ${alpha * 0.2})`;
-                    break;
-                case 'vortex':
-                    color = `rgba(138, 43, 226, ${alpha * 0.2})`;
-                    break;
-                default:
-                    color = `rgba(255, 255, 255, ${alpha * 0.2})`;
+            // Watching a replay, the keys drive the viewer instead
+            if (this.replayPlayer) {
+                this.handleReplayKey(e);
+                return;
             }
             
-            // Draw field boundary
-            this.ctx.strokeStyle = color;
-            this.ctx.lineWidth = 2;
-            this.ctx.beginPath();
-            this.ctx.arc(field.position.x, field.position.y, field.radius, 0, Math.PI * 2);
-            this.ctx.stroke();
-            
-            // Draw field lines for vortex
-            if (field.type === 'vortex') {
-                const time = Date.now() * 0.001;
-                for (let i = 0; i < 12; i++) {
-                    const angle = (Math.PI * 2 * i / 12) + time;
-                    const startR = field.radius * 0.5;
-                    const endR = field.radius;
-                    
-                    this.ctx.beginPath();
-                    this.ctx.moveTo(
-                        field.position.x + Math.cos(angle) * startR,
-                        field.position.y + Math.sin(angle) * startR
-                    );
-                    this.ctx.lineTo(
-                        field.position.x + Math.cos(angle + 0.5) * endR,
-                        field.position.y + Math.sin(angle + 0.5) * endR
-                    );
-                    this.ctx.stroke();
+            // An instant replay only waits to be skipped
+            if (this.instantReplay) {
+                if (e.key === ' ' || e.key === 'Enter' || e.key === 'Escape') {
+                    e.preventDefault();
+                    this.endInstantReplay();
                 }
+                return;
             }
             
-            this.ctx.restore();
-        });
-    }
-    
-    /**
-     * Render quantum entanglement
-     */
-    renderQuantumEntanglement() {
-        const entanglementData = this.quantumEngine.getEntanglementVisualization();
-        
-        entanglementData.forEach(data => {
-            this.ctx.save();
-            
-            // Draw entanglement line
-            const alpha = data.strength * 0.5;
-            this.ctx.strokeStyle = `rgba(255, 0, 255, ${alpha})`;
-            this.ctx.lineWidth = 2;
-            
-            // Wavy line effect
-            this.ctx.beginPath();
-            this.ctx.moveTo(data.pos1.x, data.pos1.y);
+            // Bound actions; player 2's only when a human has the right paddle here
+            // (online, this client plays with player 1's keys whichever side it's on)
+            const actions = this.actionMap.actionsFor(e.key)
+                .filter(({ player }) => player === 1 || (!this.isAIOpponent() && !this.online));
+            if (actions.length > 0 && this.running) {
+                e.preventDefault(); // SPACE scrolls, / opens quick find in some browsers
+            }
+            actions.forEach(({ player, action }) => this.handleAction(player, action));
             
-            const segments = 10;
-            for (let i = 0; i <= segments; i++) {
-                const t = i / segments;
-                const x = MathUtil.lerp(data.pos1.x, data.pos2.x, t);
-                const y = MathUtil.lerp(data.pos1.y, data.pos2.y, t);
-                
-                const wave = Math.sin(t * Math.PI * 4 + Date.now() * 0.005) * 10;
-                const perpX = -(data.pos2.y - data.pos1.y);
-                const perpY = (data.pos2.x - data.pos1.x);
-                const perpLen = Math.sqrt(perpX * perpX + perpY * perpY);
-                
-                if (perpLen > 0) {
-                    this.ctx.lineTo(
-                        x + (perpX / perpLen) * wave,
-                        y + (perpY / perpLen) * wave
-                    );
+            // Practice: G shows/hides the ghost, ENTER while paused ends the session
+            if (this.gameState.mode === 'practice') {
+                if (e.key === 'g' || e.key === 'G') {
+                    this.showGhost = !this.showGhost;
                 }
+                if (e.key === 'Enter' && this.gameState.state === 'paused') {
+                    this.endPractice();
+                }
+            }
+            // Spectators pick whose side to watch from
+            if (this.online && this.online.isSpectator && (e.key === '1' || e.key === '2')) {
+                this.setPerspective(Number(e.key));
             }
             
-            this.ctx.stroke();
-            this.ctx.restore();
+            // ESC always leaves a finished match or stops watching, even with pause rebound
+            if (e.key === 'Escape' && !actions.some(({ action }) => action === 'pause') &&
+                (this.gameState.state === 'gameover' || (this.online && this.online.isSpectator))) {
+                this.returnToMenu();
+            }
         });
-    }
-    
-    /**
-     * Render visual effects overlay
-     */
-    renderVisualEffects() {
-        // Flash effect
-        if (this.flashEffect > 0) {
-            this.ctx.fillStyle = `rgba(255, 255, 255, ${this.flashEffect * 0.3})`;
-            this.ctx.fillRect(0, 0, GAME_CONFIG.canvas.width, GAME_CONFIG.canvas.height);
-        }
         
-        // Time warp effect
-        if (this.timeWarpEffect > 0) {
-            this.ctx.save();
-            this.ctx.strokeStyle = `rgba(0, 128, 255, ${this.timeWarpEffect * 0.5})`;
-            this.ctx.lineWidth = 3;
-            
-            const centerX = GAME_CONFIG.canvas.width / 2;
-            const centerY = GAME_CONFIG.canvas.height / 2;
-            const time = Date.now() * 0.01;
-            
-            for (let i = 0; i < 5; i++) {
-                const radius = (time + i * 50) % 500;
-                this.ctx.globalAlpha = (1 - radius / 500) * this.timeWarpEffect;
-                this.ctx.beginPath();
-                this.ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
-                this.ctx.stroke();
-            }
-            
-            this.ctx.restore();
-        }
-    }
-    
-    /**
-     * Render game over screen
-     */
-    renderGameOver() {
-        this.ctx.save();
+        // Releasing a held action (the rift opens when its key comes up)
+        window.addEventListener('keyup', (e) => {
+            if (this.capturingControl || this.replayPlayer || this.instantReplay) return;
+            this.actionMap.actionsFor(e.key)
+                .filter(({ player }) => player === 1 || (!this.isAIOpponent() && !this.online))
+                .forEach(({ player, action }) => this.handleActionRelease(player, action));
+        });
         
-        // Semi-transparent overlay
-        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
-        this.ctx.fillRect(0, 0, GAME_CONFIG.canvas.width, GAME_CONFIG.canvas.height);
+        // Keys let go of while the window wasn't listening can't open a rift later
+        window.addEventListener('blur', () => {
+            this.riftAims = {};
+        });
         
-        // Winner text
-        const winner = this.gameState.score1 >= this.gameState.winScore ? 'Player 1' : 'Player 2';
-        this.ctx.fillStyle = '#ffffff';
-        this.ctx.font = 'bold 72px Arial';
-        this.ctx.textAlign = 'center';
-        this.ctx.textBaseline = 'middle';
+        // Gamepads are polled every frame; these catch (un)plugging on the menu too
+        this.gamepads.events.on('connected', (pad, player) => this.updateGamepadStatus());
+        this.gamepads.events.on('assigned', (pad, player) => this.updateGamepadStatus());
+        this.gamepads.events.on('disconnected', (pad, player) => this.handleGamepadDisconnected(player));
+        this.gamepads.events.on('button', (player, button) => this.handleGamepadButton(player, button));
+        this.gamepads.events.on('buttonUp', (player, button) => {
+            this.actionMap.actionsForButton(player, button)
+                .forEach(({ action }) => this.handleActionRelease(player, action));
+        });
+        window.addEventListener('gamepadconnected', () => this.gamepads.poll());
+        window.addEventListener('gamepaddisconnected', () => this.gamepads.poll());
         
-        const centerX = GAME_CONFIG.canvas.width / 2;
-        const centerY = GAME_CONFIG.canvas.height / 2;
+        // A replay file dropped on the page plays it (from the menu)
+        window.addEventListener('dragover', (e) => e.preventDefault());
+        window.addEventListener('drop', (e) => {
+            e.preventDefault();
+            const file = e.dataTransfer && e.dataTransfer.files[0];
+            if (file && !this.running) {
+                file.text().then(text => this.loadReplayFile(text));
+            }
+        });
         
-        this.ctx.fillText(`${winner} Wins!`, centerX, centerY - 50);
+        // Touch/Mouse input for mobile; a tap or click also skips an instant replay
+        this.canvas.addEventListener('click', () => {
+            if (this.instantReplay) this.endInstantReplay();
+        });
         
-        // Score
-        this.ctx.font = '36px Arial';
-        this.ctx.fillText(`${this.gameState.score1} - ${this.gameState.score2}`, centerX, centerY + 20);
+        // Mouse control: left click quantum powers, middle click time slow, right click a rift
+        this.canvas.addEventListener('mousedown', (e) => {
+            if (!this.settings.get('mouseControl') || !this.running || this.replayPlayer || this.instantReplay) return;
+            
+            const action = ['superposition', 'timeSlow', 'rift'][e.button];
+            if (action) {
+                e.preventDefault(); // middle click would start autoscrolling
+                this.handleAction(1, action);
+            }
+        });
         
-        // Stats
-        this.ctx.font = '20px Arial';
-        this.ctx.fillText('Press ESC to return to menu', centerX, centerY + 80);
+        // Let go anywhere, as the pointer may have left the field while aiming
+        window.addEventListener('mouseup', (e) => {
+            if (!this.settings.get('mouseControl')) return;
+            const action = ['superposition', 'timeSlow', 'rift'][e.button];
+            if (action) this.handleActionRelease(1, action);
+        });
         
-        this.ctx.restore();
+        this.canvas.addEventListener('touchstart', (e) => {
+            e.preventDefault();
+            if (this.instantReplay) {
+                this.endInstantReplay();
+                return;
+            }
+            this.handleTouchStart(e);
+        });
+        
+        this.canvas.addEventListener('touchmove', (e) => {
+            e.preventDefault();
+            this.handleTouchMove(e);
+        });
+        
+        ['touchend', 'touchcancel'].forEach(type => {
+            this.canvas.addEventListener(type, (e) => {
+                e.preventDefault();
+                this.handleTouchEnd(e);
+            });
+        });
     }
     
     /**
-     * Render paused screen
+     * On-screen ability buttons, shown once the screen has been touched
      */
-    renderPaused() {
-        this.ctx.save();
-        
-        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
-        this.ctx.fillRect(0, 0, GAME_CONFIG.canvas.width, GAME_CONFIG.canvas.height);
-        
-        this.ctx.fillStyle = '#ffffff';
-        this.ctx.font = 'bold 48px Arial';
-        this.ctx.textAlign = 'center';
-        this.ctx.textBaseline = 'middle';
-        
-        this.ctx.fillText('PAUSED', GAME_CONFIG.canvas.width / 2, GAME_CONFIG.canvas.height / 2);
-        
-        this.ctx.font = '24px Arial';
-        this.ctx.fillText('Press ESC to resume', GAME_CONFIG.canvas.width / 2, GAME_CONFIG.canvas.height / 2 + 50);
+    setupTouchControls() {
+        window.addEventListener('touchstart', () => {
+            if (this.touchDevice) return;
+            this.touchDevice = true;
+            this.updateTouchControls();
+        });
         
-        this.ctx.restore();
+        if (!this.hudElements.touchControls) return;
+        this.hudElements.touchControls.querySelectorAll('[data-touch-action]').forEach(button => {
+            button.addEventListener('touchstart', (e) => {
+                e.preventDefault();
+                const [player, action] = button.dataset.touchAction.split('.');
+                this.handleAction(Number(player), action);
+            });
+            ['touchend', 'touchcancel'].forEach(type => {
+                button.addEventListener(type, (e) => {
+                    e.preventDefault();
+                    const [player, action] = button.dataset.touchAction.split('.');
+                    this.handleActionRelease(Number(player), action);
+                });
+            });
+        });
     }
     
     /**
-     * Update HUD
+     * A gamepad button was pressed: its action, as for keys. Any button skips an instant replay.
      */
-    updateHUD() {
-        if (!this.hudElements.p1Score) return;
-        
-        // Update scores
-        this.hudElements.p1Score.textContent = this.gameState.score1;
-        this.hudElements.p2Score.textContent = this.gameState.score2;
+    handleGamepadButton(player, button) {
+        if (this.isSettingsOpen() || this.replayPlayer) return;
         
-        // Update speeds
-        if (this.paddle1) {
-            this.hudElements.p1Speed.textContent = Math.abs(this.paddle1.velocity.y).toFixed(1);
-        }
-        if (this.paddle2) {
-            this.hudElements.p2Speed.textContent = Math.abs(this.paddle2.velocity.y).toFixed(1);
+        if (this.instantReplay) {
+            this.endInstantReplay();
+            return;
         }
         
-        // Update quantum energy
-        if (this.paddle1) {
-            this.hudElements.p1Quantum.textContent = Math.floor(this.paddle1.quantumEnergy);
-        }
-        if (this.paddle2) {
-            this.hudElements.p2Quantum.textContent = Math.floor(this.paddle2.quantumEnergy);
+        // Player 2's pad only plays when a human has the right paddle here, as with the keys
+        if (player === 2 && (this.isAIOpponent() || this.online)) return;
+        this.actionMap.actionsForButton(player, button)
+            .forEach(({ action }) => this.handleAction(player, action));
+    }
+    
+    /**
+     * A controller was unplugged: a local match it was playing pauses until it's back
+     */
+    handleGamepadDisconnected(player) {
+        const playing = player === 1 || (player === 2 && !this.isAIOpponent());
+        if (playing && this.running && !this.online && !this.replayPlayer && this.gameState.state === 'playing') {
+            this.gameState.togglePause();
         }
-        
-        // Update FPS
-        this.hudElements.fps.textContent = this.fps;
-        
-        // Update particle count
-        this.hudElements.particles.textContent = this.particleSystem.getCount();
-        
-        // Update dimension
-        this.hudElements.dimension.textContent = this.gameState.dimension;
-        
-        // Update quantum state info
-        const quantumInfo = this.quantumEngine.getQuantumStateInfo();
-        const quantumText = [
-            `States: ${quantumInfo.totalStates}`,
-            `Entanglements: ${quantumInfo.entanglements}`,
-            `Rifts: ${quantumInfo.rifts}`,
-            `Coherence: ${quantumInfo.avgCoherence}`,
-            `Superpositions: ${quantumInfo.superpositions}`,
-            `Fluctuations: ${quantumInfo.fluctuations}`
-        ].join(' | ');
-        
-        this.hudElements.quantumState.textContent = quantumText;
+        this.updateGamepadStatus();
     }
-}
-
-// ================================================================================================
-// ADDITIONAL GAME MECHANICS AND FEATURES
-// ================================================================================================
-
-/**
- * Achievement system
- */
-class AchievementSystem {
-    constructor() {
-        this.achievements = {
-            firstBlood: { unlocked: false, name: 'First Blood', description: 'Score your first point' },
-            perfectionist: { unlocked: false, name: 'Perfectionist', description: 'Hit 10 perfect shots' },
-            quantumMaster: { unlocked: false, name: 'Quantum Master', description: 'Use quantum effects 20 times' },
-            speedDemon: { unlocked: false, name: 'Speed Demon', description: 'Reach max ball speed' },
-            multitasker: { unlocked: false, name: 'Multitasker', description: 'Have 5 balls in play' },
-            survivor: { unlocked: false, name: 'Survivor', description: 'Win without losing a point' },
-            chaosController: { unlocked: false, name: 'Chaos Controller', description: 'Reach chaos level 10' },
-            dimensionalTraveler: { unlocked: false, name: 'Dimensional Traveler', description: 'Use 10 rifts' },
-            aiDefeater: { unlocked: false, name: 'AI Defeater', description: 'Defeat the neural network AI' },
-            quantumEntangler: { unlocked: false, name: 'Quantum Entangler', description: 'Create 5 entanglements' }
-        };
-        
-        this.stats = {
-            totalGames: 0,
-            totalPoints: 0,
-            perfectHits: 0,
-            quantumEvents: 0,
-            riftsUsed: 0,
-            entanglementsCreated: 0,
-            maxBallSpeed: 0,
-            maxBallsInPlay: 0,
-            maxChaosLevel: 0
-        };
+    
+    /**
+     * Which controller plays whom, on the menu and as 🎮 on the HUD
+     */
+    updateGamepadStatus() {
+        const pads = this.gamepads.getPads();
+        if (this.hudElements.gamepadStatus) {
+            this.hudElements.gamepadStatus.textContent = pads.length === 0
+                ? 'No gamepads connected (press a button on one to wake it)'
+                : pads.map(pad => `🎮 ${pad.id}: ${pad.player !== null ? `Player ${pad.player}` : 'not playing'}`)
+                    .join(' | ') + ' (BACK switches player)';
+        }
+        [1, 2].forEach(player => {
+            const element = this.hudElements[`p${player}Pad`];
+            if (element) element.textContent = this.gamepads.getPad(player) ? '🎮' : '';
+        });
     }
     
     /**
-     * Check and unlock achievements
+     * Replay viewer keys: SPACE play/pause, arrows step a tick, -/+ speed, ESC back to the menu
      */
-    checkAchievements() {
-        if (this.stats.totalPoints >= 1 && !this.achievements.firstBlood.unlocked) {
-            this.unlockAchievement('firstBlood');
-        }
-        
-        if (this.stats.perfectHits >= 10 && !this.achievements.perfectionist.unlocked) {
-            this.unlockAchievement('perfectionist');
-        }
-        
-        if (this.stats.quantumEvents >= 20 && !this.achievements.quantumMaster.unlocked) {
-            this.unlockAchievement('quantumMaster');
+    handleReplayKey(e) {
+        const player = this.replayPlayer;
+        switch (e.key) {
+            case ' ':
+                e.preventDefault();
+                this.toggleReplay();
+                break;
+            case 'ArrowLeft':
+            case 'ArrowRight':
+                e.preventDefault();
+                this.stepReplay(e.key === 'ArrowRight' ? 1 : -1);
+                break;
+            case '-':
+            case '+':
+            case '=':
+                player.changeSpeed(e.key === '-' ? -1 : 1);
+                break;
+            case 'g':
+            case 'G':
+                this.showGhost = !this.showGhost;
+                break;
+            case 'Escape':
+                this.returnToMenu();
+                break;
         }
-        
-        // Add more achievement checks...
     }
     
     /**
-     * Unlock achievement
+     * A bound key was pressed (movement keys are read in handleInput instead)
      */
-    unlockAchievement(id) {
-        if (this.achievements[id] && !this.achievements[id].unlocked) {
-            this.achievements[id].unlocked = true;
-            console.log(`Achievement Unlocked: ${this.achievements[id].name}`);
-            // Display notification
+    handleAction(player, action) {
+        switch (action) {
+            case 'superposition':
+                if (this.riftAims[player]) {
+                    this.switchRiftEnd(player);
+                } else {
+                    this.handleSpacebar(player);
+                }
+                break;
+            case 'rift':
+                this.handlePortalKey(player);
+                break;
+            case 'timeSlow':
+                if (this.riftAims[player]) {
+                    this.turnRiftEnd(player);
+                } else {
+                    this.handleTimeSlowKey(player);
+                }
+                break;
+            case 'boost':
+                if (this.riftAims[player]) {
+                    this.linkRiftAim(player);
+                } else {
+                    this.handleBoostKey(player);
+                }
+                break;
+            case 'pause':
+                this.handlePauseKey();
+                break;
         }
     }
     
     /**
-     * Update stats
+     * A held action was let go of (only the rift waits for that)
      */
-    updateStats(stat, value) {
-        if (this.stats[stat] !== undefined) {
-            this.stats[stat] = Math.max(this.stats[stat], value);
+    handleActionRelease(player, action) {
+        if (action === 'rift') {
+            this.handlePortalRelease(player);
         }
     }
-}
-
-/**
- * Replay system for recording and playback
- */
-class ReplaySystem {
-    constructor() {
-        this.recording = false;
-        this.frames = [];
-        this.maxFrames = 3600; // 1 minute at 60fps
+    
+    /**
+     * Handle spacebar - activate quantum powers
+     */
+    handleSpacebar(player = 1) {
+        if (this.gameState.state !== 'playing') return;
+        this.queueAbility(player, 'superposition');
     }
     
     /**
-     * Start recording
+     * Handle portal key - start aiming a dimensional rift: until it's let go of, the
+     * movement and aim keys move one of its ends instead of the paddle (see handleInput),
+     * the exit first, and the time slow key turns it. Both start level with the paddle,
+     * facing so the ball keeps going the way it went in.
      */
-    startRecording() {
-        this.recording = true;
-        this.frames = [];
+    handlePortalKey(player = 1) {
+        if (this.gameState.state !== 'playing' || this.riftAims[player]) return;
+        
+        const side = this.getSide(player);
+        const { width } = GAME_CONFIG.world;
+        const ownX = side === 1 ? width / 6 : width * 5 / 6;
+        const y = this.simulation.getPaddle(side).position.y;
+        const facing = side === 1 ? 0 : 180;
+        this.riftAims[player] = this.clampRiftAim(player, {
+            entrance: { x: ownX, y, angle: facing },
+            exit: { x: width - ownX, y, angle: (facing + 180) % 360 },
+            moving: 'exit',
+            link: null
+        });
     }
     
     /**
-     * Stop recording
+     * Aim the other end of a rift (player 1's entrance stays at the pointer with mouse control)
      */
-    stopRecording() {
-        this.recording = false;
+    switchRiftEnd(player) {
+        const aim = this.riftAims[player];
+        if (player === 1 && this.settings.get('mouseControl')) return;
+        aim.moving = aim.moving === 'exit' ? 'entrance' : 'exit';
     }
     
     /**
-     * Record frame
+     * Turn the end of a rift being aimed the next riftAimTurn degrees clockwise
      */
-    recordFrame(gameState) {
-        if (!this.recording) return;
-        
-        if (this.frames.length >= this.maxFrames) {
-            this.frames.shift();
-        }
-        
-        this.frames.push({
-            timestamp: Date.now(),
-            state: JSON.parse(JSON.stringify(gameState))
-        });
+    turnRiftEnd(player) {
+        const end = this.riftAims[player][this.riftAims[player].moving];
+        end.angle = (end.angle + GAME_CONFIG.input.riftAimTurn) % 360;
     }
     
     /**
-     * Save replay
+     * Link the rift being aimed to the player's newest one still open, so the ball carries
+     * on into that one; again to unlink it
      */
-    saveReplay(name) {
-        const replay = {
-            name,
-            date: new Date().toISOString(),
-            frames: this.frames
-        };
+    linkRiftAim(player) {
+        const aim = this.riftAims[player];
+        const side = this.getSide(player);
+        const own = this.simulation.quantumEngine.dimensionalRifts.filter(rift => rift.owner === side);
+        aim.link = aim.link === null && own.length > 0 ? own[own.length - 1].id : null;
+    }
+    
+    /**
+     * Move the end of a rift being aimed to a point, kept where openRift would put it
+     */
+    moveRiftAim(player, point) {
+        const aim = this.riftAims[player];
+        aim[aim.moving] = { x: point.x, y: point.y, angle: aim[aim.moving].angle };
+        this.clampRiftAim(player, aim);
+    }
+    
+    /**
+     * Keep both ends of an aim where planRift would put them, in whole units as sent
+     */
+    clampRiftAim(player, aim) {
+        const { entrance, exit } = this.simulation.planRift(this.getSide(player), { aim: aim.entrance, exit: aim.exit });
+        aim.entrance = { x: Math.round(entrance.x), y: Math.round(entrance.y), angle: aim.entrance.angle };
+        aim.exit = { x: Math.round(exit.x), y: Math.round(exit.y), angle: aim.exit.angle };
+        return aim;
+    }
+    
+    /**
+     * Handle portal key release - open the rift where it was aimed
+     */
+    handlePortalRelease(player = 1) {
+        const aim = this.riftAims[player];
+        if (!aim) return;
+        delete this.riftAims[player];
         
-        localStorage.setItem(`replay_${name}`, JSON.stringify(replay));
+        if (this.gameState.state !== 'playing') return;
+        this.queueAbility(player, 'rift', this.getRiftParams(player, aim));
     }
     
     /**
-     * Load replay
+     * A rift being aimed as the 'rift' action's params (with mouse control, player 1's
+     * entrance is at the pointer)
      */
-    loadReplay(name) {
-        const data = localStorage.getItem(`replay_${name}`);
-        if (data) {
-            return JSON.parse(data);
+    getRiftParams(player, aim) {
+        let entrance = aim.entrance;
+        if (player === 1 && this.settings.get('mouseControl')) {
+            entrance = this.viewport.toWorld(this.input.mouse.x, this.input.mouse.y);
         }
-        return null;
+        return {
+            aim: { x: Math.round(entrance.x), y: Math.round(entrance.y), angle: aim.entrance.angle },
+            exit: { ...aim.exit },
+            link: aim.link
+        };
     }
-}
-
-/**
- * Tutorial system
- */
-class TutorialSystem {
-    constructor() {
-        this.active = false;
-        this.currentStep = 0;
-        this.steps = [
-            {
-                text: 'Welcome to Quantum Chaos Pong! Use W/S to move your paddle.',
-                duration: 3000
-            },
-            {
-                text: 'Press SPACE to activate quantum superposition.',
-                duration: 3000
-            },
-            {
-                text: 'Press Q to create dimensional rifts for teleportation.',
-                duration: 3000
-            },
-            {
-                text: 'Press E to slow down time.',
-                duration: 3000
-            },
-            {
-                text: 'Collect power-ups to gain special abilities!',
-                duration: 3000
-            },
-            {
-                text: 'Good luck in the quantum multiverse!',
-                duration: 2000
-            }
-        ];
+    
+    /**
+     * The paddle an input player controls here (online, always this client's own)
+     */
+    getSide(player) {
+        return this.online ? this.online.localPlayer : player;
     }
     
     /**
-     * Start tutorial
+     * Handle time slow key
      */
-    start() {
-        this.active = true;
-        this.currentStep = 0;
+    handleTimeSlowKey(player = 1) {
+        if (this.gameState.state !== 'playing') return;
+        this.queueAbility(player, 'timeSlow');
     }
     
     /**
-     * Update tutorial
+     * Handle boost key
      */
-    update(deltaTime) {
-        if (!this.active) return;
-        
-        // Auto-advance through steps
-        // Implementation depends on timing system
+    handleBoostKey(player = 1) {
+        if (this.gameState.state !== 'playing') return;
+        this.queueAbility(player, 'boost');
     }
     
     /**
-     * Get current tutorial text
+     * Handle pause key: pause/resume, or leave a finished match or one we're only watching
      */
-    getCurrentText() {
-        if (!this.active || this.currentStep >= this.steps.length) {
-            return null;
+    handlePauseKey() {
+        if (this.gameState.state === 'gameover' || (this.online && this.online.isSpectator)) {
+            this.returnToMenu();
+        } else if (this.online) {
+            this.online.togglePause();
+        } else {
+            this.gameState.togglePause();
         }
-        return this.steps[this.currentStep].text;
     }
     
     /**
-     * Next step
+     * Queue an ability; online it goes to this client's own paddle, whichever keys were used
      */
-    nextStep() {
-        this.currentStep++;
-        if (this.currentStep >= this.steps.length) {
-            this.active = false;
+    queueAbility(player, type, params = {}) {
+        if (this.online) {
+            this.online.queueAction(type, params);
+        } else {
+            this.simulation.queueAction(player, type, params);
         }
     }
-}
-
-/**
- * Leaderboard system
- */
-class LeaderboardSystem {
-    constructor() {
-        this.scores = this.loadScores();
+    
+    /**
+     * Which paddle a finger steers: with two players on this screen, the one on its half of
+     * the field, otherwise our own
+     */
+    getTouchPlayer(point) {
+        if (this.isAIOpponent() || this.online) return 1;
+        return point.x < GAME_CONFIG.world.width / 2 ? 1 : 2;
     }
     
     /**
-     * Add score
+     * New fingers on the field steer their paddle to them (see handleInput). Two landing
+     * together might be a tap to pause.
      */
-    addScore(playerName, score, mode, stats) {
-        this.scores.push({
-            name: playerName,
-            score,
-            mode,
-            stats,
-            date: new Date().toISOString()
+    handleTouchStart(e) {
+        Array.from(e.changedTouches).forEach(touch => {
+            const point = this.viewport.toWorld(touch.clientX, touch.clientY);
+            const player = this.getTouchPlayer(point);
+            this.touches.set(touch.identifier, { player, start: point });
+            this.touchSteer(player, point);
         });
         
-        // Sort by score
-        this.scores.sort((a, b) => b.score - a.score);
-        
-        // Keep top 100
-        this.scores = this.scores.slice(0, 100);
-        
-        this.saveScores();
+        const fingers = e.touches.length;
+        if (fingers === e.changedTouches.length) {
+            this.twoFingerTap = fingers <= 2 ? { startTime: e.timeStamp, fingers } : null;
+        } else if (this.twoFingerTap && fingers === 2) {
+            this.twoFingerTap.fingers = 2;
+        } else {
+            this.twoFingerTap = null;
+        }
     }
     
     /**
-     * Get top scores
+     * A finger steers its player's paddle, or places the end of a rift they're aiming
      */
-    getTopScores(count = 10, mode = null) {
-        let filtered = this.scores;
-        
-        if (mode) {
-            filtered = this.scores.filter(s => s.mode === mode);
+    touchSteer(player, point) {
+        if (this.riftAims[player]) {
+            this.moveRiftAim(player, { x: point.x, y: point.y });
+        } else {
+            this.pointerTargets[player] = point.y;
         }
-        
-        return filtered.slice(0, count);
+    }
+    
+    handleTouchMove(e) {
+        Array.from(e.changedTouches).forEach(touch => {
+            const finger = this.touches.get(touch.identifier);
+            if (!finger) return;
+            
+            const point = this.viewport.toWorld(touch.clientX, touch.clientY);
+            this.touchSteer(finger.player, point);
+            if (Math.hypot(point.x - finger.start.x, point.y - finger.start.y) > GAME_CONFIG.input.tapSlop) {
+                this.twoFingerTap = null;
+            }
+        });
     }
     
     /**
-     * Save scores to localStorage
+     * Fingers lifted; a quick two-finger tap pauses (or plays/pauses a replay)
      */
-    saveScores() {
-        localStorage.setItem('pong_leaderboard', JSON.stringify(this.scores));
+    handleTouchEnd(e) {
+        Array.from(e.changedTouches).forEach(touch => this.touches.delete(touch.identifier));
+        if (e.touches.length > 0) return;
+        
+        const tap = this.twoFingerTap;
+        this.twoFingerTap = null;
+        if (!tap || tap.fingers !== 2 || e.timeStamp - tap.startTime > GAME_CONFIG.input.tapTime) return;
+        
+        if (this.replayPlayer) {
+            this.toggleReplay();
+        } else if (this.running) {
+            this.handlePauseKey();
+        }
     }
     
     /**
-     * Load scores from localStorage
+     * The on-screen ability buttons: on touch screens during a match, player 2's only
+     * when a human has the right paddle here
      */
-    loadScores() {
-        const data = localStorage.getItem('pong_leaderboard');
-        return data ? JSON.parse(data) : [];
-    }
-}
-
-/**
- * Settings manager
- */
-class SettingsManager {
-    constructor() {
-        this.settings = this.loadSettings();
+    updateTouchControls() {
+        const { touchControls, touchControls2 } = this.hudElements;
+        if (!touchControls) return;
+        
+        touchControls.classList.toggle('hidden', !this.touchDevice || !this.running || this.replayPlayer !== null);
+        if (touchControls2) {
+            touchControls2.classList.toggle('hidden', this.isAIOpponent() || this.online !== null);
+        }
     }
     
+    
     /**
-     * Load settings
+     * Start game; options.seed replays a previous match's randomness
      */
-    loadSettings() {
-        const defaults = {
-            volume: 0.5,
-            musicEnabled: true,
-            sfxEnabled: true,
-            particlesEnabled: true,
-            screenShakeEnabled: true,
-            difficulty: 0.7,
-            controls: {
-                player1Up: 'w',
-                player1Down: 's',
-                player2Up: 'ArrowUp',
-                player2Down: 'ArrowDown'
-            }
-        };
+    startGame(mode, options = {}) {
+        console.log(`Starting ${mode} mode`);
         
-        const saved = localStorage.getItem('pong_settings');
-        return saved ? { ...defaults, ...JSON.parse(saved) } : defaults;
+        this.leaveOnline();
+        this.simulation.start(mode, options);
+        this.beginMatch(mode);
     }
     
     /**
-     * Save settings
+     * Show the match and run the loop for whatever the simulation now holds
      */
-    saveSettings() {
-        localStorage.setItem('pong_settings', JSON.stringify(this.settings));
+    beginMatch(mode) {
+        this.particleSystem.clear();
+        this.instantReplay = null;
+        this.recentStates.clear();
+        this.rallyGhost.reset();
+        this.pointerTargets = { 1: null, 2: null };
+        this.touches.clear();
+        this.riftAims = {};
+        
+        // The AIs' choices come from the match seed too: the same seed, settings and player
+        // inputs play the same match
+        this.aiRandom = new SeededRandom(`${this.simulation.seed}:ai`);
+        if (this.neuralNetworkAI) this.neuralNetworkAI.rng = this.aiRandom;
+        if (this.abilityAI) this.abilityAI.reset(this.aiRandom);
+        this.quantumAIAim = null;
+        
+        // Hide overlay, show HUD
+        this.hudElements.overlay.classList.add('hidden');
+        this.hudElements.hud.classList.remove('hidden');
+        this.showModeHud(mode);
+        if (this.hudElements.replayControls) {
+            this.hudElements.replayControls.classList.toggle('hidden', !this.replayPlayer);
+        }
+        
+        // Record it, unless it's a replay or someone else's match we're only watching
+        if (!this.replayPlayer && !(this.online && this.online.isSpectator)) {
+            this.replaySystem.startRecording(this.simulation, mode);
+        }
+        
+        // Start game loop
+        this.running = true;
+        this.updateTouchControls();
+        this.lastTime = performance.now();
+        this.accumulator = 0;
+        this.gameLoop(this.lastTime);
+        
+        // Start music
+        this.audioSystem.startMusic();
     }
     
     /**
-     * Update setting
+     * Show only the HUD items for the current mode
      */
-    set(key, value) {
-        this.settings[key] = value;
-        this.saveSettings();
+    showModeHud(mode) {
+        const items = {
+            waveDisplay: mode === 'survival',
+            timerDisplay: mode === 'time-attack',
+            bossDisplay: mode === 'boss',
+            netDisplay: mode === 'online'
+        };
+        Object.keys(items).forEach(key => {
+            if (this.hudElements[key]) {
+                this.hudElements[key].classList.toggle('hidden', !items[key]);
+            }
+        });
     }
     
     /**
-     * Get setting
+     * Leave a finished match and show the mode menu again
      */
-    get(key) {
-        return this.settings[key];
-    }
-}
-
-
-// ================================================================================================
-// ADVANCED GAME MODES AND VARIATIONS
-// ================================================================================================
-
-/**
- * Survival mode - endless waves
- */
-class SurvivalMode {
-    constructor(game) {
-        this.game = game;
-        this.wave = 0;
-        this.enemiesPerWave = 3;
-        this.active = false;
-        this.score = 0;
-    }
-    
-    start() {
-        this.wave = 1;
-        this.active = true;
-        this.score = 0;
-        this.spawnWave();
+    returnToMenu() {
+        this.leaveOnline();
+        this.replaySystem.stopRecording();
+        this.replayPlayer = null;
+        this.instantReplay = null;
+        if (this.hudElements.replayControls) {
+            this.hudElements.replayControls.classList.add('hidden');
+        }
+        [this.hudElements.replayButton, this.hudElements.replayDownload].forEach(button => {
+            if (button) button.disabled = !this.replaySystem.lastReplay;
+        });
+        this.running = false;
+        this.riftAims = {};
+        this.audioSystem.stopMusic();
+        this.gameState.returnToMenu();
+        this.hudElements.overlay.classList.remove('hidden');
+        this.showModeHud(null);
+        this.updateTouchControls();
     }
     
-    spawnWave() {
-        console.log(`Wave ${this.wave} starting!`);
+    /**
+     * Main game loop
+     */
+    gameLoop(currentTime) {
+        if (!this.running) return;
         
-        // Increase difficulty each wave
-        const ballCount = Math.min(this.enemiesPerWave + Math.floor(this.wave / 3), 10);
+        requestAnimationFrame((time) => this.gameLoop(time));
         
-        for (let i = 0; i < ballCount; i++) {
-            setTimeout(() => {
-                const ball = this.game.createBall();
-                ball.velocity = ball.velocity.multiply(1 + this.wave * 0.1);
-            }, i * 500);
-        }
-    }
-    
-    update() {
-        if (!this.active) return;
+        // Controllers have no events for their buttons
+        this.gamepads.poll();
         
-        // Check if all balls are cleared
-        if (this.game.balls.length === 0) {
-            this.wave++;
-            this.score += this.wave * 100;
-            setTimeout(() => this.spawnWave(), 2000);
+        // Elapsed real time, capped so a background tab doesn't fast-forward the match
+        const frameTime = Math.min(currentTime - this.lastTime, 250);
+        this.lastTime = currentTime;
+        
+        // Calculate FPS
+        if (frameTime > 0) {
+            this.fpsHistory.push(1000 / frameTime);
+            if (this.fpsHistory.length > 60) this.fpsHistory.shift();
+            this.fps = Math.round(this.fpsHistory.reduce((a, b) => a + b, 0) / this.fpsHistory.length);
+        }
+        
+        // Run whole simulation ticks for the elapsed time (replays may run faster or slower)
+        const tickDuration = 1000 / GAME_CONFIG.timing.tickRate / this.getPlaybackSpeed();
+        let steps = 0;
+        if (this.isTicking()) {
+            this.accumulator += frameTime;
+            while (this.accumulator >= tickDuration && this.isTicking()) {
+                this.update(this.simulation.fixedDelta);
+                this.accumulator -= tickDuration;
+                
+                // Too far behind to catch up: drop the backlog rather than spiral
+                if (++steps >= GAME_CONFIG.timing.maxStepsPerFrame) {
+                    this.accumulator = 0;
+                    break;
+                }
+            }
+        } else {
+            this.accumulator = 0;
         }
+        this.renderAlpha = this.isTicking() ? this.accumulator / tickDuration : 1;
+        
+        this.render();
+        this.updateHUD();
     }
-}
-
-/**
- * Time Attack mode
- */
-class TimeAttackMode {
-    constructor(game) {
-        this.game = game;
-        this.timeLimit = 60000; // 1 minute
-        this.timeRemaining = this.timeLimit;
-        this.active = false;
-        this.targetScore = 10;
+    
+    /**
+     * Speed of the ticks on screen relative to real time
+     */
+    getPlaybackSpeed() {
+        if (this.instantReplay) return this.instantReplay.speed;
+        if (this.replayPlayer) return this.replayPlayer.speed;
+        return 1;
     }
     
-    start() {
-        this.active = true;
-        this.timeRemaining = this.timeLimit;
+    /**
+     * Whether the loop runs simulation ticks: while playing, always for a spectator, whose
+     * feed goes on through pauses and into the next state, and while a replay plays
+     */
+    isTicking() {
+        if (this.instantReplay) return true;
+        if (this.replayPlayer) return this.replayPlayer.playing;
+        return this.gameState.state === 'playing' || (this.online !== null && this.online.isSpectator);
     }
     
+    /**
+     * Update game state
+     */
     update(deltaTime) {
-        if (!this.active) return;
+        if (this.replayPlayer) {
+            // A replay brings its own inputs
+            this.replayPlayer.advance();
+        } else if (this.instantReplay) {
+            // The match waits until the instant replay has shown its last tick
+            if (this.instantReplay.finished) {
+                this.endInstantReplay();
+            } else {
+                this.instantReplay.advance();
+            }
+        } else {
+            // Handle player input
+            this.handleInput();
+            
+            // Update AI
+            this.updateAI(deltaTime);
+            
+            // Advance the simulation (online, the match decides whose inputs each tick gets,
+            // and it's recorded as the match confirms them, see joinOnline)
+            if (this.online) {
+                this.online.step();
+            } else {
+                this.simulation.update(deltaTime);
+                this.replaySystem.recordTick(this.simulation);
+                
+                // Unless that tick was a goal, whose instant replay already has the ticks before it
+                if (!this.instantReplay && this.settings.get('instantReplay')) {
+                    this.recentStates.push(this.simulation.serializeState());
+                }
+            }
+        }
         
-        this.timeRemaining -= deltaTime * 16.67; // Convert to ms
+        if (this.isGhostShown()) {
+            this.rallyGhost.record(this.simulation);
+        }
         
-        if (this.timeRemaining <= 0) {
-            this.active = false;
-            console.log('Time\'s up!');
+        const scaledDelta = deltaTime * this.gameState.timeScale;
+        
+        // Ball trails
+        this.balls.forEach(ball => {
+            if (ball.isActive) {
+                this.particleSystem.createTrail(
+                    ball.position.x,
+                    ball.position.y,
+                    ball.velocity.x,
+                    ball.velocity.y,
+                    ball.color
+                );
+            }
+        });
+        
+        // Update particle system
+        this.particleSystem.update(scaledDelta);
+        
+        // Update audio based on game state
+        this.audioSystem.updateIntensity({
+            score1: this.gameState.score1,
+            score2: this.gameState.score2,
+            ballSpeed: this.balls[0] ? this.balls[0].velocity.magnitude() : 0,
+            quantumActive: this.gameState.quantumActive,
+            powerupActive: this.powerups.length > 0
+        });
+        
+        // Update visual effects
+        this.updateVisualEffects(scaledDelta);
+    }
+    
+    /**
+     * Handle player input
+     */
+    handleInput() {
+        const move = player => this.actionMap.getMove(this.input, player, this.gamepads);
+        
+        // With mouse control paddle 1 follows the pointer whenever it moves
+        if (this.settings.get('mouseControl') && this.input.mouse.moved) {
+            this.pointerTargets[1] = this.viewport.toWorld(this.input.mouse.x, this.input.mouse.y).y;
+            this.input.mouse.moved = false;
+        }
+        
+        // A touch or the mouse steers a paddle until the keys or a gamepad move it. While a
+        // rift is aimed they (and the aim keys) move one of its ends instead, and the paddle
+        // only follows a pointer.
+        const steer = player => {
+            const keys = move(player);
+            const aim = this.riftAims[player];
+            if (aim) {
+                const sideways = this.actionMap.getHorizontal(this.input, player, this.gamepads);
+                if (keys !== 0 || sideways !== 0) {
+                    const end = aim[aim.moving];
+                    const speed = GAME_CONFIG.input.riftAimSpeed;
+                    this.moveRiftAim(player, { x: end.x + sideways * speed, y: end.y + keys * speed });
+                }
+            } else if (keys !== 0) {
+                this.pointerTargets[player] = null;
+            }
+            if (this.pointerTargets[player] !== null) {
+                return { target: this.pointerTargets[player] };
+            }
+            return aim ? 0 : keys;
+        };
+        const input1 = steer(1);
+        
+        // Online, player 1's keys (or gamepad) move this client's own paddle
+        if (this.online) {
+            this.online.setLocalMove(input1);
+            return;
+        }
+        
+        // Player 1 controls (W/S unless rebound, or a gamepad)
+        this.simulation.setPaddleInput(1, input1);
+        
+        // Player 2 controls (arrow keys unless rebound, a second gamepad or the right half
+        // of a touch screen) - if not AI mode
+        if (!this.isAIOpponent()) {
+            this.simulation.setPaddleInput(2, steer(2));
         }
     }
     
-    getTimeString() {
-        const seconds = Math.floor(this.timeRemaining / 1000);
-        const ms = Math.floor((this.timeRemaining % 1000) / 10);
-        return `${seconds}.${ms.toString().padStart(2, '0')}`;
+    /**
+     * Update AI
+     */
+    async updateAI(deltaTime) {
+        // Either AI spends its own quantum energy (practice keeps to plain rallies)
+        if (this.isAIOpponent() && this.gameState.mode !== 'practice' && this.abilityAI) {
+            this.abilityAI.decide(this.simulation, deltaTime)
+                .forEach(({ type, params }) => this.simulation.queueAction(2, type, params));
+        }
+        
+        if (this.gameState.mode === 'vs-ai' && this.neuralNetworkAI && this.balls.length > 0) {
+            const ball = this.balls[0];
+            const action = await this.neuralNetworkAI.update(this.paddle2, ball, this.gameState);
+            this.simulation.setPaddleInput(2, action);
+        } else if (this.gameState.mode !== 'vs-ai' && this.isAIOpponent()) {
+            // Quantum AI uses probability-based prediction (also plays survival, time attack and the boss)
+            if (this.balls.length > 0) {
+                const ball = this.balls[0];
+                this.simulation.setPaddleInput(2, this.quantumAIPrediction(ball));
+            }
+        }
     }
-}
-
-/**
- * Boss Battle mode
- */
-class BossBattle {
-    constructor(game) {
-        this.game = game;
-        this.boss = null;
-        this.active = false;
-        this.bossHealth = 100;
-        this.phase = 1;
-        this.attackPattern = 0;
-        this.attackTimer = 0;
+    
+    /**
+     * Whether the previous rally's ghost is drawn (and the current rally recorded for it)
+     */
+    isGhostShown() {
+        return this.showGhost && !this.instantReplay &&
+            (this.replayPlayer !== null || this.gameState.mode === 'practice');
     }
     
-    start() {
-        this.active = true;
-        this.bossHealth = 100;
-        this.phase = 1;
-        this.createBoss();
+    /**
+     * Finish a practice session: the summary screen, and the session is kept as a replay
+     */
+    endPractice() {
+        this.simulation.endGame(null, 'Practice over');
+        this.replaySystem.stopRecording();
     }
     
-    createBoss() {
-        // Create a massive paddle boss
-        this.boss = new Paddle(
-            GAME_CONFIG.canvas.width - 100,
-            GAME_CONFIG.canvas.height / 2,
-            false
-        );
-        this.boss.height = 200;
-        this.boss.width = 30;
-        this.boss.color = '#ff0000';
+    /**
+     * Whether paddle 2 is computer-controlled in the current mode
+     */
+    isAIOpponent() {
+        return !['chaos', 'vs-human', 'online'].includes(this.gameState.mode);
     }
     
-    update(deltaTime) {
-        if (!this.active || !this.boss) return;
+    /**
+     * Join a room on a relay server (relay-server.js) and play whoever else joins it.
+     * The seat token is kept for the tab, so reloading and joining again rejoins the match.
+     * The netcode only matters to whoever creates the room; a joiner gets the room's.
+     */
+    async startOnline(
+        url = this.hudElements.relayUrl.value.trim(),
+        room = this.hudElements.roomCode.value.trim(),
+        netcode = this.hudElements.netcode ? this.hudElements.netcode.value : 'authoritative'
+    ) {
+        const tokenKey = `pong-online-${room}`;
+        await this.joinOnline(url, room, tokenKey,
+            network => network.connect(url, room, sessionStorage.getItem(tokenKey), { netcode }));
+    }
+    
+    /**
+     * Watch the match in a room, a few seconds behind (see SpectatorMatch)
+     */
+    async watchOnline(url = this.hudElements.relayUrl.value.trim(), room = this.hudElements.roomCode.value.trim()) {
+        await this.joinOnline(url, room, null, network => network.watch(url, room));
+    }
+    
+    /**
+     * Connect with `join` (network => welcome promise) and set up the room's match
+     */
+    async joinOnline(url, room, tokenKey, join) {
+        this.leaveOnline();
+        if (!url || !room) {
+            this.setOnlineStatus('Enter a relay address and a room code');
+            return;
+        }
         
-        this.attackTimer += deltaTime;
+        const network = new NetworkManager();
+        this.setOnlineStatus(`Connecting to ${url}...`);
         
-        // Boss attack patterns
-        if (this.attackTimer > 2000) {
-            this.attackTimer = 0;
-            this.executeAttack();
+        let welcome;
+        try {
+            welcome = await join(network);
+        } catch (e) {
+            this.setOnlineStatus(`Could not join: ${e.message}`);
+            return;
         }
-        
-        // Phase transitions
-        if (this.bossHealth < 50 && this.phase === 1) {
-            this.phase = 2;
-            console.log('Boss entering phase 2!');
-            this.boss.color = '#8b00ff';
+        if (tokenKey) {
+            sessionStorage.setItem(tokenKey, welcome.token);
         }
         
-        if (this.bossHealth <= 0) {
-            this.active = false;
-            console.log('Boss defeated!');
+        const online = network.createMatch(this.simulation);
+        this.onlineTokenKey = tokenKey;
+        online.events.on('status', text => this.setOnlineStatus(text));
+        online.events.on('started', () => {
+            if (!this.running) this.beginMatch('online');
+        });
+        online.events.on('confirmed', (inputs, getState) => this.replaySystem.recordInputs(inputs, getState));
+        this.online = online;
+        online.begin(welcome);
+    }
+    
+    /**
+     * Leave the online room, if any, giving up the seat
+     */
+    leaveOnline() {
+        if (!this.online) return;
+        
+        if (this.onlineTokenKey) {
+            sessionStorage.removeItem(this.onlineTokenKey);
         }
+        this.online.dispose();
+        this.online = null;
+        this.setOnlineStatus('');
+        this.setPerspective(1);
     }
     
-    executeAttack() {
-        switch (this.attackPattern % 3) {
-            case 0:
-                // Spawn multiple balls
-                for (let i = 0; i < 3; i++) {
-                    this.game.createBall(-1);
-                }
-                break;
-            case 1:
-                // Create force field
-                const field = new ForceField(
-                    GAME_CONFIG.canvas.width / 2,
-                    GAME_CONFIG.canvas.height / 2,
-                    200,
-                    5,
-                    'vortex'
-                );
-                field.lifetime = 3000;
-                this.game.forceFields.push(field);
-                break;
-            case 2:
-                // Spawn obstacles
-                for (let i = 0; i < 2; i++) {
-                    const obs = new Obstacle(
-                        Random.int(300, 900),
-                        Random.int(100, 700),
-                        50,
-                        50,
-                        'moving'
-                    );
-                    this.game.obstacles.push(obs);
-                }
-                break;
+    /**
+     * Watch from a player's side: mirror the field and swap the HUD panels for player 2
+     */
+    setPerspective(player) {
+        this.perspective = player;
+        const watching = this.online !== null && this.online.isSpectator;
+        
+        if (this.hudElements.hud) {
+            this.hudElements.hud.classList.toggle('mirrored', player === 2);
         }
+        [1, 2].forEach(p => {
+            const panel = this.hudElements[`p${p}Panel`];
+            if (panel) {
+                panel.classList.toggle('followed', watching && p === player);
+            }
+        });
+    }
+    
+    /**
+     * Watch a recorded match (by default the last one played) through the game's own renderer
+     */
+    watchReplay(replay = this.replaySystem.lastReplay) {
+        if (!replay) return;
         
-        this.attackPattern++;
+        this.leaveOnline();
+        this.replaySystem.stopRecording();
+        this.replayPlayer = new ReplayPlayer(this.simulation, replay);
+        this.beginMatch(replay.mode);
+    }
+    
+    /**
+     * Save a replay (by default the last match) as a file
+     */
+    downloadReplay(replay = this.replaySystem.lastReplay) {
+        if (!replay) return;
+        
+        const blob = new Blob([ReplayFile.encode(replay)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `quantum-pong-${replay.mode}-${replay.date.replace(/[:.]/g, '-')}.replay.json`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+    
+    /**
+     * Play a replay file's contents, or say why it can't be played
+     */
+    loadReplayFile(text) {
+        let replay;
+        try {
+            replay = ReplayFile.decode(text);
+        } catch (e) {
+            if (!(e instanceof ReplayFormatError)) throw e;
+            this.setReplayStatus(e.message);
+            return;
+        }
+        
+        this.setReplayStatus('');
+        this.watchReplay(replay);
+    }
+    
+    setReplayStatus(text) {
+        if (this.hudElements.replayStatus) {
+            this.hudElements.replayStatus.textContent = text;
+        }
+    }
+    
+    /**
+     * Replay scrub bar moved
+     */
+    seekReplay(tick) {
+        if (!this.replayPlayer) return;
+        this.replayPlayer.seek(Number(tick));
+        this.particleSystem.clear();
+    }
+    
+    toggleReplay() {
+        if (this.replayPlayer) {
+            this.replayPlayer.togglePlay();
+        }
+    }
+    
+    /**
+     * One frame forward or back; going back is a seek, so the old particles go
+     */
+    stepReplay(direction) {
+        if (!this.replayPlayer) return;
+        this.replayPlayer.stepFrame(direction);
+        if (direction < 0) {
+            this.particleSystem.clear();
+        } else if (this.isGhostShown()) {
+            this.rallyGhost.record(this.simulation);
+        }
+    }
+    
+    setReplaySpeed(speed) {
+        if (this.replayPlayer) {
+            this.replayPlayer.speed = Number(speed);
+        }
+    }
+    
+    /**
+     * Keep the replay controls in step with the player
+     */
+    updateReplayControls() {
+        const player = this.replayPlayer;
+        const { replayPlay, replayScrub, replaySpeed, replayTime } = this.hudElements;
+        if (!player || !replayScrub) return;
+        
+        const { startTick, endTick } = player.replay;
+        const seconds = ticks => (ticks / GAME_CONFIG.timing.tickRate).toFixed(1);
+        replayScrub.min = startTick;
+        replayScrub.max = endTick;
+        if (document.activeElement !== replayScrub) {
+            replayScrub.value = player.tick;
+        }
+        replayPlay.textContent = player.playing ? '⏸' : '▶';
+        if (document.activeElement !== replaySpeed) {
+            replaySpeed.value = String(player.speed);
+        }
+        replayTime.textContent = `${seconds(player.tick - startTick)}s / ${seconds(endTick - startTick)}s`;
+    }
+    
+    setOnlineStatus(text) {
+        if (this.hudElements.onlineStatus) {
+            this.hudElements.onlineStatus.textContent = text;
+        }
+    }
+    
+    /**
+     * Quantum AI prediction using wave function. It looks again only every reactionTime ms
+     * and keeps to its target in between, so a replay file holds a move per look, not per tick.
+     */
+    quantumAIPrediction(ball) {
+        const tick = this.simulation.tick;
+        const aim = this.quantumAIAim;
+        const reactionTicks = GAME_CONFIG.ai.reactionTime / 1000 * GAME_CONFIG.timing.tickRate;
+        if (aim && tick >= aim.tick && tick - aim.tick < reactionTicks) {
+            return aim.move;
+        }
+        
+        const move = this.predictQuantumTarget(ball);
+        this.quantumAIAim = { tick, move };
+        return move;
+    }
+    
+    predictQuantumTarget(ball) {
+        // Use quantum superposition to predict multiple possible positions
+        if (ball.inSuperposition && ball.superpositionGhosts.length > 0) {
+            // Target the most probable ghost
+            return { target: ball.superpositionGhosts[0].y };
+        }
+        
+        // Normal prediction with quantum uncertainty
+        const timeToReach = Math.abs(ball.position.x - this.paddle2.position.x) / Math.abs(ball.velocity.x || 1);
+        const predictedY = ball.position.y + ball.velocity.y * timeToReach;
+        
+        // Add quantum uncertainty, scaled by the difficulty setting (none at all on 1)
+        const sloppiness = (1 - this.settings.get('difficulty')) / (1 - GAME_CONFIG.ai.difficulty);
+        const uncertainty = GAME_CONFIG.quantum.uncertaintyFactor * (this.aiRandom.next() - 0.5) * 50 * sloppiness;
+        
+        // Steer there (the paddle accelerates and brakes itself)
+        return { target: predictedY + uncertainty };
+    }
+    
+    /**
+     * React to a point scored in the simulation
+     */
+    onPointScored(player, ball, position) {
+        this.rallyGhost.endRally();
+        
+        // Audio feedback
+        this.audioSystem.playScore(player === 1);
+        
+        // Visual feedback
+        this.flashEffect = 1.0;
+        this.particleSystem.createExplosion(
+            position.x,
+            position.y,
+            50,
+            player === 1 ? '#00ff00' : '#ff0000'
+        );
+        
+        // Train AI
+        if (this.neuralNetworkAI && this.gameState.mode === 'vs-ai') {
+            const reward = this.neuralNetworkAI.calculateReward(
+                this.paddle2,
+                ball,
+                player === 2,
+                player === 1
+            );
+            
+            const state = this.neuralNetworkAI.getStateRepresentation(
+                this.paddle2,
+                ball,
+                this.gameState
+            );
+            
+            this.neuralNetworkAI.remember(state, 0, reward, state, true);
+        }
+        
+        // Show how it went in: only in local matches, which can wait for it (survival doesn't stop for goals)
+        if (this.settings.get('instantReplay') && !this.online && !this.replayPlayer &&
+            this.gameState.mode !== 'survival' && this.recentStates.length > 1) {
+            this.startInstantReplay(ball);
+        }
+    }
+    
+    /**
+     * Play back the kept seconds before a goal; the match carries on once it ends
+     */
+    startInstantReplay(ball) {
+        this.instantReplay = new InstantReplay(this.recentStates.toArray(), ball.id);
+        this.recentStates.clear();
+        this.particleSystem.clear();
+    }
+    
+    /**
+     * Back to the match, whether the instant replay played out or was skipped
+     */
+    endInstantReplay() {
+        this.instantReplay = null;
+        this.particleSystem.clear();
+        this.accumulator = 0;
+    }
+    
+    /**
+     * Update visual effects
+     */
+    updateVisualEffects(deltaTime) {
+        // Screen shake decay
+        this.screenShake *= 0.9;
+        if (this.screenShake < 0.1) this.screenShake = 0;
+        
+        // Flash effect decay
+        this.flashEffect *= 0.9;
+        if (this.flashEffect < 0.01) this.flashEffect = 0;
+        
+        // Time warp effect decay
+        this.timeWarpEffect *= 0.95;
+        if (this.timeWarpEffect < 0.01) this.timeWarpEffect = 0;
+    }
+    
+    
+    /**
+     * Render everything
+     */
+    render() {
+        this.viewport.begin();
+        
+        // Apply screen shake
+        this.ctx.save();
+        if (this.screenShake > 0 && this.settings.get('screenShakeEnabled')) {
+            const shakeX = (Math.random() - 0.5) * this.screenShake;
+            const shakeY = (Math.random() - 0.5) * this.screenShake;
+            this.ctx.translate(shakeX, shakeY);
+        }
+        
+        // Clear canvas
+        this.ctx.fillStyle = GAME_CONFIG.canvas.backgroundColor;
+        this.ctx.fillRect(0, 0, GAME_CONFIG.world.width, GAME_CONFIG.world.height);
+        
+        // Watching from player 2's side: the field is mirrored, overlays below are not
+        if (this.perspective === 2) {
+            this.ctx.save();
+            this.ctx.translate(GAME_CONFIG.world.width, 0);
+            this.ctx.scale(-1, 1);
+        }
+        
+        // Instant replay: the camera closes in on the ball that scored
+        if (this.instantReplay) {
+            const camera = this.instantReplay.getCamera(this.renderAlpha);
+            this.ctx.save();
+            this.ctx.translate(GAME_CONFIG.world.width / 2, GAME_CONFIG.world.height / 2);
+            this.ctx.scale(camera.zoom, camera.zoom);
+            this.ctx.translate(-camera.x, -camera.y);
+        }
+        
+        // Draw background effects
+        this.renderBackground();
+        
+        // Draw dimensional rifts
+        this.renderDimensionalRifts();
+        this.renderRiftAims();
+        
+        // Draw force fields
+        this.renderForceFields();
+        
+        // Draw obstacles
+        this.obstacles.forEach(obs => obs.draw(this.ctx));
+        
+        // Draw particles
+        this.particleSystem.draw(this.ctx);
+        
+        // Draw power-ups
+        this.powerups.forEach(powerup => powerup.draw(this.ctx));
+        
+        // Draw the previous rally's ghost
+        if (this.isGhostShown()) {
+            this.rallyGhost.draw(this.ctx);
+        }
+        
+        // Draw paddles
+        this.paddle1.draw(this.ctx, this.renderAlpha);
+        this.paddle2.draw(this.ctx, this.renderAlpha);
+        
+        // Draw balls
+        this.balls.forEach(ball => ball.draw(this.ctx, this.renderAlpha));
+        
+        // Draw quantum entanglement lines
+        this.renderQuantumEntanglement();
+        
+        // Draw center line
+        this.renderCenterLine();
+        
+        // Draw visual effects
+        this.renderVisualEffects();
+        
+        if (this.instantReplay) {
+            this.ctx.restore();
+        }
+        if (this.perspective === 2) {
+            this.ctx.restore();
+        }
+        
+        if (this.instantReplay) {
+            this.renderInstantReplay();
+        }
+        
+        // Draw game over / pause screen
+        if (this.gameState.state === 'gameover') {
+            this.renderGameOver();
+        } else if (this.gameState.state === 'paused' || (this.online && this.online.isHeld())) {
+            this.renderPaused();
+        }
+        
+        this.ctx.restore();
+    }
+    
+    /**
+     * Render background effects
+     */
+    renderBackground() {
+        // Quantum field background
+        if (this.gameState.quantumActive) {
+            const gradient = this.ctx.createRadialGradient(
+                GAME_CONFIG.world.width / 2,
+                GAME_CONFIG.world.height / 2,
+                0,
+                GAME_CONFIG.world.width / 2,
+                GAME_CONFIG.world.height / 2,
+                GAME_CONFIG.world.width
+            );
+            gradient.addColorStop(0, 'rgba(138, 43, 226, 0.05)');
+            gradient.addColorStop(1, 'rgba(138, 43, 226, 0)');
+            this.ctx.fillStyle = gradient;
+            this.ctx.fillRect(0, 0, GAME_CONFIG.world.width, GAME_CONFIG.world.height);
+        }
+        
+        // Dimension-specific effects
+        if (this.gameState.dimension === 'Mirror') {
+            this.ctx.save();
+            this.ctx.globalAlpha = 0.1;
+            this.ctx.scale(-1, 1);
+            this.ctx.translate(-GAME_CONFIG.world.width, 0);
+            // Draw mirrored content would go here
+            this.ctx.restore();
+        }
+        
+        // Chaos mode visual noise
+        if (this.gameState.chaosLevel > 5) {
+            this.ctx.globalAlpha = (this.gameState.chaosLevel - 5) / 20;
+            for (let i = 0; i < 50; i++) {
+                const x = Random.int(0, GAME_CONFIG.world.width);
+                const y = Random.int(0, GAME_CONFIG.world.height);
+                this.ctx.fillStyle = Random.color();
+                this.ctx.fillRect(x, y, 2, 2);
+            }
+            this.ctx.globalAlpha = 1;
+        }
+    }
+    
+    /**
+     * Render center line
+     */
+    renderCenterLine() {
+        const centerX = GAME_CONFIG.world.width / 2;
+        this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+        this.ctx.lineWidth = 2;
+        this.ctx.setLineDash([10, 10]);
+        this.ctx.beginPath();
+        this.ctx.moveTo(centerX, 0);
+        this.ctx.lineTo(centerX, GAME_CONFIG.world.height);
+        this.ctx.stroke();
+        this.ctx.setLineDash([]);
+    }
+    
+    /**
+     * Render dimensional rifts
+     */
+    renderDimensionalRifts() {
+        const rifts = this.quantumEngine.dimensionalRifts;
+        
+        rifts.forEach(rift => {
+            // Draw entrance
+            this.renderRift(rift.entrance.x, rift.entrance.y, rift.radius, rift.stability);
+            
+            // Draw exit
+            this.renderRift(rift.exit.x, rift.exit.y, rift.radius, rift.stability);
+            
+            // Draw connection line
+            this.ctx.save();
+            this.ctx.strokeStyle = `rgba(0, 255, 255, ${rift.stability * 0.3})`;
+            this.ctx.lineWidth = 2;
+            this.ctx.setLineDash([5, 5]);
+            this.ctx.beginPath();
+            this.ctx.moveTo(rift.entrance.x, rift.entrance.y);
+            this.ctx.lineTo(rift.exit.x, rift.exit.y);
+            this.ctx.stroke();
+            this.ctx.setLineDash([]);
+            
+            // Which way each end faces
+            this.ctx.strokeStyle = `rgba(255, 255, 255, ${rift.stability * 0.6})`;
+            [rift.entrance, rift.exit].forEach(end => {
+                this.ctx.beginPath();
+                this.ctx.moveTo(end.x, end.y);
+                this.ctx.lineTo(end.x + Math.cos(end.angle) * rift.radius, end.y + Math.sin(end.angle) * rift.radius);
+                this.ctx.stroke();
+            });
+            
+            // On from its exit into the rift it's linked to
+            const linked = rifts.find(other => other.id === rift.linkedTo);
+            if (linked) {
+                this.ctx.strokeStyle = `rgba(138, 43, 226, ${rift.stability * 0.6})`;
+                this.ctx.setLineDash([2, 6]);
+                this.ctx.beginPath();
+                this.ctx.moveTo(rift.exit.x, rift.exit.y);
+                this.ctx.lineTo(linked.entrance.x, linked.entrance.y);
+                this.ctx.stroke();
+            }
+            this.ctx.restore();
+        });
+    }
+    
+    /**
+     * Rifts being aimed: where both ends would open (the one being moved solid), which way
+     * they face, the rift they're linked to and what it would cost, in red while the player
+     * can't open it
+     */
+    renderRiftAims() {
+        if (this.replayPlayer || this.instantReplay) return;
+        
+        Object.keys(this.riftAims).forEach(key => {
+            const player = Number(key);
+            const side = this.getSide(player);
+            const paddle = this.simulation.getPaddle(side);
+            const aim = this.riftAims[key];
+            const { entrance, exit, cost } = this.simulation.planRift(side, this.getRiftParams(player, aim));
+            const ready = paddle.riftCooldown <= 0 && paddle.quantumEnergy >= cost;
+            const color = ready ? 'rgba(0, 255, 255, 0.8)' : 'rgba(255, 60, 60, 0.8)';
+            
+            this.ctx.save();
+            this.ctx.strokeStyle = color;
+            this.ctx.lineWidth = 2;
+            this.ctx.setLineDash([6, 6]);
+            [['entrance', entrance], ['exit', exit]].forEach(([name, end]) => {
+                this.ctx.setLineDash(name === aim.moving ? [] : [6, 6]);
+                this.ctx.beginPath();
+                this.ctx.arc(end.x, end.y, 30, 0, Math.PI * 2);
+                this.ctx.moveTo(end.x, end.y);
+                this.ctx.lineTo(end.x + Math.cos(end.angle) * 30, end.y + Math.sin(end.angle) * 30);
+                this.ctx.stroke();
+            });
+            const linked = this.simulation.quantumEngine.dimensionalRifts.find(rift => rift.id === aim.link);
+            if (linked) {
+                this.ctx.setLineDash([2, 6]);
+                this.ctx.beginPath();
+                this.ctx.moveTo(exit.x, exit.y);
+                this.ctx.lineTo(linked.entrance.x, linked.entrance.y);
+                this.ctx.stroke();
+            }
+            this.ctx.setLineDash([6, 6]);
+            this.ctx.beginPath();
+            this.ctx.moveTo(entrance.x, entrance.y);
+            this.ctx.lineTo(exit.x, exit.y);
+            this.ctx.stroke();
+            this.ctx.setLineDash([]);
+            
+            this.ctx.fillStyle = color;
+            this.ctx.font = '16px Arial';
+            this.ctx.textAlign = 'center';
+            this.ctx.fillText(`⚡${Math.ceil(cost)}`, (entrance.x + exit.x) / 2, (entrance.y + exit.y) / 2 - 12);
+            this.ctx.restore();
+        });
+    }
+    
+    /**
+     * Render single rift
+     */
+    renderRift(x, y, radius, stability) {
+        this.ctx.save();
+        
+        // Outer glow
+        const gradient = this.ctx.createRadialGradient(x, y, 0, x, y, radius);
+        gradient.addColorStop(0, `rgba(0, 255, 255, ${stability * 0.5})`);
+        gradient.addColorStop(0.5, `rgba(138, 43, 226, ${stability * 0.3})`);
+        gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+        this.ctx.fillStyle = gradient;
+        this.ctx.beginPath();
+        this.ctx.arc(x, y, radius, 0, Math.PI * 2);
+        this.ctx.fill();
+        
+        // Spinning ring
+        const time = Date.now() * 0.001;
+        for (let i = 0; i < 8; i++) {
+            const angle = (Math.PI * 2 * i / 8) + time;
+            const r = radius * 0.8;
+            const px = x + Math.cos(angle) * r;
+            const py = y + Math.sin(angle) * r;
+            
+            this.ctx.fillStyle = ColorUtil.rainbow(i / 8);
+            this.ctx.globalAlpha = stability;
+            this.ctx.beginPath();
+            this.ctx.arc(px, py, 3, 0, Math.PI * 2);
+            this.ctx.fill();
+        }
+        
+        this.ctx.restore();
+    }
+    
+    /**
+     * Render force fields
+     */
+    renderForceFields() {
+        this.forceFields.forEach(field => {
+            if (!field.active) return;
+            
+            this.ctx.save();
+            
+            // Field visualization
+            const alpha = field.lifetime > 0 ? (field.age / field.lifetime) : 0.3;
+            let color;
+            
+            switch (field.type) {
+                case 'attractive':
+                    color = `rgba(0, 255, 0, ${alpha * 0.2})`;
+                    break;
+                case 'repulsive':
+                    color = `rgba(255, 0, 0, ${alpha * 0.2})`;
+                    break;
+                case 'vortex':
+                    color = `rgba(138, 43, 226, ${alpha * 0.2})`;
+                    break;
+                default:
+                    color = `rgba(255, 255, 255, ${alpha * 0.2})`;
+            }
+            
+            // Draw field boundary
+            this.ctx.strokeStyle = color;
+            this.ctx.lineWidth = 2;
+            this.ctx.beginPath();
+            this.ctx.arc(field.position.x, field.position.y, field.radius, 0, Math.PI * 2);
+            this.ctx.stroke();
+            
+            // Draw field lines for vortex
+            if (field.type === 'vortex') {
+                const time = Date.now() * 0.001;
+                for (let i = 0; i < 12; i++) {
+                    const angle = (Math.PI * 2 * i / 12) + time;
+                    const startR = field.radius * 0.5;
+                    const endR = field.radius;
+                    
+                    this.ctx.beginPath();
+                    this.ctx.moveTo(
+                        field.position.x + Math.cos(angle) * startR,
+                        field.position.y + Math.sin(angle) * startR
+                    );
+                    this.ctx.lineTo(
+                        field.position.x + Math.cos(angle + 0.5) * endR,
+                        field.position.y + Math.sin(angle + 0.5) * endR
+                    );
+                    this.ctx.stroke();
+                }
+            }
+            
+            this.ctx.restore();
+        });
+    }
+    
+    /**
+     * Render quantum entanglement
+     */
+    renderQuantumEntanglement() {
+        const entanglementData = this.quantumEngine.getEntanglementVisualization();
+        
+        entanglementData.forEach(data => {
+            this.ctx.save();
+            
+            // Draw entanglement line
+            const alpha = data.strength * 0.5;
+            this.ctx.strokeStyle = `rgba(255, 0, 255, ${alpha})`;
+            this.ctx.lineWidth = 2;
+            
+            // Wavy line effect
+            this.ctx.beginPath();
+            this.ctx.moveTo(data.pos1.x, data.pos1.y);
+            
+            const segments = 10;
+            for (let i = 0; i <= segments; i++) {
+                const t = i / segments;
+                const x = MathUtil.lerp(data.pos1.x, data.pos2.x, t);
+                const y = MathUtil.lerp(data.pos1.y, data.pos2.y, t);
+                
+                const wave = Math.sin(t * Math.PI * 4 + Date.now() * 0.005) * 10;
+                const perpX = -(data.pos2.y - data.pos1.y);
+                const perpY = (data.pos2.x - data.pos1.x);
+                const perpLen = Math.sqrt(perpX * perpX + perpY * perpY);
+                
+                if (perpLen > 0) {
+                    this.ctx.lineTo(
+                        x + (perpX / perpLen) * wave,
+                        y + (perpY / perpLen) * wave
+                    );
+                }
+            }
+            
+            this.ctx.stroke();
+            this.ctx.restore();
+        });
+    }
+    
+    /**
+     * Render visual effects overlay
+     */
+    renderVisualEffects() {
+        // Flash effect
+        if (this.flashEffect > 0) {
+            this.ctx.fillStyle = `rgba(255, 255, 255, ${this.flashEffect * 0.3})`;
+            this.ctx.fillRect(0, 0, GAME_CONFIG.world.width, GAME_CONFIG.world.height);
+        }
+        
+        // Time warp effect
+        if (this.timeWarpEffect > 0) {
+            this.ctx.save();
+            this.ctx.strokeStyle = `rgba(0, 128, 255, ${this.timeWarpEffect * 0.5})`;
+            this.ctx.lineWidth = 3;
+            
+            const centerX = GAME_CONFIG.world.width / 2;
+            const centerY = GAME_CONFIG.world.height / 2;
+            const time = Date.now() * 0.01;
+            
+            for (let i = 0; i < 5; i++) {
+                const radius = (time + i * 50) % 500;
+                this.ctx.globalAlpha = (1 - radius / 500) * this.timeWarpEffect;
+                this.ctx.beginPath();
+                this.ctx.arc(centerX, centerY, radius, 0, Math.PI * 2);
+                this.ctx.stroke();
+            }
+            
+            this.ctx.restore();
+        }
+    }
+    
+    /**
+     * Render game over screen
+     */
+    renderGameOver() {
+        this.ctx.save();
+        
+        // Semi-transparent overlay
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        this.ctx.fillRect(0, 0, GAME_CONFIG.world.width, GAME_CONFIG.world.height);
+        
+        // Winner text
+        const winner = this.gameState.winner;
+        const title = winner ? `Player ${winner} Wins!` : 'Game Over';
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.font = 'bold 72px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        
+        const centerX = GAME_CONFIG.world.width / 2;
+        const centerY = GAME_CONFIG.world.height / 2;
+        
+        this.ctx.fillText(title, centerX, centerY - 80);
+        
+        // Why the match ended
+        this.ctx.font = '24px Arial';
+        this.ctx.fillText(this.gameState.endReason, centerX, centerY - 25);
+        
+        // Score
+        this.ctx.font = '36px Arial';
+        this.ctx.fillText(`${this.gameState.score1} - ${this.gameState.score2}`, centerX, centerY + 20);
+        
+        // Stats
+        this.ctx.font = '20px Arial';
+        if (this.modeController) {
+            this.ctx.fillText(this.modeController.getSummary(), centerX, centerY + 60);
+        }
+        this.ctx.fillText('Press ESC to return to menu', centerX, centerY + 100);
+        
+        this.ctx.restore();
+    }
+    
+    /**
+     * Instant replay caption
+     */
+    renderInstantReplay() {
+        this.ctx.save();
+        
+        // Slow-motion bars top and bottom
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        this.ctx.fillRect(0, 0, GAME_CONFIG.world.width, 50);
+        this.ctx.fillRect(0, GAME_CONFIG.world.height - 40, GAME_CONFIG.world.width, 40);
+        
+        // Blinking "recording" dot
+        if (Math.floor(performance.now() / 500) % 2 === 0) {
+            this.ctx.fillStyle = '#ff0000';
+            this.ctx.beginPath();
+            this.ctx.arc(30, 25, 8, 0, Math.PI * 2);
+            this.ctx.fill();
+        }
+        
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.font = 'bold 28px Arial';
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText('INSTANT REPLAY', 50, 25);
+        
+        this.ctx.font = '18px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText('Press SPACE to skip', GAME_CONFIG.world.width / 2, GAME_CONFIG.world.height - 20);
+        
+        this.ctx.restore();
+    }
+    
+    /**
+     * Render paused screen
+     */
+    renderPaused() {
+        this.ctx.save();
+        
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+        this.ctx.fillRect(0, 0, GAME_CONFIG.world.width, GAME_CONFIG.world.height);
+        
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.font = 'bold 48px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        
+        this.ctx.fillText('PAUSED', GAME_CONFIG.world.width / 2, GAME_CONFIG.world.height / 2);
+        
+        // Online, a missing player pauses the match until they're back
+        let hint = 'Press ESC to resume';
+        if (this.gameState.mode === 'practice') {
+            hint = 'Press ESC to resume, ENTER to end practice';
+        } else if (this.online && this.online.pausedForPeer) {
+            hint = this.online.status;
+        } else if (this.online && this.online.isSpectator) {
+            hint = 'Paused by the players';
+        }
+        this.ctx.font = '24px Arial';
+        this.ctx.fillText(hint, GAME_CONFIG.world.width / 2, GAME_CONFIG.world.height / 2 + 50);
+        
+        this.ctx.restore();
+    }
+    
+    /**
+     * "Label 1.5s", optionally tagged with the owning player
+     */
+    formatEffect(effect, player = null) {
+        const owner = player ? ` (P${player})` : '';
+        return `${effect.label}${owner} ${(Math.max(0, effect.remaining) / 1000).toFixed(1)}s`;
+    }
+    
+    /**
+     * Update HUD
+     */
+    updateHUD() {
+        if (!this.hudElements.p1Score) return;
+        
+        // Update scores
+        this.hudElements.p1Score.textContent = this.gameState.score1;
+        this.hudElements.p2Score.textContent = this.gameState.score2;
+        
+        // Update speeds
+        if (this.paddle1) {
+            this.hudElements.p1Speed.textContent = Math.abs(this.paddle1.velocity.y).toFixed(1);
+        }
+        if (this.paddle2) {
+            this.hudElements.p2Speed.textContent = Math.abs(this.paddle2.velocity.y).toFixed(1);
+        }
+        
+        // Update quantum energy
+        if (this.paddle1) {
+            this.hudElements.p1Quantum.textContent = Math.floor(this.paddle1.quantumEnergy);
+        }
+        if (this.paddle2) {
+            this.hudElements.p2Quantum.textContent = Math.floor(this.paddle2.quantumEnergy);
+        }
+        
+        // Rift cooldowns
+        [1, 2].forEach(player => {
+            const element = this.hudElements[`p${player}Rift`];
+            const paddle = this.simulation.getPaddle(player);
+            if (element && paddle) {
+                element.textContent = paddle.riftCooldown > 0 ? `${(paddle.riftCooldown / 1000).toFixed(1)}s` : 'Ready';
+            }
+        });
+        
+        // Update FPS
+        this.hudElements.fps.textContent = this.fps;
+        
+        // Update particle count
+        this.hudElements.particles.textContent = this.particleSystem.getCount();
+        
+        // Update dimension
+        this.hudElements.dimension.textContent = this.gameState.dimension;
+        
+        // Each player's own timed effects
+        [1, 2].forEach(player => {
+            const element = this.hudElements[`p${player}Effects`];
+            if (!element) return;
+            const effects = this.simulation.getPlayerEffects(player);
+            element.textContent = effects.length > 0
+                ? effects.map(effect => this.formatEffect(effect)).join(', ')
+                : '-';
+        });
+        
+        // Mode-specific HUD
+        const mode = this.modeController;
+        if (mode instanceof SurvivalMode && this.hudElements.waveNumber) {
+            this.hudElements.waveNumber.textContent = mode.wave;
+            this.hudElements.livesCount.textContent = mode.lives;
+        } else if (mode instanceof TimeAttackMode && this.hudElements.timeRemaining) {
+            this.hudElements.timeRemaining.textContent = mode.getTimeString();
+        } else if (mode instanceof BossBattle && this.hudElements.bossHealthFill) {
+            this.hudElements.bossHealthFill.style.width = `${(mode.bossHealth / mode.maxHealth) * 100}%`;
+        }
+        if (this.online && this.hudElements.netStatus) {
+            this.hudElements.netStatus.textContent = this.online.getStatusText();
+        }
+        this.updateReplayControls();
+        
+        // Update quantum state info
+        const quantumInfo = this.quantumEngine.getQuantumStateInfo();
+        const quantumText = [
+            `States: ${quantumInfo.totalStates}`,
+            `Entanglements: ${quantumInfo.entanglements}`,
+            `Rifts: ${quantumInfo.rifts}`,
+            `Coherence: ${quantumInfo.avgCoherence}`,
+            `Superpositions: ${quantumInfo.superpositions}`,
+            `Fluctuations: ${quantumInfo.fluctuations}`
+        ];
+        
+        // Timed effects with remaining seconds
+        const effects = this.simulation.getActiveEffects();
+        if (effects.length > 0) {
+            quantumText.push('Effects: ' + effects
+                .map(effect => this.formatEffect(effect, effect.params.player))
+                .join(', '));
+        }
+        
+        this.hudElements.quantumState.textContent = quantumText.join(' | ');
+    }
+}
+
+// ================================================================================================
+// ADDITIONAL GAME MECHANICS AND FEATURES
+// ================================================================================================
+
+/**
+ * Achievement system
+ */
+class AchievementSystem {
+    constructor() {
+        this.achievements = {
+            firstBlood: { unlocked: false, name: 'First Blood', description: 'Score your first point' },
+            perfectionist: { unlocked: false, name: 'Perfectionist', description: 'Hit 10 perfect shots' },
+            quantumMaster: { unlocked: false, name: 'Quantum Master', description: 'Use quantum effects 20 times' },
+            speedDemon: { unlocked: false, name: 'Speed Demon', description: 'Reach max ball speed' },
+            multitasker: { unlocked: false, name: 'Multitasker', description: 'Have 5 balls in play' },
+            survivor: { unlocked: false, name: 'Survivor', description: 'Win without losing a point' },
+            chaosController: { unlocked: false, name: 'Chaos Controller', description: 'Reach chaos level 10' },
+            dimensionalTraveler: { unlocked: false, name: 'Dimensional Traveler', description: 'Use 10 rifts' },
+            aiDefeater: { unlocked: false, name: 'AI Defeater', description: 'Defeat the neural network AI' },
+            quantumEntangler: { unlocked: false, name: 'Quantum Entangler', description: 'Create 5 entanglements' }
+        };
+        
+        this.stats = {
+            totalGames: 0,
+            totalPoints: 0,
+            perfectHits: 0,
+            quantumEvents: 0,
+            riftsUsed: 0,
+            entanglementsCreated: 0,
+            maxBallSpeed: 0,
+            maxBallsInPlay: 0,
+            maxChaosLevel: 0
+        };
+    }
+    
+    /**
+     * Check and unlock achievements
+     */
+    checkAchievements() {
+        if (this.stats.totalPoints >= 1 && !this.achievements.firstBlood.unlocked) {
+            this.unlockAchievement('firstBlood');
+        }
+        
+        if (this.stats.perfectHits >= 10 && !this.achievements.perfectionist.unlocked) {
+            this.unlockAchievement('perfectionist');
+        }
+        
+        if (this.stats.quantumEvents >= 20 && !this.achievements.quantumMaster.unlocked) {
+            this.unlockAchievement('quantumMaster');
+        }
+        
+        // Add more achievement checks...
+    }
+    
+    /**
+     * Unlock achievement
+     */
+    unlockAchievement(id) {
+        if (this.achievements[id] && !this.achievements[id].unlocked) {
+            this.achievements[id].unlocked = true;
+            console.log(`Achievement Unlocked: ${this.achievements[id].name}`);
+            // Display notification
+        }
+    }
+    
+    /**
+     * Update stats
+     */
+    updateStats(stat, value) {
+        if (this.stats[stat] !== undefined) {
+            this.stats[stat] = Math.max(this.stats[stat], value);
+        }
+    }
+}
+
+/**
+ * Records matches as what's needed to run them again: the starting state, then each tick's
+ * inputs, with a keyframe every few seconds for seeking. Playback is ReplayPlayer's job.
+ */
+class ReplaySystem {
+    constructor() {
+        this.recording = false;
+        this.replay = null;     // the one being recorded
+        this.lastReplay = null; // the most recent finished one
+    }
+    
+    /**
+     * Start recording a match that has just started (or been joined) on this simulation
+     */
+    startRecording(simulation, mode) {
+        this.recording = true;
+        this.replay = {
+            mode,
+            seed: simulation.seed,
+            date: new Date().toISOString(),
+            startTick: simulation.tick,
+            endTick: simulation.tick,
+            inputs: [],    // inputs[i] were applied on tick startTick + i + 1
+            keyframes: [{ tick: simulation.tick, state: simulation.serializeState() }]
+        };
+    }
+    
+    /**
+     * Stop recording; the replay becomes lastReplay
+     */
+    stopRecording() {
+        if (!this.recording) return this.lastReplay;
+        
+        this.recording = false;
+        this.lastReplay = this.replay;
+        this.replay = null;
+        return this.lastReplay;
+    }
+    
+    /**
+     * Record the tick the simulation just ran, whose inputs are final (a local match)
+     */
+    recordTick(simulation) {
+        if (!this.recording) return;
+        
+        const inputs = simulation.lastInputs;
+        if (inputs && inputs.tick === simulation.tick) {
+            this.recordInputs(inputs, () => simulation.serializeState());
+        }
+        
+        if (this.recording && simulation.gameState.state === 'gameover') {
+            this.stopRecording();
+        }
+    }
+    
+    /**
+     * Record a tick's inputs ({ tick, moves, actions }) once nothing can change them any
+     * more, plus a keyframe every keyframeInterval ticks so playback can seek without running
+     * the whole match. getState() gives the state after the tick, or null if it isn't known
+     * here (that keyframe is left out). Online, ticks are confirmed a little late but in
+     * order; one that goes missing ends the recording before it.
+     */
+    recordInputs(inputs, getState) {
+        if (!this.recording) return;
+        
+        const replay = this.replay;
+        if (inputs.tick <= replay.endTick) return;
+        if (inputs.tick > replay.endTick + 1) {
+            this.stopRecording();
+            return;
+        }
+        
+        replay.inputs.push({
+            moves: inputs.moves.slice(),
+            actions: inputs.actions.length > 0 ? StateCodec.copy(inputs.actions) : []
+        });
+        replay.endTick = inputs.tick;
+        
+        if (inputs.tick % GAME_CONFIG.replay.keyframeInterval === 0) {
+            const state = getState();
+            if (state) {
+                replay.keyframes.push({ tick: inputs.tick, state });
+            }
+        }
+        
+        if (replay.endTick - replay.startTick >= GAME_CONFIG.replay.maxTicks) {
+            this.stopRecording();
+        }
+    }
+    
+    /**
+     * Save replay (as a replay file, see ReplayFile)
+     */
+    saveReplay(name, replay = this.lastReplay) {
+        if (!replay) return;
+        localStorage.setItem(`replay_${name}`, ReplayFile.encode(replay));
+    }
+    
+    /**
+     * Load replay; throws ReplayFormatError if it was saved by another version of the game
+     */
+    loadReplay(name) {
+        const data = localStorage.getItem(`replay_${name}`);
+        if (data) {
+            return ReplayFile.decode(data);
+        }
+        return null;
+    }
+}
+
+/**
+ * Plays a recorded match back through a simulation - the game's own, so it renders and
+ * sounds like the real thing. Any tick can be reached by restoring the keyframe before it
+ * and re-running the recorded inputs from there.
+ */
+class ReplayPlayer {
+    constructor(simulation, replay) {
+        this.simulation = simulation;
+        this.replay = replay;
+        this.playing = true;
+        this.speed = 1;
+        
+        this.seek(replay.startTick);
+    }
+    
+    get tick() {
+        return this.simulation.tick;
+    }
+    
+    get atEnd() {
+        return this.simulation.tick >= this.replay.endTick || this.simulation.gameState.state !== 'playing';
+    }
+    
+    /**
+     * Run the next recorded tick
+     */
+    advance() {
+        if (this.atEnd) {
+            this.playing = false;
+            return;
+        }
+        
+        const sim = this.simulation;
+        const inputs = this.replay.inputs[sim.tick - this.replay.startTick];
+        sim.applyInputs(inputs
+            ? { moves: inputs.moves, actions: StateCodec.copy(inputs.actions) }
+            : { moves: [0, 0], actions: [] });
+        sim.step();
+        
+        if (this.atEnd) {
+            this.playing = false;
+        }
+    }
+    
+    /**
+     * Jump to a tick: restore the last keyframe at or before it, then run silently up to it
+     */
+    seek(tick) {
+        const target = MathUtil.clamp(Math.round(tick), this.replay.startTick, this.replay.endTick);
+        const keyframe = this.replay.keyframes.reduce((best, frame) =>
+            frame.tick <= target && frame.tick >= best.tick ? frame : best, this.replay.keyframes[0]);
+        
+        const sim = this.simulation;
+        sim.restoreState(keyframe.state);
+        sim.events.muted = true;
+        while (sim.tick < target && sim.gameState.state === 'playing') {
+            this.advance();
+        }
+        sim.events.muted = false;
+    }
+    
+    /**
+     * One tick forward or back, paused
+     */
+    stepFrame(direction) {
+        this.playing = false;
+        if (direction > 0) {
+            this.advance();
+        } else {
+            this.seek(this.simulation.tick - 1);
+        }
+    }
+    
+    /**
+     * Play/pause; playing again from the end starts over
+     */
+    togglePlay() {
+        if (!this.playing && this.atEnd) {
+            this.seek(this.replay.startTick);
+        }
+        this.playing = !this.playing;
+    }
+    
+    /**
+     * Next slower (-1) or faster (+1) of GAME_CONFIG.replay.speeds
+     */
+    changeSpeed(direction) {
+        const speeds = GAME_CONFIG.replay.speeds;
+        const index = speeds.indexOf(this.speed);
+        this.speed = speeds[MathUtil.clamp(index + direction, 0, speeds.length - 1)];
+    }
+}
+
+/**
+ * Slow-motion look at the last few seconds before a goal, shown before play resumes. It
+ * steps through states the game kept of those seconds (OvercomplicatedPong.recentStates)
+ * on a simulation of its own, while the camera closes in on the ball that scored.
+ */
+class InstantReplay {
+    constructor(frames, ballId) {
+        this.simulation = new GameSimulation();
+        this.frames = frames;
+        this.ballId = ballId;
+        this.index = 0;
+        this.speed = GAME_CONFIG.replay.instantSpeed;
+        
+        this.simulation.restoreState(frames[0]);
+    }
+    
+    get finished() {
+        return this.index >= this.frames.length - 1;
+    }
+    
+    /**
+     * Show the next kept tick
+     */
+    advance() {
+        if (this.finished) return;
+        
+        this.index++;
+        this.simulation.restoreState(this.frames[this.index]);
+    }
+    
+    /**
+     * Centre of the view and zoom for this frame: over the first second the camera moves
+     * from the whole field to the ball, then follows it without leaving the field
+     */
+    getCamera(alpha = 1) {
+        const width = GAME_CONFIG.world.width;
+        const height = GAME_CONFIG.world.height;
+        const ball = this.simulation.balls.find(b => b.id === this.ballId) || this.simulation.balls[0];
+        const target = ball ? ball.getInterpolatedPosition(alpha) : { x: width / 2, y: height / 2 };
+        
+        const t = Easing.easeInOutCubic(MathUtil.clamp((this.index + alpha) / GAME_CONFIG.timing.tickRate, 0, 1));
+        const zoom = MathUtil.lerp(1, GAME_CONFIG.replay.instantZoom, t);
+        const halfWidth = width / 2 / zoom;
+        const halfHeight = height / 2 / zoom;
+        
+        return {
+            x: MathUtil.clamp(MathUtil.lerp(width / 2, target.x, t), halfWidth, width - halfWidth),
+            y: MathUtil.clamp(MathUtil.lerp(height / 2, target.y, t), halfHeight, height - halfHeight),
+            zoom
+        };
+    }
+}
+
+/**
+ * Where the ball and both paddles were on each tick of the current rally and the one
+ * before it. The previous rally is drawn over the match as a ghost, kept in step with the
+ * current one (the same time since the serve), so you can compare your positioning.
+ */
+class RallyGhost {
+    constructor() {
+        this.reset();
+    }
+    
+    reset() {
+        this.current = [];
+        this.previous = null;
+        this.lastTick = null;
+    }
+    
+    /**
+     * Record the tick the simulation just ran. A jump in ticks (seeking a replay) means
+     * this rally wasn't seen from its serve, so it starts over.
+     */
+    record(simulation) {
+        if (this.lastTick !== null && simulation.tick !== this.lastTick + 1) {
+            this.current = [];
+        }
+        this.lastTick = simulation.tick;
+        if (this.current.length >= GAME_CONFIG.replay.ghostMaxTicks) return;
+        
+        const ball = simulation.balls[0];
+        this.current.push({
+            ball: ball ? [ball.position.x, ball.position.y, ball.radius] : null,
+            paddles: [simulation.paddle1, simulation.paddle2].map(paddle =>
+                paddle ? [paddle.position.x, paddle.position.y, paddle.width, paddle.height] : null
+            )
+        });
+    }
+    
+    /**
+     * A point was scored: the rally just played becomes the ghost
+     */
+    endRally() {
+        if (this.current.length > 1) {
+            this.previous = this.current;
+        }
+        this.current = [];
+    }
+    
+    /**
+     * Draw the previous rally: the ball's whole path, and the ball and paddles where they
+     * were at this point of it, with a short fading trail
+     */
+    draw(ctx) {
+        const frames = this.previous;
+        if (!frames) return;
+        
+        const index = Math.min(this.current.length, frames.length - 1);
+        const trailLength = 20;
+        
+        ctx.save();
+        ctx.strokeStyle = '#ffffff';
+        ctx.fillStyle = '#ffffff';
+        ctx.shadowBlur = 15;
+        ctx.shadowColor = '#ffffff';
+        
+        // Ball path
+        ctx.globalAlpha = 0.15;
+        ctx.lineWidth = 2;
+        ctx.setLineDash([6, 6]);
+        ctx.beginPath();
+        let drawing = false;
+        frames.forEach(frame => {
+            if (!frame.ball) {
+                drawing = false;
+            } else if (drawing) {
+                ctx.lineTo(frame.ball[0], frame.ball[1]);
+            } else {
+                ctx.moveTo(frame.ball[0], frame.ball[1]);
+                drawing = true;
+            }
+        });
+        ctx.stroke();
+        ctx.setLineDash([]);
+        
+        // Ball and paddles, now and just before
+        for (let i = Math.max(0, index - trailLength); i <= index; i++) {
+            const frame = frames[i];
+            const alpha = (1 - (index - i) / trailLength) * (i === index ? 0.4 : 0.1);
+            ctx.globalAlpha = alpha;
+            
+            frame.paddles.forEach(paddle => {
+                if (!paddle) return;
+                const [x, y, width, height] = paddle;
+                ctx.fillRect(x - width / 2, y - height / 2, width, height);
+            });
+            if (frame.ball) {
+                ctx.beginPath();
+                ctx.arc(frame.ball[0], frame.ball[1], frame.ball[2], 0, Math.PI * 2);
+                ctx.fill();
+            }
+        }
+        
+        ctx.restore();
+    }
+}
+
+/**
+ * A replay file that can't be played here: not a replay, damaged, or from another version
+ * or configuration of the game (whose simulation would play the inputs out differently)
+ */
+class ReplayFormatError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ReplayFormatError';
+    }
+}
+
+/**
+ * Replays as files. Only what's needed to run the match again is stored: a header saying
+ * which game made it, the seed and mode (or the starting state, for a match joined part way
+ * in), and the inputs - moves run-length encoded, abilities listed by tick. Keyframes are
+ * rebuilt on loading by running the match, which also proves the file plays.
+ */
+const ReplayFile = {
+    FORMAT: 'quantum-pong-replay',
+    VERSION: 1,
+    
+    // Config sections the simulation reads; the rest (drawing, controls, the AIs, networking,
+    // replays) can change without changing how a recorded match plays out
+    configHashed: ['world', 'physics', 'paddle', 'ball', 'quantum', 'powerups', 'scoring', 'timing'],
+    
+    /**
+     * Hash of everything in GAME_CONFIG the simulation depends on
+     */
+    configHash() {
+        const config = {};
+        ReplayFile.configHashed.forEach(key => {
+            config[key] = GAME_CONFIG[key];
+        });
+        
+        // Moves are rounded to these steps when recorded, and checked against them on loading
+        config.analogSteps = GAME_CONFIG.input.analogSteps;
+        return StateCodec.hash(JSON.stringify(config)).toString(16);
+    },
+    
+    /**
+     * Replay (as recorded by ReplaySystem) -> file text
+     */
+    encode(replay) {
+        const moves = [];
+        const actions = [];
+        replay.inputs.forEach((input, index) => {
+            const [move1, move2] = input ? input.moves : [0, 0];
+            const last = moves[moves.length - 1];
+            if (last && GameSimulation.sameMove(last[1], move1) && GameSimulation.sameMove(last[2], move2)) {
+                last[0]++;
+            } else {
+                moves.push([1, move1, move2]);
+            }
+            
+            (input ? input.actions : []).forEach(action => {
+                const entry = [index + 1, action.player, action.type];
+                if (action.params && Object.keys(action.params).length > 0) entry.push(action.params);
+                actions.push(entry);
+            });
+        });
+        
+        return JSON.stringify({
+            format: ReplayFile.FORMAT,
+            version: ReplayFile.VERSION,
+            gameVersion: GAME_VERSION,
+            configHash: ReplayFile.configHash(),
+            mode: replay.mode,
+            seed: replay.seed,
+            date: replay.date,
+            startTick: replay.startTick,
+            endTick: replay.endTick,
+            start: replay.startTick === 0 ? null : replay.keyframes[0].state,
+            moves,
+            actions
+        });
+    },
+    
+    /**
+     * File text -> replay ready for ReplayPlayer; throws ReplayFormatError saying what's wrong
+     */
+    decode(text) {
+        let file;
+        try {
+            file = JSON.parse(text);
+        } catch (e) {
+            throw new ReplayFormatError('Not a replay file (it isn\'t JSON)');
+        }
+        
+        if (!file || file.format !== ReplayFile.FORMAT) {
+            throw new ReplayFormatError('Not a replay file');
+        }
+        if (!Number.isInteger(file.version) || file.version < 1) {
+            throw new ReplayFormatError('Replay file has no valid format version');
+        }
+        if (file.version > ReplayFile.VERSION) {
+            throw new ReplayFormatError(
+                `Replay file format ${file.version} is newer than this game reads (up to ${ReplayFile.VERSION})`);
+        }
+        if (file.gameVersion !== GAME_VERSION) {
+            throw new ReplayFormatError(
+                `Replay was recorded with game version ${file.gameVersion}, this is ${GAME_VERSION}`);
+        }
+        const configHash = ReplayFile.configHash();
+        if (file.configHash !== configHash) {
+            throw new ReplayFormatError(
+                `Replay was recorded with different game settings (config ${file.configHash}, here ${configHash})`);
+        }
+        
+        const inputs = ReplayFile.decodeInputs(file);
+        
+        // Run the match to rebuild the keyframes
+        const simulation = new GameSimulation();
+        if (file.start) {
+            simulation.restoreState(file.start);
+        } else {
+            simulation.start(file.mode, { seed: file.seed });
+        }
+        
+        const recorder = new ReplaySystem();
+        recorder.startRecording(simulation, file.mode);
+        for (let i = 0; i < inputs.length && simulation.gameState.state === 'playing'; i++) {
+            simulation.applyInputs(inputs[i]);
+            simulation.step();
+            recorder.recordTick(simulation);
+        }
+        
+        const replay = recorder.stopRecording();
+        replay.date = file.date;
+        return replay;
+    },
+    
+    /**
+     * The moves and actions sections back to one input per tick, checking them on the way
+     */
+    decodeInputs(file) {
+        const ticks = file.endTick - file.startTick;
+        if (typeof file.mode !== 'string' || !Number.isInteger(file.startTick) || !Number.isInteger(ticks) ||
+            ticks < 0 || ticks > GAME_CONFIG.replay.maxTicks || !Array.isArray(file.moves) ||
+            !Array.isArray(file.actions) || (file.startTick > 0 && !file.start)) {
+            throw new ReplayFormatError('Replay file is damaged (bad header)');
+        }
+        
+        const isMove = move => move !== undefined && GameSimulation.sameMove(move, GameSimulation.normalizeMove(move));
+        const inputs = [];
+        file.moves.forEach(run => {
+            if (!Array.isArray(run) || !Number.isInteger(run[0]) || run[0] < 1 || !isMove(run[1]) || !isMove(run[2]) ||
+                inputs.length + run[0] > ticks) {
+                throw new ReplayFormatError('Replay file is damaged (bad moves)');
+            }
+            for (let i = 0; i < run[0]; i++) {
+                inputs.push({ moves: [run[1], run[2]], actions: [] });
+            }
+        });
+        if (inputs.length !== ticks) {
+            throw new ReplayFormatError('Replay file is damaged (moves don\'t cover the match)');
+        }
+        
+        file.actions.forEach(entry => {
+            const [tick, player, type, params] = Array.isArray(entry) ? entry : [];
+            if (!Number.isInteger(tick) || tick < 1 || tick > ticks || (player !== 1 && player !== 2) ||
+                typeof type !== 'string') {
+                throw new ReplayFormatError('Replay file is damaged (bad abilities)');
+            }
+            inputs[tick - 1].actions.push({ player, type, params: params || {} });
+        });
+        
+        return inputs;
+    }
+};
+
+/**
+ * Tutorial system
+ */
+class TutorialSystem {
+    constructor() {
+        this.active = false;
+        this.currentStep = 0;
+        this.steps = [
+            {
+                text: 'Welcome to Quantum Chaos Pong! Use W/S to move your paddle.',
+                duration: 3000
+            },
+            {
+                text: 'Press SPACE to activate quantum superposition.',
+                duration: 3000
+            },
+            {
+                text: 'Press Q to create dimensional rifts for teleportation.',
+                duration: 3000
+            },
+            {
+                text: 'Press E to slow down time.',
+                duration: 3000
+            },
+            {
+                text: 'Collect power-ups to gain special abilities!',
+                duration: 3000
+            },
+            {
+                text: 'Good luck in the quantum multiverse!',
+                duration: 2000
+            }
+        ];
+    }
+    
+    /**
+     * Start tutorial
+     */
+    start() {
+        this.active = true;
+        this.currentStep = 0;
+    }
+    
+    /**
+     * Update tutorial
+     */
+    update(deltaTime) {
+        if (!this.active) return;
+        
+        // Auto-advance through steps
+        // Implementation depends on timing system
+    }
+    
+    /**
+     * Get current tutorial text
+     */
+    getCurrentText() {
+        if (!this.active || this.currentStep >= this.steps.length) {
+            return null;
+        }
+        return this.steps[this.currentStep].text;
+    }
+    
+    /**
+     * Next step
+     */
+    nextStep() {
+        this.currentStep++;
+        if (this.currentStep >= this.steps.length) {
+            this.active = false;
+        }
+    }
+}
+
+/**
+ * Leaderboard system
+ */
+class LeaderboardSystem {
+    constructor() {
+        this.scores = this.loadScores();
+    }
+    
+    /**
+     * Add score
+     */
+    addScore(playerName, score, mode, stats) {
+        this.scores.push({
+            name: playerName,
+            score,
+            mode,
+            stats,
+            date: new Date().toISOString()
+        });
+        
+        // Sort by score
+        this.scores.sort((a, b) => b.score - a.score);
+        
+        // Keep top 100
+        this.scores = this.scores.slice(0, 100);
+        
+        this.saveScores();
+    }
+    
+    /**
+     * Get top scores
+     */
+    getTopScores(count = 10, mode = null) {
+        let filtered = this.scores;
+        
+        if (mode) {
+            filtered = this.scores.filter(s => s.mode === mode);
+        }
+        
+        return filtered.slice(0, count);
+    }
+    
+    /**
+     * Save scores to localStorage
+     */
+    saveScores() {
+        localStorage.setItem('pong_leaderboard', JSON.stringify(this.scores));
+    }
+    
+    /**
+     * Load scores from localStorage
+     */
+    loadScores() {
+        const data = localStorage.getItem('pong_leaderboard');
+        return data ? JSON.parse(data) : [];
+    }
+}
+
+/**
+ * Settings manager
+ * Emits 'change' (key, value) whenever a setting is set, so whatever uses it can follow along.
+ */
+class SettingsManager {
+    constructor() {
+        this.settings = this.loadSettings();
+        this.events = new EventEmitter();
+    }
+    
+    /**
+     * Load settings
+     */
+    loadSettings() {
+        const defaults = {
+            volume: 0.5,
+            musicEnabled: true,
+            sfxEnabled: true,
+            particlesEnabled: true,
+            screenShakeEnabled: true,
+            instantReplay: true,
+            mouseControl: false,
+            difficulty: 0.7,
+            controls: ActionMap.defaults()
+        };
+        
+        const saved = localStorage.getItem('pong_settings');
+        return saved ? { ...defaults, ...JSON.parse(saved) } : defaults;
+    }
+    
+    /**
+     * Save settings
+     */
+    saveSettings() {
+        localStorage.setItem('pong_settings', JSON.stringify(this.settings));
+    }
+    
+    /**
+     * Update setting
+     */
+    set(key, value) {
+        this.settings[key] = value;
+        this.saveSettings();
+        this.events.emit('change', key, value);
+    }
+    
+    /**
+     * Get setting
+     */
+    get(key) {
+        return this.settings[key];
+    }
+}
+
+
+// ================================================================================================
+// ADVANCED GAME MODES AND VARIATIONS
+// ================================================================================================
+
+/**
+ * Practice mode
+ * An endless match against the Quantum AI to work on your returns, with the previous
+ * rally drawn as a ghost to compare against (see RallyGhost). It ends when you say so.
+ */
+class PracticeMode {
+    constructor(game) {
+        this.game = game;
+        this.rallies = 0;
+        this.rallyTime = 0;   // ms since the current rally's serve
+        this.longestRally = 0;
+    }
+    
+    start() {
+        this.rallies = 0;
+        this.rallyTime = 0;
+        this.longestRally = 0;
+        this.game.gameState.winScore = Infinity;
+    }
+    
+    update(deltaTime) {
+        this.rallyTime += deltaTime * GAME_CONFIG.timing.frameDuration;
+    }
+    
+    onScore() {
+        this.rallies++;
+        this.longestRally = Math.max(this.longestRally, this.rallyTime);
+        this.rallyTime = 0;
+    }
+    
+    getSummary() {
+        return `${this.rallies} rallies | Longest ${(this.longestRally / 1000).toFixed(1)}s`;
+    }
+}
+
+/**
+ * Survival mode - endless waves
+ * Player 1 holds off waves of balls against the AI; every ball scored is cleared,
+ * and each one that gets past player 1 costs a life.
+ */
+class SurvivalMode {
+    constructor(game) {
+        this.game = game;
+        this.wave = 0;
+        this.enemiesPerWave = 3;
+        this.active = false;
+        this.waveQueued = false;
+        this.pendingBalls = 0;
+        this.startingLives = 3;
+        this.lives = this.startingLives;
+        this.score = 0;
+        this.clearsScoredBalls = true;
+        
+        // Wave timing runs on the simulation's game-time scheduler
+        game.scheduler.register('survivalBall', ({ wave }) => {
+            this.pendingBalls--;
+            if (!this.active) return;
+            const ball = this.game.createBall();
+            ball.velocity = ball.velocity.multiply(1 + wave * 0.1);
+        });
+        game.scheduler.register('survivalWave', () => {
+            this.waveQueued = false;
+            if (this.active) this.spawnWave();
+        });
+    }
+    
+    start() {
+        this.wave = 1;
+        this.active = true;
+        this.waveQueued = false;
+        this.pendingBalls = 0;
+        this.lives = this.startingLives;
+        this.score = 0;
+        
+        // Waves replace the usual serve, and only running out of lives ends the run
+        this.game.balls = [];
+        this.game.gameState.winScore = Infinity;
+        this.spawnWave();
+    }
+    
+    spawnWave() {
+        console.log(`Wave ${this.wave} starting!`);
+        
+        // Increase difficulty each wave
+        const ballCount = Math.min(this.enemiesPerWave + Math.floor(this.wave / 3), 10);
+        
+        for (let i = 0; i < ballCount; i++) {
+            this.pendingBalls++;
+            this.game.scheduler.schedule('survivalBall', i * 500, { wave: this.wave }, {
+                label: `Wave ${this.wave} ball`
+            });
+        }
+    }
+    
+    update() {
+        if (!this.active || this.waveQueued || this.pendingBalls > 0) return;
+        
+        // Check if all balls are cleared
+        if (this.game.balls.length === 0) {
+            this.wave++;
+            this.score += this.wave * 100;
+            this.waveQueued = true;
+            this.game.scheduler.schedule('survivalWave', 2000, {}, { label: `Wave ${this.wave}` });
+        }
+    }
+    
+    onScore(player) {
+        if (!this.active) return;
+        
+        if (player === 1) {
+            this.score += 50;
+        } else if (--this.lives <= 0) {
+            this.active = false;
+            this.game.endGame(null, `Overrun on wave ${this.wave}`);
+        }
+    }
+    
+    getSummary() {
+        return `Wave ${this.wave} | Score ${this.score}`;
+    }
+}
+
+/**
+ * Time Attack mode
+ * Reach the target score before the clock runs out.
+ */
+class TimeAttackMode {
+    constructor(game) {
+        this.game = game;
+        this.timeLimit = 60000; // 1 minute
+        this.timeRemaining = this.timeLimit;
+        this.active = false;
+        this.targetScore = 10;
+    }
+    
+    start() {
+        this.active = true;
+        this.timeRemaining = this.timeLimit;
+        
+        // The clock decides the match, not the usual score limit
+        this.game.gameState.winScore = Infinity;
+    }
+    
+    update(deltaTime) {
+        if (!this.active) return;
+        
+        this.timeRemaining -= deltaTime * GAME_CONFIG.timing.frameDuration;
+        
+        if (this.timeRemaining <= 0) {
+            this.timeRemaining = 0;
+            this.active = false;
+            console.log('Time\'s up!');
+            this.game.endGame(2, 'Time\'s up!');
+        }
+    }
+    
+    onScore(player) {
+        if (this.active && player === 1 && this.game.gameState.score1 >= this.targetScore) {
+            this.active = false;
+            this.game.endGame(1, `Target reached with ${this.getTimeString()}s left`);
+        }
+    }
+    
+    getTimeString() {
+        const seconds = Math.floor(this.timeRemaining / 1000);
+        const ms = Math.floor((this.timeRemaining % 1000) / 10);
+        return `${seconds}.${ms.toString().padStart(2, '0')}`;
+    }
+    
+    getSummary() {
+        return `Target ${this.targetScore} | ${this.getTimeString()}s left`;
+    }
+}
+
+/**
+ * Boss Battle mode
+ * The boss takes player 2's place; every point player 1 scores damages it.
+ */
+class BossBattle {
+    constructor(game) {
+        this.game = game;
+        this.boss = null;
+        this.active = false;
+        this.bossHealth = 100;
+        this.maxHealth = 100;
+        this.damagePerPoint = 10;
+        this.phase = 1;
+        this.attackPattern = 0;
+        this.attackTimer = 0;
+        this.attackInterval = 2000; // ms of game time
+    }
+    
+    start() {
+        this.active = true;
+        this.bossHealth = this.maxHealth;
+        this.phase = 1;
+        this.attackPattern = 0;
+        this.attackTimer = 0;
+        this.createBoss();
+    }
+    
+    createBoss() {
+        // Create a massive paddle boss
+        this.boss = new Paddle(
+            GAME_CONFIG.world.width - 100,
+            GAME_CONFIG.world.height / 2,
+            false
+        );
+        this.boss.height = 200;
+        this.boss.width = 30;
+        this.boss.color = '#ff0000';
+        
+        // The boss plays as paddle 2
+        this.boss.quantumState = this.game.quantumEngine.initializeQuantumState(
+            'paddle2',
+            this.boss.position,
+            this.boss.velocity
+        );
+        this.game.paddle2 = this.boss;
+    }
+    
+    update(deltaTime) {
+        if (!this.active || !this.boss) return;
+        
+        this.attackTimer += deltaTime * GAME_CONFIG.timing.frameDuration;
+        
+        // Boss attack patterns
+        if (this.attackTimer > this.attackInterval) {
+            this.attackTimer = 0;
+            this.executeAttack();
+        }
+        
+        // Phase transitions
+        if (this.bossHealth < 50 && this.phase === 1) {
+            this.phase = 2;
+            console.log('Boss entering phase 2!');
+            this.boss.color = '#8b00ff';
+            this.attackInterval = 1500;
+        }
+        
+        if (this.bossHealth <= 0) {
+            this.active = false;
+            console.log('Boss defeated!');
+            this.game.endGame(1, 'Boss defeated!');
+        }
+    }
+    
+    executeAttack() {
+        switch (this.attackPattern % 3) {
+            case 0:
+                // Spawn multiple balls
+                for (let i = 0; i < 3; i++) {
+                    this.game.createBall(-1);
+                }
+                break;
+            case 1:
+                // Create force field
+                const field = new ForceField(
+                    GAME_CONFIG.world.width / 2,
+                    GAME_CONFIG.world.height / 2,
+                    200,
+                    5,
+                    'vortex'
+                );
+                field.lifetime = 3000;
+                this.game.forceFields.push(field);
+                break;
+            case 2:
+                // Spawn obstacles
+                for (let i = 0; i < 2; i++) {
+                    const obs = new Obstacle(
+                        this.game.rng.int(GAME_CONFIG.world.width / 4, GAME_CONFIG.world.width * 3 / 4),
+                        this.game.rng.int(GAME_CONFIG.world.height / 8, GAME_CONFIG.world.height * 7 / 8),
+                        50,
+                        50,
+                        'moving',
+                        this.game.rng
+                    );
+                    this.game.obstacles.push(obs);
+                }
+                break;
+        }
+        
+        this.attackPattern++;
     }
     
     takeDamage(amount) {
         this.bossHealth -= amount;
         this.bossHealth = Math.max(0, this.bossHealth);
     }
+    
+    onScore(player) {
+        if (this.active && player === 1) {
+            this.takeDamage(this.damagePerPoint);
+        }
+    }
+    
+    getSummary() {
+        return `Boss health ${this.bossHealth}% | Phase ${this.phase}`;
+    }
+}
+
+/**
+ * Combo system for scoring multipliers
+ */
+class ComboSystem {
+    constructor() {
+        this.combo = 0;
+        this.maxCombo = 0;
+        this.multiplier = 1.0;
+        this.comboTimer = 0;
+        this.comboTimeout = 3000; // 3 seconds
+    }
+    
+    addHit() {
+        this.combo++;
+        this.maxCombo = Math.max(this.maxCombo, this.combo);
+        this.comboTimer = this.comboTimeout;
+        this.updateMultiplier();
+    }
+    
+    updateMultiplier() {
+        this.multiplier = 1.0 + (this.combo * 0.1);
+    }
+    
+    reset() {
+        this.combo = 0;
+        this.multiplier = 1.0;
+        this.comboTimer = 0;
+    }
+    
+    update(deltaTime) {
+        if (this.combo > 0) {
+            this.comboTimer -= deltaTime * 16.67;
+            if (this.comboTimer <= 0) {
+                this.reset();
+            }
+        }
+    }
+    
+    getScore(baseScore) {
+        return Math.floor(baseScore * this.multiplier);
+    }
+}
+
+// ================================================================================================
+// PERFORMANCE OPTIMIZATION AND DEBUGGING
+// ================================================================================================
+
+/**
+ * Performance monitor
+ */
+class PerformanceMonitor {
+    constructor() {
+        this.metrics = {
+            fps: 60,
+            frameTime: 0,
+            updateTime: 0,
+            renderTime: 0,
+            particleCount: 0,
+            entityCount: 0,
+            memoryUsage: 0
+        };
+        
+        this.history = {
+            fps: [],
+            frameTime: [],
+            particleCount: []
+        };
+        
+        this.maxHistoryLength = 100;
+    }
+    
+    /**
+     * Start measuring frame
+     */
+    startFrame() {
+        this.frameStartTime = performance.now();
+    }
+    
+    /**
+     * Mark update complete
+     */
+    markUpdateComplete() {
+        this.updateTime = performance.now() - this.frameStartTime;
+    }
+    
+    /**
+     * Mark render complete
+     */
+    markRenderComplete() {
+        this.renderTime = performance.now() - this.frameStartTime - this.updateTime;
+    }
+    
+    /**
+     * End frame measurement
+     */
+    endFrame() {
+        this.frameTime = performance.now() - this.frameStartTime;
+        this.fps = 1000 / this.frameTime;
+        
+        // Update history
+        this.history.fps.push(this.fps);
+        this.history.frameTime.push(this.frameTime);
+        
+        // Trim history
+        if (this.history.fps.length > this.maxHistoryLength) {
+            this.history.fps.shift();
+            this.history.frameTime.shift();
+        }
+    }
+    
+    /**
+     * Get average FPS
+     */
+    getAverageFPS() {
+        if (this.history.fps.length === 0) return 0;
+        return this.history.fps.reduce((a, b) => a + b, 0) / this.history.fps.length;
+    }
+    
+    /**
+     * Get performance report
+     */
+    getReport() {
+        return {
+            currentFPS: this.fps.toFixed(2),
+            averageFPS: this.getAverageFPS().toFixed(2),
+            frameTime: this.frameTime.toFixed(2),
+            updateTime: this.updateTime.toFixed(2),
+            renderTime: this.renderTime.toFixed(2),
+            particleCount: this.particleCount,
+            entityCount: this.entityCount
+        };
+    }
+    
+    /**
+     * Log performance warning
+     */
+    checkPerformance() {
+        if (this.fps < 30) {
+            console.warn('Low FPS detected:', this.fps);
+        }
+        
+        if (this.particleCount > 3000) {
+            console.warn('High particle count:', this.particleCount);
+        }
+    }
+}
+
+/**
+ * Debug overlay
+ */
+class DebugOverlay {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.enabled = false;
+        this.showPhysics = false;
+        this.showQuantum = false;
+        this.showAI = false;
+    }
+    
+    toggle() {
+        this.enabled = !this.enabled;
+    }
+    
+    render(game) {
+        if (!this.enabled) return;
+        
+        this.ctx.save();
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        this.ctx.fillRect(10, 10, 300, 400);
+        
+        this.ctx.fillStyle = '#00ff00';
+        this.ctx.font = '12px monospace';
+        
+        let y = 30;
+        const lineHeight = 15;
+        
+        // Performance metrics
+        this.ctx.fillText('=== PERFORMANCE ===', 20, y);
+        y += lineHeight;
+        this.ctx.fillText(`FPS: ${game.fps}`, 20, y);
+        y += lineHeight;
+        this.ctx.fillText(`Particles: ${game.particleSystem.getCount()}`, 20, y);
+        y += lineHeight;
+        this.ctx.fillText(`Balls: ${game.balls.length}`, 20, y);
+        y += lineHeight;
+        this.ctx.fillText(`PowerUps: ${game.powerups.length}`, 20, y);
+        y += lineHeight;
+        this.ctx.fillText(`Obstacles: ${game.obstacles.length}`, 20, y);
+        y += lineHeight * 2;
+        
+        // Game state
+        this.ctx.fillText('=== GAME STATE ===', 20, y);
+        y += lineHeight;
+        this.ctx.fillText(`Mode: ${game.gameState.mode}`, 20, y);
+        y += lineHeight;
+        this.ctx.fillText(`State: ${game.gameState.state}`, 20, y);
+        y += lineHeight;
+        this.ctx.fillText(`Time Scale: ${game.gameState.timeScale.toFixed(2)}`, 20, y);
+        y += lineHeight;
+        this.ctx.fillText(`Dimension: ${game.gameState.dimension}`, 20, y);
+        y += lineHeight;
+        this.ctx.fillText(`Chaos: ${game.gameState.chaosLevel.toFixed(1)}`, 20, y);
+        y += lineHeight * 2;
+        
+        // Quantum info
+        const quantumInfo = game.quantumEngine.getQuantumStateInfo();
+        this.ctx.fillText('=== QUANTUM ===', 20, y);
+        y += lineHeight;
+        this.ctx.fillText(`States: ${quantumInfo.totalStates}`, 20, y);
+        y += lineHeight;
+        this.ctx.fillText(`Entanglements: ${quantumInfo.entanglements}`, 20, y);
+        y += lineHeight;
+        this.ctx.fillText(`Rifts: ${quantumInfo.rifts}`, 20, y);
+        y += lineHeight;
+        this.ctx.fillText(`Coherence: ${quantumInfo.avgCoherence}`, 20, y);
+        y += lineHeight * 2;
+        
+        // AI info
+        if (game.neuralNetworkAI) {
+            const aiStats = game.neuralNetworkAI.getStats();
+            this.ctx.fillText('=== AI ===', 20, y);
+            y += lineHeight;
+            this.ctx.fillText(`Memory: ${aiStats.memorySize}`, 20, y);
+            y += lineHeight;
+            this.ctx.fillText(`Epsilon: ${aiStats.epsilon}`, 20, y);
+            y += lineHeight;
+            this.ctx.fillText(`Avg Reward: ${aiStats.avgReward}`, 20, y);
+        }
+        
+        this.ctx.restore();
+        
+        // Draw collision boxes if physics debug enabled
+        if (this.showPhysics) {
+            this.renderPhysicsDebug(game);
+        }
+        
+        // Draw quantum states if quantum debug enabled
+        if (this.showQuantum) {
+            this.renderQuantumDebug(game);
+        }
+    }
+    
+    renderPhysicsDebug(game) {
+        this.ctx.save();
+        
+        // Draw paddle bounds
+        [game.paddle1, game.paddle2].forEach(paddle => {
+            if (!paddle) return;
+            const bounds = paddle.getBounds();
+            this.ctx.strokeStyle = '#00ff00';
+            this.ctx.lineWidth = 2;
+            this.ctx.strokeRect(bounds.x, bounds.y, bounds.width, bounds.height);
+            
+            // Draw velocity vector
+            this.ctx.strokeStyle = '#ffff00';
+            this.ctx.beginPath();
+            this.ctx.moveTo(paddle.position.x, paddle.position.y);
+            this.ctx.lineTo(
+                paddle.position.x + paddle.velocity.x * 5,
+                paddle.position.y + paddle.velocity.y * 5
+            );
+            this.ctx.stroke();
+        });
+        
+        // Draw ball physics
+        game.balls.forEach(ball => {
+            if (!ball.isActive) return;
+            
+            // Velocity vector
+            this.ctx.strokeStyle = '#ff0000';
+            this.ctx.beginPath();
+            this.ctx.moveTo(ball.position.x, ball.position.y);
+            this.ctx.lineTo(
+                ball.position.x + ball.velocity.x * 10,
+                ball.position.y + ball.velocity.y * 10
+            );
+            this.ctx.stroke();
+            
+            // Bounding circle
+            this.ctx.strokeStyle = '#00ffff';
+            this.ctx.beginPath();
+            this.ctx.arc(ball.position.x, ball.position.y, ball.radius, 0, Math.PI * 2);
+            this.ctx.stroke();
+        });
+        
+        this.ctx.restore();
+    }
+    
+    renderQuantumDebug(game) {
+        this.ctx.save();
+        
+        game.balls.forEach(ball => {
+            if (!ball.quantumState) return;
+            
+            const state = ball.quantumState;
+            
+            // Draw wave function
+            this.ctx.strokeStyle = 'rgba(255, 0, 255, 0.5)';
+            this.ctx.beginPath();
+            
+            for (let x = -50; x <= 50; x += 5) {
+                const waveY = Math.sin(x * state.waveFunction.frequency + state.phase) * 
+                             state.waveFunction.amplitude * 20;
+                
+                if (x === -50) {
+                    this.ctx.moveTo(ball.position.x + x, ball.position.y + waveY);
+                } else {
+                    this.ctx.lineTo(ball.position.x + x, ball.position.y + waveY);
+                }
+            }
+            
+            this.ctx.stroke();
+            
+            // Draw coherence indicator
+            this.ctx.fillStyle = `rgba(255, 0, 255, ${state.coherence})`;
+            this.ctx.fillRect(
+                ball.position.x - 5,
+                ball.position.y - ball.radius - 20,
+                state.coherence * 10,
+                5
+            );
+        });
+        
+        this.ctx.restore();
+    }
+}
+
+// ================================================================================================
+// SPECIAL EFFECTS AND ANIMATIONS
+// ================================================================================================
+
+/**
+ * Screen transition effects
+ */
+class TransitionEffect {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.active = false;
+        this.progress = 0;
+        this.type = 'fade';
+        this.callback = null;
+    }
+    
+    start(type, duration, callback) {
+        this.active = true;
+        this.progress = 0;
+        this.type = type;
+        this.duration = duration;
+        this.callback = callback;
+        this.startTime = Date.now();
+    }
+    
+    update() {
+        if (!this.active) return;
+        
+        const elapsed = Date.now() - this.startTime;
+        this.progress = Math.min(elapsed / this.duration, 1);
+        
+        if (this.progress >= 0.5 && this.callback) {
+            this.callback();
+            this.callback = null;
+        }
+        
+        if (this.progress >= 1) {
+            this.active = false;
+        }
+    }
+    
+    render() {
+        if (!this.active) return;
+        
+        this.ctx.save();
+        
+        switch (this.type) {
+            case 'fade':
+                this.renderFade();
+                break;
+            case 'wipe':
+                this.renderWipe();
+                break;
+            case 'circle':
+                this.renderCircle();
+                break;
+            case 'quantum':
+                this.renderQuantum();
+                break;
+        }
+        
+        this.ctx.restore();
+    }
+    
+    renderFade() {
+        const alpha = this.progress < 0.5 ? this.progress * 2 : (1 - this.progress) * 2;
+        this.ctx.fillStyle = `rgba(0, 0, 0, ${alpha})`;
+        this.ctx.fillRect(0, 0, GAME_CONFIG.world.width, GAME_CONFIG.world.height);
+    }
+    
+    renderWipe() {
+        const x = GAME_CONFIG.world.width * this.progress;
+        this.ctx.fillStyle = '#000000';
+        this.ctx.fillRect(0, 0, x, GAME_CONFIG.world.height);
+    }
+    
+    renderCircle() {
+        const maxRadius = Math.sqrt(
+            Math.pow(GAME_CONFIG.world.width / 2, 2) + 
+            Math.pow(GAME_CONFIG.world.height / 2, 2)
+        );
+        
+        const radius = this.progress < 0.5 
+            ? maxRadius * (1 - this.progress * 2)
+            : maxRadius * ((this.progress - 0.5) * 2);
+        
+        this.ctx.fillStyle = '#000000';
+        this.ctx.fillRect(0, 0, GAME_CONFIG.world.width, GAME_CONFIG.world.height);
+        
+        this.ctx.globalCompositeOperation = 'destination-out';
+        this.ctx.beginPath();
+        this.ctx.arc(
+            GAME_CONFIG.world.width / 2,
+            GAME_CONFIG.world.height / 2,
+            radius,
+            0,
+            Math.PI * 2
+        );
+        this.ctx.fill();
+        this.ctx.globalCompositeOperation = 'source-over';
+    }
+    
+    renderQuantum() {
+        for (let i = 0; i < 100; i++) {
+            const x = Random.int(0, GAME_CONFIG.world.width);
+            const y = Random.int(0, GAME_CONFIG.world.height);
+            const size = Random.int(1, 5);
+            
+            this.ctx.fillStyle = ColorUtil.rainbow(this.progress + i / 100);
+            this.ctx.globalAlpha = (1 - Math.abs(this.progress - 0.5) * 2) * 0.5;
+            this.ctx.fillRect(x, y, size, size);
+        }
+        this.ctx.globalAlpha = 1;
+    }
+}
+
+/**
+ * Camera shake effect
+ */
+class CameraShake {
+    constructor() {
+        this.intensity = 0;
+        this.duration = 0;
+        this.elapsed = 0;
+    }
+    
+    start(intensity, duration) {
+        this.intensity = intensity;
+        this.duration = duration;
+        this.elapsed = 0;
+    }
+    
+    update(deltaTime) {
+        if (this.elapsed < this.duration) {
+            this.elapsed += deltaTime;
+        } else {
+            this.intensity = 0;
+        }
+    }
+    
+    getOffset() {
+        if (this.intensity === 0) {
+            return { x: 0, y: 0 };
+        }
+        
+        const progress = 1 - (this.elapsed / this.duration);
+        const currentIntensity = this.intensity * progress;
+        
+        return {
+            x: (Math.random() - 0.5) * currentIntensity,
+            y: (Math.random() - 0.5) * currentIntensity
+        };
+    }
+}
+
+/**
+ * Trail effect renderer
+ */
+class TrailRenderer {
+    constructor() {
+        this.trails = [];
+    }
+    
+    addPoint(entity, color) {
+        if (!this.trails[entity.id]) {
+            this.trails[entity.id] = {
+                points: [],
+                color: color,
+                maxLength: 30
+            };
+        }
+        
+        const trail = this.trails[entity.id];
+        trail.points.push({
+            x: entity.position.x,
+            y: entity.position.y,
+            time: Date.now()
+        });
+        
+        // Remove old points
+        if (trail.points.length > trail.maxLength) {
+            trail.points.shift();
+        }
+    }
+    
+    render(ctx) {
+        Object.values(this.trails).forEach(trail => {
+            if (trail.points.length < 2) return;
+            
+            ctx.save();
+            
+            for (let i = 0; i < trail.points.length - 1; i++) {
+                const alpha = (i + 1) / trail.points.length;
+                const width = alpha * 3;
+                
+                ctx.strokeStyle = ColorUtil.lerp('#000000', trail.color, alpha);
+                ctx.globalAlpha = alpha * 0.5;
+                ctx.lineWidth = width;
+                
+                ctx.beginPath();
+                ctx.moveTo(trail.points[i].x, trail.points[i].y);
+                ctx.lineTo(trail.points[i + 1].x, trail.points[i + 1].y);
+                ctx.stroke();
+            }
+            
+            ctx.restore();
+        });
+    }
+    
+    clear(entityId) {
+        delete this.trails[entityId];
+    }
+    
+    clearAll() {
+        this.trails = [];
+    }
 }
 
 /**
- * Combo system for scoring multipliers
+ * Glow effect renderer
  */
-class ComboSystem {
-    constructor() {
-        this.combo = 0;
-        this.maxCombo = 0;
-        this.multiplier = 1.0;
-        this.comboTimer = 0;
-        this.comboTimeout = 3000; // 3 seconds
+class GlowRenderer {
+    static renderGlow(ctx, x, y, radius, color, intensity = 1.0) {
+        ctx.save();
+        
+        const gradient = ctx.createRadialGradient(x, y, 0, x, y, radius);
+        gradient.addColorStop(0, `${color}${Math.floor(intensity * 255).toString(16).padStart(2, '0')}`);
+        gradient.addColorStop(0.5, `${color}${Math.floor(intensity * 128).toString(16).padStart(2, '0')}`);
+        gradient.addColorStop(1, `${color}00`);
+        
+        ctx.fillStyle = gradient;
+        ctx.beginPath();
+        ctx.arc(x, y, radius, 0, Math.PI * 2);
+        ctx.fill();
+        
+        ctx.restore();
     }
     
-    addHit() {
-        this.combo++;
-        this.maxCombo = Math.max(this.maxCombo, this.combo);
-        this.comboTimer = this.comboTimeout;
-        this.updateMultiplier();
+    static renderPulseGlow(ctx, x, y, radius, color, phase = 0) {
+        const intensity = Math.sin(phase) * 0.3 + 0.7;
+        const pulseRadius = radius * (1 + Math.sin(phase) * 0.2);
+        
+        this.renderGlow(ctx, x, y, pulseRadius, color, intensity);
+    }
+}
+
+// ================================================================================================
+// SOUND SYNTHESIS AND MUSIC GENERATION
+// ================================================================================================
+
+/**
+ * Advanced sound synthesizer
+ */
+class SoundSynthesizer {
+    constructor(audioContext) {
+        this.audioContext = audioContext;
+        this.masterGain = audioContext.createGain();
+        this.masterGain.connect(audioContext.destination);
     }
     
-    updateMultiplier() {
-        this.multiplier = 1.0 + (this.combo * 0.1);
+    /**
+     * Play synthesized tone with ADSR envelope
+     */
+    playTone(frequency, duration, waveType = 'sine', adsrParams = null) {
+        if (!this.audioContext) return;
+        
+        const now = this.audioContext.currentTime;
+        
+        // Default ADSR
+        const adsr = adsrParams || {
+            attack: 0.01,
+            decay: 0.1,
+            sustain: 0.7,
+            release: 0.2
+        };
+        
+        // Create oscillator
+        const oscillator = this.audioContext.createOscillator();
+        const gainNode = this.audioContext.createGain();
+        
+        oscillator.type = waveType;
+        oscillator.frequency.value = frequency;
+        
+        // ADSR envelope
+        gainNode.gain.setValueAtTime(0, now);
+        gainNode.gain.linearRampToValueAtTime(1, now + adsr.attack);
+        gainNode.gain.linearRampToValueAtTime(adsr.sustain, now + adsr.attack + adsr.decay);
+        gainNode.gain.setValueAtTime(adsr.sustain, now + duration - adsr.release);
+        gainNode.gain.linearRampToValueAtTime(0, now + duration);
+        
+        oscillator.connect(gainNode);
+        gainNode.connect(this.masterGain);
+        
+        oscillator.start(now);
+        oscillator.stop(now + duration);
     }
     
-    reset() {
-        this.combo = 0;
-        this.multiplier = 1.0;
-        this.comboTimer = 0;
+    /**
+     * Create laser sound
+     */
+    playLaser() {
+        this.playTone(800, 0.1, 'sawtooth', {
+            attack: 0.01,
+            decay: 0.05,
+            sustain: 0,
+            release: 0.04
+        });
+        
+        setTimeout(() => {
+            this.playTone(200, 0.05, 'square');
+        }, 50);
     }
     
-    update(deltaTime) {
-        if (this.combo > 0) {
-            this.comboTimer -= deltaTime * 16.67;
-            if (this.comboTimer <= 0) {
-                this.reset();
-            }
+    /**
+     * Create explosion sound
+     */
+    playExplosion() {
+        // Use noise for explosion
+        if (!this.audioContext) return;
+        
+        const now = this.audioContext.currentTime;
+        const duration = 0.5;
+        
+        // Create noise buffer
+        const bufferSize = this.audioContext.sampleRate * duration;
+        const buffer = this.audioContext.createBuffer(1, bufferSize, this.audioContext.sampleRate);
+        const data = buffer.getChannelData(0);
+        
+        for (let i = 0; i < bufferSize; i++) {
+            data[i] = (Math.random() * 2 - 1) * Math.exp(-i / (bufferSize * 0.2));
         }
+        
+        const source = this.audioContext.createBufferSource();
+        const gainNode = this.audioContext.createGain();
+        
+        source.buffer = buffer;
+        gainNode.gain.value = 0.3;
+        
+        source.connect(gainNode);
+        gainNode.connect(this.masterGain);
+        
+        source.start(now);
+    }
+}
+
+/**
+ * Procedural music composer
+ */
+class ProceduralMusicComposer {
+    constructor(audioSystem) {
+        this.audioSystem = audioSystem;
+        this.currentProgression = [];
+        this.progressionIndex = 0;
+        this.tempo = 120;
+        this.key = 'C';
+        this.mode = 'minor';
     }
     
-    getScore(baseScore) {
-        return Math.floor(baseScore * this.multiplier);
+    /**
+     * Generate chord progression
+     */
+    generateProgression() {
+        // Common progressions
+        const progressions = [
+            ['i', 'VI', 'III', 'VII'],
+            ['i', 'iv', 'v', 'i'],
+            ['i', 'VII', 'VI', 'VII'],
+            ['i', 'VI', 'iv', 'v']
+        ];
+        
+        this.currentProgression = Random.choice(progressions);
+    }
+    
+    /**
+     * Play next chord
+     */
+    playNextChord() {
+        if (this.currentProgression.length === 0) {
+            this.generateProgression();
+        }
+        
+        const chord = this.currentProgression[this.progressionIndex];
+        this.progressionIndex = (this.progressionIndex + 1) % this.currentProgression.length;
+        
+        // Play chord notes
+        this.playChord(chord);
+        
+        // Schedule next chord
+        const beatDuration = (60 / this.tempo) * 4 * 1000; // 4 beats
+        setTimeout(() => this.playNextChord(), beatDuration);
+    }
+    
+    /**
+     * Play chord
+     */
+    playChord(chord) {
+        // Simplified chord playing
+        const baseFreq = 220; // A3
+        
+        // Play three notes of the chord
+        for (let i = 0; i < 3; i++) {
+            setTimeout(() => {
+                this.audioSystem.playNote(baseFreq * Math.pow(2, i / 3), 1.0, 'sine', 0.1);
+            }, i * 50);
+        }
     }
 }
 
+
 // ================================================================================================
-// PERFORMANCE OPTIMIZATION AND DEBUGGING
+// NETWORK AND MULTIPLAYER
 // ================================================================================================
 
 /**
- * Performance monitor
+ * WebSocket client for the relay server (relay-server.js).
+ * Takes a seat in a room (or watches one), passes game messages to the other player and,
+ * when the connection drops, keeps reconnecting with the seat's token so the match can go on.
+ *
+ * Events: 'welcome', 'message' (data, fromPlayer), 'peerJoined' (player, rejoined),
+ * 'peerLeft', 'peerGone', 'spectators' (count), 'disconnected', 'reconnecting' (attempt),
+ * 'error' (reason)
  */
-class PerformanceMonitor {
-    constructor() {
-        this.metrics = {
-            fps: 60,
-            frameTime: 0,
-            updateTime: 0,
-            renderTime: 0,
-            particleCount: 0,
-            entityCount: 0,
-            memoryUsage: 0
-        };
+class NetworkManager {
+    constructor(options = {}) {
+        this.WebSocket = options.WebSocket || (typeof WebSocket !== 'undefined' ? WebSocket : null);
+        this.reconnectDelay = options.reconnectDelay || GAME_CONFIG.network.reconnectDelay;
+        this.maxReconnectAttempts = options.maxReconnectAttempts || GAME_CONFIG.network.maxReconnectAttempts;
+        this.events = new EventEmitter();
         
-        this.history = {
-            fps: [],
-            frameTime: [],
-            particleCount: []
-        };
+        this.connected = false;
+        this.socket = null;
+        this.url = null;
+        this.room = null;
+        this.player = null; // 1 hosts, 2 is the guest
+        this.token = null;  // reclaims the seat after a dropped connection
+        this.peers = {};    // player -> connected right now
+        this.roomOptions = {}; // set by whoever created the room, e.g. { netcode }
+        this.spectator = false; // watching rather than seated (see watch())
+        this.spectators = 0;    // how many are watching the room
         
-        this.maxHistoryLength = 100;
+        this.closing = false;
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+    }
+    
+    /**
+     * Join a room on the relay; resolves with the welcome ({ player, token, rejoined, peers, options }).
+     * Pass the token from an earlier welcome to get the same seat back (if that seat has gone,
+     * this joins as a newcomer). Options only count when this creates the room:
+     * { netcode: 'authoritative' | 'rollback' }, see createMatch().
+     */
+    connect(url, room, token = null, options = {}) {
+        this.url = url;
+        this.room = room;
+        this.token = token;
+        this.roomOptions = options;
+        this.closing = false;
+        this.reconnectAttempts = 0;
+        return this.open().catch(error => {
+            if (error.code !== 'seatExpired') throw error;
+            this.token = null;
+            return this.open();
+        });
+    }
+    
+    /**
+     * Watch a room's match without a seat; resolves with the welcome (player is null)
+     */
+    watch(url, room) {
+        this.spectator = true;
+        return this.connect(url, room);
+    }
+    
+    /**
+     * Open a socket and join; rejects if the relay can't be reached or refuses the seat
+     */
+    open() {
+        return new Promise((resolve, reject) => {
+            if (!this.WebSocket) {
+                reject(new Error('WebSocket is not available'));
+                return;
+            }
+            
+            const socket = new this.WebSocket(this.url);
+            let welcomed = false;
+            this.socket = socket;
+            
+            socket.onopen = () => {
+                socket.send(JSON.stringify({
+                    type: 'join',
+                    room: this.room,
+                    token: this.token,
+                    options: this.roomOptions,
+                    spectate: this.spectator
+                }));
+            };
+            
+            socket.onmessage = (event) => {
+                let message;
+                try {
+                    message = JSON.parse(event.data);
+                } catch (e) {
+                    return;
+                }
+                
+                if (message.type === 'welcome') {
+                    welcomed = true;
+                    resolve(message);
+                } else if (message.type === 'error' && !welcomed) {
+                    const error = new Error(message.reason);
+                    error.code = message.code;
+                    reject(error);
+                    socket.close();
+                    return;
+                }
+                this.handleMessage(message);
+            };
+            
+            socket.onerror = () => {}; // followed by onclose
+            
+            socket.onclose = () => {
+                if (this.socket !== socket) return;
+                this.socket = null;
+                
+                if (!welcomed) {
+                    reject(new Error('Could not reach the relay'));
+                    return;
+                }
+                
+                this.connected = false;
+                this.events.emit('disconnected');
+                if (!this.closing) {
+                    this.scheduleReconnect();
+                }
+            };
+        });
     }
     
     /**
-     * Start measuring frame
+     * Try again after a growing delay, up to maxReconnectAttempts
      */
-    startFrame() {
-        this.frameStartTime = performance.now();
+    scheduleReconnect() {
+        if (this.reconnectAttempts >= this.maxReconnectAttempts) {
+            this.events.emit('error', 'Lost connection to the relay');
+            return;
+        }
+        
+        this.reconnectAttempts++;
+        this.events.emit('reconnecting', this.reconnectAttempts);
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            if (this.closing) return;
+            this.open().catch(error => {
+                // Away too long: the seat (and the match with it) went to nobody
+                if (error.code === 'seatExpired') {
+                    this.events.emit('error', 'Away too long, your seat was given up');
+                } else {
+                    this.scheduleReconnect();
+                }
+            });
+        }, this.reconnectDelay * this.reconnectAttempts);
     }
     
     /**
-     * Mark update complete
+     * Relay message from the server
      */
-    markUpdateComplete() {
-        this.updateTime = performance.now() - this.frameStartTime;
+    handleMessage(message) {
+        switch (message.type) {
+            case 'welcome':
+                this.connected = true;
+                this.player = message.player;
+                this.token = message.token;
+                this.reconnectAttempts = 0;
+                this.roomOptions = message.options || {};
+                this.spectators = message.spectators || 0;
+                this.peers = {};
+                message.peers.forEach(peer => {
+                    this.peers[peer.player] = peer.connected;
+                });
+                this.events.emit('welcome', message);
+                break;
+            case 'relay':
+                this.events.emit('message', message.data, message.from);
+                break;
+            case 'peerJoined':
+                this.peers[message.player] = true;
+                this.events.emit('peerJoined', message.player, message.rejoined);
+                break;
+            case 'peerLeft':
+                this.peers[message.player] = false;
+                this.events.emit('peerLeft', message.player);
+                break;
+            case 'peerGone':
+                delete this.peers[message.player];
+                this.events.emit('peerGone', message.player);
+                break;
+            case 'spectators':
+                this.spectators = message.count;
+                this.events.emit('spectators', message.count);
+                break;
+            case 'error':
+                this.events.emit('error', message.reason);
+                break;
+        }
     }
     
     /**
-     * Mark render complete
+     * How the room's players keep their matches in step: 'authoritative' (the host simulates,
+     * the guest predicts) or 'rollback' (both simulate from exchanged inputs, nobody trusted)
      */
-    markRenderComplete() {
-        this.renderTime = performance.now() - this.frameStartTime - this.updateTime;
+    get netcode() {
+        return this.roomOptions.netcode === 'rollback' ? 'rollback' : 'authoritative';
     }
     
     /**
-     * End frame measurement
+     * The match driver for this room's netcode (or for watching it), running the given simulation
      */
-    endFrame() {
-        this.frameTime = performance.now() - this.frameStartTime;
-        this.fps = 1000 / this.frameTime;
-        
-        // Update history
-        this.history.fps.push(this.fps);
-        this.history.frameTime.push(this.frameTime);
-        
-        // Trim history
-        if (this.history.fps.length > this.maxHistoryLength) {
-            this.history.fps.shift();
-            this.history.frameTime.shift();
+    createMatch(simulation) {
+        if (this.spectator) {
+            return new SpectatorMatch(simulation, this);
         }
+        return this.netcode === 'rollback'
+            ? new RollbackMatch(simulation, this)
+            : new OnlineMatch(simulation, this);
     }
     
     /**
-     * Get average FPS
+     * Whether a player is seated and connected right now
      */
-    getAverageFPS() {
-        if (this.history.fps.length === 0) return 0;
-        return this.history.fps.reduce((a, b) => a + b, 0) / this.history.fps.length;
+    isPeerConnected(player) {
+        return this.peers[player] === true;
     }
     
     /**
-     * Get performance report
+     * Send data to the other player, or only to player `to` ('spectators' for the watchers);
+     * false while disconnected
      */
-    getReport() {
-        return {
-            currentFPS: this.fps.toFixed(2),
-            averageFPS: this.getAverageFPS().toFixed(2),
-            frameTime: this.frameTime.toFixed(2),
-            updateTime: this.updateTime.toFixed(2),
-            renderTime: this.renderTime.toFixed(2),
-            particleCount: this.particleCount,
-            entityCount: this.entityCount
-        };
+    send(data, to) {
+        if (!this.connected || !this.socket) return false;
+        this.socket.send(JSON.stringify({ type: 'relay', data, to }));
+        return true;
     }
     
     /**
-     * Log performance warning
+     * Leave the room for good (no reconnecting)
      */
-    checkPerformance() {
-        if (this.fps < 30) {
-            console.warn('Low FPS detected:', this.fps);
-        }
+    disconnect() {
+        this.closing = true;
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
         
-        if (this.particleCount > 3000) {
-            console.warn('High particle count:', this.particleCount);
+        if (this.socket) {
+            if (this.connected) {
+                this.socket.send(JSON.stringify({ type: 'leave' }));
+            }
+            this.socket.close();
+            this.socket = null;
         }
+        this.connected = false;
+        this.token = null;
     }
 }
 
 /**
- * Debug overlay
+ * Shared plumbing for a match played over a NetworkManager: this client's input,
+ * status text, forfeits and the network listeners. Subclasses decide how both sides
+ * agree on each tick (OnlineMatch: the host decides, RollbackMatch: both simulate).
+ *
+ * Events: 'started', 'status' (text), 'ended', 'confirmed' (inputs, getState) when a tick's
+ * inputs are final, as for ReplaySystem.recordInputs
  */
-class DebugOverlay {
-    constructor(canvas) {
-        this.canvas = canvas;
-        this.ctx = canvas.getContext('2d');
-        this.enabled = false;
-        this.showPhysics = false;
-        this.showQuantum = false;
-        this.showAI = false;
+class NetworkMatch {
+    constructor(simulation, network) {
+        this.simulation = simulation;
+        this.network = network;
+        this.events = new EventEmitter();
+        
+        this.localPlayer = network.player;
+        this.isSpectator = false;
+        this.started = false;
+        this.pausedForPeer = false;
+        this.status = '';
+        
+        // This client's input for the next tick
+        this.localMove = 0;
+        this.localActions = [];
+        
+        this.networkHandlers = {
+            message: (data, from) => this.handleMessage(data, from),
+            peerJoined: (player, rejoined) => this.handlePeerJoined(player, rejoined),
+            peerLeft: (player) => this.handlePeerLeft(player),
+            peerGone: (player) => this.handlePeerGone(player),
+            disconnected: () => this.handleDisconnected(),
+            welcome: () => this.handleReconnected(),
+            error: (reason) => this.setStatus(reason)
+        };
+        Object.keys(this.networkHandlers).forEach(event => {
+            network.events.on(event, this.networkHandlers[event]);
+        });
     }
     
-    toggle() {
-        this.enabled = !this.enabled;
+    get opponent() {
+        return this.localPlayer === 1 ? 2 : 1;
     }
     
-    render(game) {
-        if (!this.enabled) return;
-        
-        this.ctx.save();
-        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
-        this.ctx.fillRect(10, 10, 300, 400);
-        
-        this.ctx.fillStyle = '#00ff00';
-        this.ctx.font = '12px monospace';
-        
-        let y = 30;
-        const lineHeight = 15;
-        
-        // Performance metrics
-        this.ctx.fillText('=== PERFORMANCE ===', 20, y);
-        y += lineHeight;
-        this.ctx.fillText(`FPS: ${game.fps}`, 20, y);
-        y += lineHeight;
-        this.ctx.fillText(`Particles: ${game.particleSystem.getCount()}`, 20, y);
-        y += lineHeight;
-        this.ctx.fillText(`Balls: ${game.balls.length}`, 20, y);
-        y += lineHeight;
-        this.ctx.fillText(`PowerUps: ${game.powerups.length}`, 20, y);
-        y += lineHeight;
-        this.ctx.fillText(`Obstacles: ${game.obstacles.length}`, 20, y);
-        y += lineHeight * 2;
-        
-        // Game state
-        this.ctx.fillText('=== GAME STATE ===', 20, y);
-        y += lineHeight;
-        this.ctx.fillText(`Mode: ${game.gameState.mode}`, 20, y);
-        y += lineHeight;
-        this.ctx.fillText(`State: ${game.gameState.state}`, 20, y);
-        y += lineHeight;
-        this.ctx.fillText(`Time Scale: ${game.gameState.timeScale.toFixed(2)}`, 20, y);
-        y += lineHeight;
-        this.ctx.fillText(`Dimension: ${game.gameState.dimension}`, 20, y);
-        y += lineHeight;
-        this.ctx.fillText(`Chaos: ${game.gameState.chaosLevel.toFixed(1)}`, 20, y);
-        y += lineHeight * 2;
-        
-        // Quantum info
-        const quantumInfo = game.quantumEngine.getQuantumStateInfo();
-        this.ctx.fillText('=== QUANTUM ===', 20, y);
-        y += lineHeight;
-        this.ctx.fillText(`States: ${quantumInfo.totalStates}`, 20, y);
-        y += lineHeight;
-        this.ctx.fillText(`Entanglements: ${quantumInfo.entanglements}`, 20, y);
-        y += lineHeight;
-        this.ctx.fillText(`Rifts: ${quantumInfo.rifts}`, 20, y);
-        y += lineHeight;
-        this.ctx.fillText(`Coherence: ${quantumInfo.avgCoherence}`, 20, y);
-        y += lineHeight * 2;
-        
-        // AI info
-        if (game.neuralNetworkAI) {
-            const aiStats = game.neuralNetworkAI.getStats();
-            this.ctx.fillText('=== AI ===', 20, y);
-            y += lineHeight;
-            this.ctx.fillText(`Memory: ${aiStats.memorySize}`, 20, y);
-            y += lineHeight;
-            this.ctx.fillText(`Epsilon: ${aiStats.epsilon}`, 20, y);
-            y += lineHeight;
-            this.ctx.fillText(`Avg Reward: ${aiStats.avgReward}`, 20, y);
-        }
-        
-        this.ctx.restore();
-        
-        // Draw collision boxes if physics debug enabled
-        if (this.showPhysics) {
-            this.renderPhysicsDebug(game);
-        }
-        
-        // Draw quantum states if quantum debug enabled
-        if (this.showQuantum) {
-            this.renderQuantumDebug(game);
-        }
+    /**
+     * Movement for this client's paddle (a speed or { target }, as for
+     * GameSimulation.setPaddleInput) from the next tick on
+     */
+    setLocalMove(move) {
+        this.localMove = GameSimulation.normalizeMove(move);
     }
     
-    renderPhysicsDebug(game) {
-        this.ctx.save();
-        
-        // Draw paddle bounds
-        [game.paddle1, game.paddle2].forEach(paddle => {
-            if (!paddle) return;
-            const bounds = paddle.getBounds();
-            this.ctx.strokeStyle = '#00ff00';
-            this.ctx.lineWidth = 2;
-            this.ctx.strokeRect(bounds.x, bounds.y, bounds.width, bounds.height);
-            
-            // Draw velocity vector
-            this.ctx.strokeStyle = '#ffff00';
-            this.ctx.beginPath();
-            this.ctx.moveTo(paddle.position.x, paddle.position.y);
-            this.ctx.lineTo(
-                paddle.position.x + paddle.velocity.x * 5,
-                paddle.position.y + paddle.velocity.y * 5
-            );
-            this.ctx.stroke();
-        });
-        
-        // Draw ball physics
-        game.balls.forEach(ball => {
-            if (!ball.isActive) return;
-            
-            // Velocity vector
-            this.ctx.strokeStyle = '#ff0000';
-            this.ctx.beginPath();
-            this.ctx.moveTo(ball.position.x, ball.position.y);
-            this.ctx.lineTo(
-                ball.position.x + ball.velocity.x * 10,
-                ball.position.y + ball.velocity.y * 10
-            );
-            this.ctx.stroke();
-            
-            // Bounding circle
-            this.ctx.strokeStyle = '#00ffff';
-            this.ctx.beginPath();
-            this.ctx.arc(ball.position.x, ball.position.y, ball.radius, 0, Math.PI * 2);
-            this.ctx.stroke();
-        });
-        
-        this.ctx.restore();
+    /**
+     * Ability for this client's paddle on the next tick (params as for
+     * GameSimulation.queueAction)
+     */
+    queueAction(type, params = {}) {
+        this.localActions.push({ type, params });
     }
     
-    renderQuantumDebug(game) {
-        this.ctx.save();
-        
-        game.balls.forEach(ball => {
-            if (!ball.quantumState) return;
-            
-            const state = ball.quantumState;
-            
-            // Draw wave function
-            this.ctx.strokeStyle = 'rgba(255, 0, 255, 0.5)';
-            this.ctx.beginPath();
-            
-            for (let x = -50; x <= 50; x += 5) {
-                const waveY = Math.sin(x * state.waveFunction.frequency + state.phase) * 
-                             state.waveFunction.amplitude * 20;
-                
-                if (x === -50) {
-                    this.ctx.moveTo(ball.position.x + x, ball.position.y + waveY);
-                } else {
-                    this.ctx.lineTo(ball.position.x + x, ball.position.y + waveY);
-                }
-            }
-            
-            this.ctx.stroke();
-            
-            // Draw coherence indicator
-            this.ctx.fillStyle = `rgba(255, 0, 255, ${state.coherence})`;
-            this.ctx.fillRect(
-                ball.position.x - 5,
-                ball.position.y - ball.radius - 20,
-                state.coherence * 10,
-                5
-            );
-        });
+    /**
+     * The other side's abilities from a message, as { type, params }
+     */
+    static readActions(actions) {
+        if (!Array.isArray(actions)) return [];
+        return actions
+            .filter(action => action && typeof action.type === 'string')
+            .map(action => ({
+                type: action.type,
+                params: action.params && typeof action.params === 'object' ? action.params : {}
+            }));
+    }
+    
+    /**
+     * Whether the match is on hold (paused, or waiting for the other player)
+     */
+    isHeld() {
+        return this.pausedForPeer;
+    }
+    
+    handlePeerLeft(player) {
+        if (player !== this.opponent) return;
+        this.pauseForPeer(`Player ${player} disconnected, waiting for them to rejoin...`);
+    }
+    
+    /**
+     * The other player left for good: they forfeit a match in progress
+     */
+    handlePeerGone(player) {
+        if (player !== this.opponent) return;
         
-        this.ctx.restore();
+        this.pausedForPeer = false;
+        if (this.started && this.simulation.gameState.state !== 'gameover') {
+            this.simulation.endGame(this.localPlayer, `Player ${player} left the match`);
+        }
+        this.setStatus(`Player ${player} left`);
+        this.events.emit('ended');
+    }
+    
+    handleDisconnected() {
+        this.pauseForPeer('Connection lost, reconnecting...');
+    }
+    
+    /**
+     * Hold the match while someone is missing
+     */
+    pauseForPeer(status) {
+        if (this.started) {
+            this.pausedForPeer = true;
+        }
+        this.setStatus(status);
+    }
+    
+    resumeForPeer() {
+        this.pausedForPeer = false;
+        this.setStatus('');
+    }
+    
+    setStatus(text) {
+        this.status = text;
+        this.events.emit('status', text);
+    }
+    
+    /**
+     * Player 1 streams the match to the room's spectators (see SpectatorMatch), given a
+     * serialized state that's final for its tick
+     */
+    feedSpectators(state) {
+        if (this.localPlayer !== 1 || this.network.spectators === 0) return;
+        
+        if (state.tick % GAME_CONFIG.network.spectatorInterval === 0 || state.gameState.state !== 'playing') {
+            this.network.send({ type: 'watch', tick: state.tick, state }, 'spectators');
+        }
+    }
+    
+    /**
+     * " | 2 watching" for status lines, when anyone is
+     */
+    getSpectatorText() {
+        return this.network.spectators > 0 ? ` | ${this.network.spectators} watching` : '';
+    }
+    
+    /**
+     * Stop listening to the network and leave the room
+     */
+    dispose() {
+        Object.keys(this.networkHandlers).forEach(event => {
+            this.network.events.off(event, this.networkHandlers[event]);
+        });
+        this.network.disconnect();
     }
 }
 
-// ================================================================================================
-// SPECIAL EFFECTS AND ANIMATIONS
-// ================================================================================================
-
 /**
- * Screen transition effects
+ * Host-authoritative online match over a NetworkManager.
+ * The host (player 1) runs the real simulation, applying the guest's inputs as they arrive,
+ * and sends snapshots of it. The guest (player 2) predicts: it applies its own input at once
+ * and keeps simulating locally, then on every snapshot rewinds to it and replays the inputs
+ * the host hadn't applied yet, so its paddle never waits a round trip to move.
  */
-class TransitionEffect {
-    constructor(canvas) {
-        this.canvas = canvas;
-        this.ctx = canvas.getContext('2d');
-        this.active = false;
-        this.progress = 0;
-        this.type = 'fade';
-        this.callback = null;
+class OnlineMatch extends NetworkMatch {
+    constructor(simulation, network) {
+        super(simulation, network);
+        this.isHost = network.player === 1;
+        
+        // Guest: inputs sent but not yet applied by the host, and the host's latest word
+        this.inputSeq = 0;
+        this.pendingInputs = [];
+        this.lastSnapshot = null;
+        this.rtt = 0;
+        
+        // Host: guest inputs waiting for a tick, and the inputs of the ticks played since the
+        // last snapshot (so the guest knows them too)
+        this.remoteInputs = [];
+        this.remoteMove = 0;
+        this.lastAppliedSeq = 0;
+        this.remoteRtt = 0;
+        this.unsentInputs = [];
     }
     
-    start(type, duration, callback) {
-        this.active = true;
-        this.progress = 0;
-        this.type = type;
-        this.duration = duration;
-        this.callback = callback;
-        this.startTime = Date.now();
+    /**
+     * Kick off after joining: the host starts once a guest is seated (or, coming back to a
+     * match it lost on reload, asks the guest for the last state it had); the guest waits
+     */
+    begin(welcome) {
+        if (!this.isHost) {
+            this.setStatus('Waiting for the host...');
+            return;
+        }
+        
+        if (!this.network.isPeerConnected(2)) {
+            this.setStatus(`Waiting for an opponent in room ${this.network.room}...`);
+        } else if (welcome.rejoined) {
+            this.setStatus('Recovering the match...');
+            this.network.send({ type: 'stateRequest' }, 2);
+        } else {
+            this.startMatch();
+        }
     }
     
-    update() {
-        if (!this.active) return;
+    /**
+     * Host: start a fresh match and send it to the guest
+     */
+    startMatch() {
+        this.simulation.start('online');
+        this.resetRemoteInput();
+        this.started = true;
+        this.sendSnapshot();
+        this.setStatus('');
+        this.events.emit('started');
+    }
+    
+    /**
+     * Advance one fixed tick; called by the game loop while the match is playing
+     */
+    step() {
+        if (this.isHost) {
+            this.stepHost();
+        } else {
+            this.stepGuest();
+        }
+    }
+    
+    stepHost() {
+        const sim = this.simulation;
         
-        const elapsed = Date.now() - this.startTime;
-        this.progress = Math.min(elapsed / this.duration, 1);
+        sim.setPaddleInput(1, this.localMove);
+        this.localActions.forEach(({ type, params }) => sim.queueAction(1, type, params));
+        this.localActions = [];
         
-        if (this.progress >= 0.5 && this.callback) {
-            this.callback();
-            this.callback = null;
+        const remote = this.takeRemoteInput();
+        sim.setPaddleInput(2, remote.move);
+        remote.actions.forEach(({ type, params }) => sim.queueAction(2, type, params));
+        
+        sim.step();
+        
+        const inputs = sim.lastInputs;
+        if (inputs && inputs.tick === sim.tick) {
+            this.unsentInputs.push(inputs);
+            this.events.emit('confirmed', inputs, () => sim.serializeState());
         }
         
-        if (this.progress >= 1) {
-            this.active = false;
+        if (sim.tick % GAME_CONFIG.network.snapshotInterval === 0 || sim.gameState.state !== 'playing') {
+            this.sendSnapshot();
         }
     }
     
-    render() {
-        if (!this.active) return;
+    stepGuest() {
+        const input = {
+            type: 'input',
+            seq: ++this.inputSeq,
+            move: this.localMove,
+            actions: this.localActions,
+            rtt: Math.round(this.rtt)
+        };
+        this.localActions = [];
+        this.network.send(input);
         
-        this.ctx.save();
+        this.pendingInputs.push({ seq: input.seq, move: input.move, sentAt: Date.now() });
+        if (this.pendingInputs.length > GAME_CONFIG.network.maxPendingInputs) {
+            this.pendingInputs.shift();
+        }
         
-        switch (this.type) {
-            case 'fade':
-                this.renderFade();
-                break;
-            case 'wipe':
-                this.renderWipe();
-                break;
-            case 'circle':
-                this.renderCircle();
-                break;
-            case 'quantum':
-                this.renderQuantum();
-                break;
+        // Prediction: our paddle moves now, the rest carries on from the last snapshot.
+        // Abilities wait for the host, since they draw on the match's random numbers.
+        this.simulation.setPaddleInput(2, input.move);
+        this.simulation.step();
+    }
+    
+    /**
+     * Host: next guest input, one per tick. With nothing queued the guest is assumed to
+     * keep doing what it last did; a backlog after a lag spike is caught up in one tick.
+     */
+    takeRemoteInput() {
+        const queue = this.remoteInputs;
+        if (queue.length === 0) {
+            return { move: this.remoteMove, actions: [] };
         }
         
-        this.ctx.restore();
+        const count = queue.length > GAME_CONFIG.network.inputBuffer ? queue.length : 1;
+        const inputs = queue.splice(0, count);
+        const latest = inputs[inputs.length - 1];
+        
+        this.remoteMove = latest.move;
+        this.lastAppliedSeq = latest.seq;
+        return {
+            move: latest.move,
+            actions: inputs.reduce((all, input) => all.concat(input.actions), [])
+        };
     }
     
-    renderFade() {
-        const alpha = this.progress < 0.5 ? this.progress * 2 : (1 - this.progress) * 2;
-        this.ctx.fillStyle = `rgba(0, 0, 0, ${alpha})`;
-        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+    resetRemoteInput() {
+        this.remoteInputs = [];
+        this.remoteMove = 0;
+        this.lastAppliedSeq = 0;
     }
     
-    renderWipe() {
-        const x = this.canvas.width * this.progress;
-        this.ctx.fillStyle = '#000000';
-        this.ctx.fillRect(0, 0, x, this.canvas.height);
+    /**
+     * Host: send the authoritative state, with the last guest input it includes
+     */
+    sendSnapshot() {
+        const state = this.simulation.serializeState();
+        const sent = this.network.send({
+            type: 'snapshot',
+            tick: this.simulation.tick,
+            ack: this.lastAppliedSeq,
+            state,
+            inputs: this.unsentInputs
+        });
+        if (sent) {
+            this.unsentInputs = [];
+        }
+        this.feedSpectators(state);
     }
     
-    renderCircle() {
-        const maxRadius = Math.sqrt(
-            Math.pow(this.canvas.width / 2, 2) + 
-            Math.pow(this.canvas.height / 2, 2)
-        );
+    /**
+     * Guest: jump to the host's state, then replay our inputs it hadn't applied yet. The
+     * ticks the host played since its last snapshot are final, unlike our predictions.
+     */
+    applySnapshot(snapshot) {
+        const sim = this.simulation;
+        if (this.lastSnapshot && snapshot.tick < this.lastSnapshot.tick) return;
         
-        const radius = this.progress < 0.5 
-            ? maxRadius * (1 - this.progress * 2)
-            : maxRadius * ((this.progress - 0.5) * 2);
+        (Array.isArray(snapshot.inputs) ? snapshot.inputs : []).forEach(inputs => {
+            this.events.emit('confirmed', inputs, () => inputs.tick === snapshot.tick ? snapshot.state : null);
+        });
         
-        this.ctx.fillStyle = '#000000';
-        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        const acked = this.pendingInputs.find(input => input.seq === snapshot.ack);
+        if (acked) {
+            this.rtt = Date.now() - acked.sentAt;
+        }
+        this.pendingInputs = this.pendingInputs.filter(input => input.seq > snapshot.ack);
+        this.lastSnapshot = snapshot;
         
-        this.ctx.globalCompositeOperation = 'destination-out';
-        this.ctx.beginPath();
-        this.ctx.arc(
-            this.canvas.width / 2,
-            this.canvas.height / 2,
-            radius,
-            0,
-            Math.PI * 2
-        );
-        this.ctx.fill();
-        this.ctx.globalCompositeOperation = 'source-over';
+        sim.restoreState(snapshot.state);
+        this.pausedForPeer = false;
+        
+        // These ticks were already shown (and heard) when first predicted
+        sim.events.muted = true;
+        this.pendingInputs.forEach(input => {
+            sim.setPaddleInput(2, input.move);
+            sim.step();
+        });
+        sim.events.muted = false;
+        
+        if (!this.started) {
+            this.started = true;
+            this.setStatus('');
+            this.events.emit('started');
+        }
     }
     
-    renderQuantum() {
-        for (let i = 0; i < 100; i++) {
-            const x = Random.int(0, this.canvas.width);
-            const y = Random.int(0, this.canvas.height);
-            const size = Random.int(1, 5);
-            
-            this.ctx.fillStyle = ColorUtil.rainbow(this.progress + i / 100);
-            this.ctx.globalAlpha = (1 - Math.abs(this.progress - 0.5) * 2) * 0.5;
-            this.ctx.fillRect(x, y, size, size);
+    /**
+     * Pause or resume for both players (the host decides)
+     */
+    togglePause() {
+        if (this.pausedForPeer) return;
+        
+        if (this.isHost) {
+            this.simulation.gameState.togglePause();
+            this.sendSnapshot();
+        } else {
+            this.network.send({ type: 'pause' }, 1);
         }
-        this.ctx.globalAlpha = 1;
     }
-}
-
-/**
- * Camera shake effect
- */
-class CameraShake {
-    constructor() {
-        this.intensity = 0;
-        this.duration = 0;
-        this.elapsed = 0;
+    
+    /**
+     * Game message from the other player
+     */
+    handleMessage(data, from) {
+        if (!data || from !== this.opponent) return;
+        
+        if (this.isHost) {
+            switch (data.type) {
+                case 'input':
+                    this.remoteInputs.push({
+                        seq: data.seq,
+                        move: GameSimulation.normalizeMove(data.move),
+                        actions: NetworkMatch.readActions(data.actions)
+                    });
+                    this.remoteRtt = data.rtt || 0;
+                    break;
+                case 'pause':
+                    this.togglePause();
+                    break;
+                case 'state':
+                    // Our reload lost the match; carry on from the guest's copy, if it had one
+                    // we can read (a match half restored from a bad copy is replaced by a new one)
+                    if (this.started) return;
+                    if (data.state) {
+                        try {
+                            this.simulation.restoreState(data.state);
+                        } catch (e) {
+                            this.startMatch();
+                            return;
+                        }
+                        this.resetRemoteInput();
+                        this.started = true;
+                        this.sendSnapshot();
+                        this.setStatus('');
+                        this.events.emit('started');
+                    } else {
+                        this.startMatch();
+                    }
+                    break;
+            }
+        } else {
+            switch (data.type) {
+                case 'snapshot':
+                    this.applySnapshot(data);
+                    break;
+                case 'stateRequest':
+                    this.network.send({
+                        type: 'state',
+                        state: this.lastSnapshot ? this.lastSnapshot.state : null
+                    }, 1);
+                    break;
+            }
+        }
     }
     
-    start(intensity, duration) {
-        this.intensity = intensity;
-        this.duration = duration;
-        this.elapsed = 0;
+    handlePeerJoined(player, rejoined) {
+        if (player !== this.opponent) return;
+        
+        if (!this.isHost) {
+            this.setStatus(rejoined ? 'Host is back, resyncing...' : 'Waiting for the host...');
+            return;
+        }
+        
+        if (!this.started) {
+            this.startMatch();
+            return;
+        }
+        
+        // The guest starts over on its input numbering; catch it up with a snapshot
+        this.resetRemoteInput();
+        this.resumeForPeer();
+        this.sendSnapshot();
     }
     
-    update(deltaTime) {
-        if (this.elapsed < this.duration) {
-            this.elapsed += deltaTime;
+    /**
+     * Our own connection is back (a fresh 'welcome' after the first)
+     */
+    handleReconnected() {
+        if (!this.network.isPeerConnected(this.opponent)) {
+            this.setStatus(`Reconnected, waiting for player ${this.opponent}...`);
+            return;
+        }
+        
+        if (this.isHost) {
+            this.resumeForPeer();
+            this.sendSnapshot();
         } else {
-            this.intensity = 0;
+            this.setStatus('Reconnected, resyncing...');
         }
     }
     
-    getOffset() {
-        if (this.intensity === 0) {
-            return { x: 0, y: 0 };
+    /**
+     * Pause the simulation while someone is missing; only this kind of pause resumes on its own
+     */
+    pauseForPeer(status) {
+        const gameState = this.simulation.gameState;
+        if (this.started && gameState.state === 'playing') {
+            gameState.state = 'paused';
+            this.pausedForPeer = true;
         }
-        
-        const progress = 1 - (this.elapsed / this.duration);
-        const currentIntensity = this.intensity * progress;
-        
-        return {
-            x: (Math.random() - 0.5) * currentIntensity,
-            y: (Math.random() - 0.5) * currentIntensity
-        };
+        this.setStatus(status);
+    }
+    
+    resumeForPeer() {
+        if (this.pausedForPeer && this.simulation.gameState.state === 'paused') {
+            this.simulation.gameState.state = 'playing';
+        }
+        this.pausedForPeer = false;
+        this.setStatus('');
+    }
+    
+    /**
+     * One line for the HUD: role and round trip, or what we're waiting for
+     */
+    getStatusText() {
+        if (this.status) return this.status;
+        const role = this.isHost ? 'Host (P1)' : 'Guest (P2)';
+        const rtt = this.isHost ? this.remoteRtt : this.rtt;
+        return `${role} | room ${this.network.room} | ping ${Math.round(rtt)}ms${this.getSpectatorText()}`;
     }
+    
 }
 
 /**
- * Trail effect renderer
+ * Peer-to-peer rollback match, for when neither player should have to trust the other's
+ * simulation. Both run the whole match from a seed they chose together and swap only their
+ * inputs, each tagged with the tick it applies to (inputDelay ticks ahead, which hides most
+ * of the latency). A tick whose remote input hasn't arrived yet is played assuming the other
+ * player kept doing what they last did; when the real input says otherwise, the match is
+ * rewound to that tick and replayed. Both sides also swap a checksum of every tick they have
+ * both inputs for, so a desync is reported rather than silently played on.
+ *
+ * Events (besides NetworkMatch's): 'desync' (tick, localChecksum, remoteChecksum)
  */
-class TrailRenderer {
-    constructor() {
-        this.trails = [];
+class RollbackMatch extends NetworkMatch {
+    constructor(simulation, network) {
+        super(simulation, network);
+        
+        // Inputs by tick ({ 1: { move, actions }, 2: ... }) and how far each side is known
+        this.inputs = new Map();
+        this.lastLocalTick = 0;       // furthest tick we have chosen our input for
+        this.lastRemoteTick = 0;      // every remote input up to here has arrived
+        this.peerAck = 0;             // the other side has our inputs up to here
+        this.predictions = new Map(); // tick -> remote input assumed when it was played
+        this.waiting = false;         // too far ahead of the other player to keep predicting
+        
+        // Serialized state after each recent tick, to rewind to
+        this.states = new Map();
+        
+        // Desync detection
+        this.localChecksums = new Map();
+        this.remoteChecksums = new Map();
+        this.unsentChecksums = [];
+        this.lastChecksumTick = 0;
+        this.desyncTick = null;
+        
+        // Both players stop at the same tick (see togglePause)
+        this.pauseTick = null;
+        
+        // Each player brings half of the match seed
+        this.seedPart = null;
+        this.remoteSeedPart = null;
+        
+        // Stats for the HUD
+        this.rollbacks = 0;
+        this.maxRollbackDepth = 0;
+        this.sentTimes = new Map(); // tick -> when our input for it was first sent
+        this.rtt = 0;
     }
     
-    addPoint(entity, color) {
-        if (!this.trails[entity.id]) {
-            this.trails[entity.id] = {
-                points: [],
-                color: color,
-                maxLength: 30
-            };
+    /**
+     * Kick off after joining: swap seed halves with a seated opponent, or, back after losing
+     * the match (e.g. a reload), ask them for the state we both last agreed on
+     */
+    begin(welcome) {
+        if (!this.network.isPeerConnected(this.opponent)) {
+            this.setStatus(`Waiting for an opponent in room ${this.network.room}...`);
+        } else if (welcome.rejoined) {
+            this.setStatus('Recovering the match...');
+            this.network.send({ type: 'syncRequest' }, this.opponent);
+        } else {
+            this.sendStart();
+        }
+    }
+    
+    /**
+     * Offer our half of the seed; the match starts once both halves are in
+     */
+    sendStart() {
+        if (this.seedPart === null) {
+            this.seedPart = SeededRandom.randomSeed();
         }
+        this.network.send({ type: 'start', seedPart: this.seedPart }, this.opponent);
         
-        const trail = this.trails[entity.id];
-        trail.points.push({
-            x: entity.position.x,
-            y: entity.position.y,
-            time: Date.now()
-        });
+        if (this.remoteSeedPart !== null) {
+            this.startMatch();
+        }
+    }
+    
+    startMatch() {
+        if (this.started) return;
+        
+        const seed = (this.seedPart ^ this.remoteSeedPart) >>> 0;
+        this.simulation.start('online', { seed });
+        this.resetTimeline(0, this.simulation.serializeState());
+        
+        // Nothing is pressed during the first inputDelay ticks
+        this.fillNeutralInputs(this.localPlayer, 0);
+        this.fillNeutralInputs(this.opponent, 0);
+        
+        this.started = true;
+        this.setStatus('');
+        this.events.emit('started');
+    }
+    
+    /**
+     * Forget all history and start it again from a tick both players agree on
+     */
+    resetTimeline(tick, state) {
+        this.inputs.clear();
+        this.predictions.clear();
+        this.states.clear();
+        this.localChecksums.clear();
+        this.remoteChecksums.clear();
+        this.sentTimes.clear();
+        this.unsentChecksums = [];
+        
+        this.states.set(tick, state);
+        this.lastLocalTick = tick;
+        this.lastRemoteTick = tick;
+        this.peerAck = tick;
+        this.lastChecksumTick = tick;
+        this.desyncTick = null;
+        this.pauseTick = null;
+        this.waiting = false;
+    }
+    
+    /**
+     * No input for a player on the inputDelay ticks after `tick`, which nobody could press in time
+     */
+    fillNeutralInputs(player, tick) {
+        const last = tick + GAME_CONFIG.network.inputDelay;
+        for (let t = tick + 1; t <= last; t++) {
+            this.setInput(t, player, { move: 0, actions: [] });
+        }
         
-        // Remove old points
-        if (trail.points.length > trail.maxLength) {
-            trail.points.shift();
+        if (player === this.localPlayer) {
+            this.lastLocalTick = last;
+        } else {
+            this.lastRemoteTick = last;
         }
     }
     
-    render(ctx) {
-        Object.values(this.trails).forEach(trail => {
-            if (trail.points.length < 2) return;
-            
-            ctx.save();
-            
-            for (let i = 0; i < trail.points.length - 1; i++) {
-                const alpha = (i + 1) / trail.points.length;
-                const width = alpha * 3;
-                
-                ctx.strokeStyle = ColorUtil.lerp('#000000', trail.color, alpha);
-                ctx.globalAlpha = alpha * 0.5;
-                ctx.lineWidth = width;
-                
-                ctx.beginPath();
-                ctx.moveTo(trail.points[i].x, trail.points[i].y);
-                ctx.lineTo(trail.points[i + 1].x, trail.points[i + 1].y);
-                ctx.stroke();
-            }
-            
-            ctx.restore();
-        });
+    getInput(tick, player) {
+        const inputs = this.inputs.get(tick);
+        return inputs && inputs[player] ? inputs[player] : null;
     }
     
-    clear(entityId) {
-        delete this.trails[entityId];
+    setInput(tick, player, input) {
+        if (!this.inputs.has(tick)) {
+            this.inputs.set(tick, {});
+        }
+        this.inputs.get(tick)[player] = input;
     }
     
-    clearAll() {
-        this.trails = [];
+    /**
+     * On hold: paused, waiting for a missing player, or stopped at an agreed pause tick
+     */
+    isHeld() {
+        return this.pausedForPeer || (this.pauseTick !== null && this.simulation.tick >= this.pauseTick);
     }
-}
-
-/**
- * Glow effect renderer
- */
-class GlowRenderer {
-    static renderGlow(ctx, x, y, radius, color, intensity = 1.0) {
-        ctx.save();
+    
+    /**
+     * One game-loop tick: choose our input for inputDelay ticks from now, play the next tick
+     * unless we're too far ahead of the other player, and send them our inputs
+     */
+    step() {
+        if (!this.started) return;
+        
+        const sim = this.simulation;
+        if (!this.isHeld() && sim.gameState.state === 'playing') {
+            this.waiting = sim.tick + 1 - this.lastRemoteTick > GAME_CONFIG.network.maxRollback;
+            if (!this.waiting) {
+                this.recordLocalInput();
+                this.advance();
+                this.updateChecksums();
+            }
+        }
         
-        const gradient = ctx.createRadialGradient(x, y, 0, x, y, radius);
-        gradient.addColorStop(0, `${color}${Math.floor(intensity * 255).toString(16).padStart(2, '0')}`);
-        gradient.addColorStop(0.5, `${color}${Math.floor(intensity * 128).toString(16).padStart(2, '0')}`);
-        gradient.addColorStop(1, `${color}00`);
+        this.sendInputs();
+    }
+    
+    recordLocalInput() {
+        const tick = this.simulation.tick + 1 + GAME_CONFIG.network.inputDelay;
         
-        ctx.fillStyle = gradient;
-        ctx.beginPath();
-        ctx.arc(x, y, radius, 0, Math.PI * 2);
-        ctx.fill();
+        // Already chosen (and sent) before a rewind to a pause or sync point
+        if (tick <= this.lastLocalTick) return;
         
-        ctx.restore();
+        this.setInput(tick, this.localPlayer, { move: this.localMove, actions: this.localActions });
+        this.localActions = [];
+        this.lastLocalTick = tick;
+        this.sentTimes.set(tick, Date.now());
     }
     
-    static renderPulseGlow(ctx, x, y, radius, color, phase = 0) {
-        const intensity = Math.sin(phase) * 0.3 + 0.7;
-        const pulseRadius = radius * (1 + Math.sin(phase) * 0.2);
+    /**
+     * Play the next tick with the inputs known for it, predicting the other player's if needed
+     */
+    advance() {
+        const sim = this.simulation;
+        const tick = sim.tick + 1;
+        
+        const local = this.getInput(tick, this.localPlayer) || { move: 0, actions: [] };
+        let remote = this.getInput(tick, this.opponent);
+        if (remote) {
+            this.predictions.delete(tick);
+        } else {
+            const last = this.getInput(this.lastRemoteTick, this.opponent);
+            remote = { move: last ? last.move : 0, actions: [] };
+            this.predictions.set(tick, remote);
+        }
         
-        this.renderGlow(ctx, x, y, pulseRadius, color, intensity);
+        sim.applyInputs(RollbackMatch.tickInputs({ [this.localPlayer]: local, [this.opponent]: remote }));
+        sim.step();
+        
+        this.states.set(sim.tick, sim.serializeState());
     }
-}
-
-// ================================================================================================
-// SOUND SYNTHESIS AND MUSIC GENERATION
-// ================================================================================================
-
-/**
- * Advanced sound synthesizer
- */
-class SoundSynthesizer {
-    constructor(audioContext) {
-        this.audioContext = audioContext;
-        this.masterGain = audioContext.createGain();
-        this.masterGain.connect(audioContext.destination);
+    
+    /**
+     * Both players' inputs for a tick ({ 1: { move, actions }, 2: ... }) as the simulation
+     * takes them
+     */
+    static tickInputs(byPlayer) {
+        return {
+            moves: [byPlayer[1].move, byPlayer[2].move],
+            actions: [1, 2].reduce((all, player) => all.concat(
+                byPlayer[player].actions.map(({ type, params }) => ({ player, type, params }))
+            ), [])
+        };
     }
     
     /**
-     * Play synthesized tone with ADSR envelope
+     * Rewind to just before fromTick and replay to where we were, with the inputs known now
      */
-    playTone(frequency, duration, waveType = 'sine', adsrParams = null) {
-        if (!this.audioContext) return;
+    rollback(fromTick) {
+        const sim = this.simulation;
+        const state = this.states.get(fromTick - 1);
+        if (!state) return;
         
-        const now = this.audioContext.currentTime;
-        
-        // Default ADSR
-        const adsr = adsrParams || {
-            attack: 0.01,
-            decay: 0.1,
-            sustain: 0.7,
-            release: 0.2
-        };
+        const target = sim.tick;
+        this.rollbacks++;
+        this.maxRollbackDepth = Math.max(this.maxRollbackDepth, target - fromTick + 1);
         
-        // Create oscillator
-        const oscillator = this.audioContext.createOscillator();
-        const gainNode = this.audioContext.createGain();
+        sim.restoreState(state);
         
-        oscillator.type = waveType;
-        oscillator.frequency.value = frequency;
+        // These ticks were already shown (and heard) once
+        sim.events.muted = true;
+        while (sim.tick < target && sim.gameState.state === 'playing') {
+            this.advance();
+        }
+        sim.events.muted = false;
         
-        // ADSR envelope
-        gainNode.gain.setValueAtTime(0, now);
-        gainNode.gain.linearRampToValueAtTime(1, now + adsr.attack);
-        gainNode.gain.linearRampToValueAtTime(adsr.sustain, now + adsr.attack + adsr.decay);
-        gainNode.gain.setValueAtTime(adsr.sustain, now + duration - adsr.release);
-        gainNode.gain.linearRampToValueAtTime(0, now + duration);
+        // The replay may have ended the match sooner than the prediction did
+        this.discardAfter(sim.tick);
+    }
+    
+    /**
+     * Drop saved states and predictions past a tick
+     */
+    discardAfter(tick) {
+        [this.states, this.predictions].forEach(history => {
+            history.forEach((value, t) => {
+                if (t > tick) history.delete(t);
+            });
+        });
+    }
+    
+    /**
+     * Our inputs the other side hasn't confirmed, plus checksums it hasn't had
+     */
+    sendInputs() {
+        const inputs = [];
+        for (let tick = this.peerAck + 1; tick <= this.lastLocalTick; tick++) {
+            const input = this.getInput(tick, this.localPlayer);
+            if (input) {
+                inputs.push({ tick, move: input.move, actions: input.actions });
+            }
+        }
         
-        oscillator.connect(gainNode);
-        gainNode.connect(this.masterGain);
+        const sent = this.network.send({
+            type: 'inputs',
+            ack: this.lastRemoteTick,
+            inputs,
+            checksums: this.unsentChecksums
+        }, this.opponent);
         
-        oscillator.start(now);
-        oscillator.stop(now + duration);
+        if (sent) {
+            this.unsentChecksums = [];
+        }
     }
     
     /**
-     * Create laser sound
+     * Take in the other player's inputs, rewinding if any contradicts what we predicted
      */
-    playLaser() {
-        this.playTone(800, 0.1, 'sawtooth', {
-            attack: 0.01,
-            decay: 0.05,
-            sustain: 0,
-            release: 0.04
+    receiveInputs(data) {
+        if (!this.started) return;
+        
+        if (data.ack > this.peerAck) {
+            const sentAt = this.sentTimes.get(data.ack);
+            if (sentAt) {
+                this.rtt = Date.now() - sentAt;
+            }
+            this.peerAck = data.ack;
+        }
+        
+        let rewindTo = null;
+        (data.inputs || []).forEach(input => {
+            // In order and without gaps over one socket; anything else we already have
+            if (input.tick !== this.lastRemoteTick + 1) return;
+            
+            const actual = {
+                move: GameSimulation.normalizeMove(input.move),
+                actions: NetworkMatch.readActions(input.actions)
+            };
+            this.setInput(input.tick, this.opponent, actual);
+            this.lastRemoteTick = input.tick;
+            
+            const predicted = this.predictions.get(input.tick);
+            if (predicted) {
+                this.predictions.delete(input.tick);
+                if ((!GameSimulation.sameMove(predicted.move, actual.move) || actual.actions.length > 0) && rewindTo === null) {
+                    rewindTo = input.tick;
+                }
+            }
         });
         
-        setTimeout(() => {
-            this.playTone(200, 0.05, 'square');
-        }, 50);
+        if (rewindTo !== null) {
+            this.rollback(rewindTo);
+        }
+        
+        (data.checksums || []).forEach(({ tick, value }) => this.remoteChecksums.set(tick, value));
+        this.updateChecksums();
     }
     
     /**
-     * Create explosion sound
+     * Hash each newly confirmed tick (both inputs known and played), compare with the other
+     * side's hashes, and let go of history nothing can rewind to any more
      */
-    playExplosion() {
-        // Use noise for explosion
-        if (!this.audioContext) return;
+    updateChecksums() {
+        const confirmed = Math.min(this.lastRemoteTick, this.simulation.tick);
+        for (let tick = this.lastChecksumTick + 1; tick <= confirmed; tick++) {
+            const state = this.states.get(tick);
+            if (!state) continue;
+            
+            const value = StateCodec.checksum(state);
+            this.localChecksums.set(tick, value);
+            this.unsentChecksums.push({ tick, value });
+            this.feedSpectators(state);
+            
+            const inputs = this.inputs.get(tick);
+            if (inputs && inputs[1] && inputs[2]) {
+                this.events.emit('confirmed', { tick, ...RollbackMatch.tickInputs(inputs) }, () => state);
+            }
+        }
+        this.lastChecksumTick = Math.max(this.lastChecksumTick, confirmed);
         
-        const now = this.audioContext.currentTime;
-        const duration = 0.5;
+        this.remoteChecksums.forEach((value, tick) => {
+            if (!this.localChecksums.has(tick)) return;
+            
+            const local = this.localChecksums.get(tick);
+            if (local !== value && this.desyncTick === null) {
+                this.desyncTick = tick;
+                console.warn(`Rollback desync at tick ${tick}: ${local} vs ${value}`);
+                this.events.emit('desync', tick, local, value);
+            }
+            this.remoteChecksums.delete(tick);
+        });
         
-        // Create noise buffer
-        const bufferSize = this.audioContext.sampleRate * duration;
-        const buffer = this.audioContext.createBuffer(1, bufferSize, this.audioContext.sampleRate);
-        const data = buffer.getChannelData(0);
+        const keepFrom = Math.min(confirmed, this.peerAck) - GAME_CONFIG.network.maxRollback;
+        [this.states, this.inputs, this.sentTimes].forEach(history => {
+            history.forEach((value, tick) => {
+                if (tick < keepFrom) history.delete(tick);
+            });
+        });
+        this.localChecksums.forEach((value, tick) => {
+            if (tick < confirmed - GAME_CONFIG.network.checksumHistory) this.localChecksums.delete(tick);
+        });
+    }
+    
+    /**
+     * Pause both players at this tick, or resume. The pause names its tick so the other side
+     * stops at the same point, rewinding if it had already played past it.
+     */
+    togglePause() {
+        if (!this.started || this.pausedForPeer) return;
         
-        for (let i = 0; i < bufferSize; i++) {
-            data[i] = (Math.random() * 2 - 1) * Math.exp(-i / (bufferSize * 0.2));
+        if (this.pauseTick === null) {
+            this.applyPause(this.simulation.tick);
+            this.network.send({ type: 'pause', tick: this.pauseTick }, this.opponent);
+        } else {
+            this.pauseTick = null;
+            this.network.send({ type: 'resume' }, this.opponent);
         }
+    }
+    
+    applyPause(tick) {
+        if (this.pauseTick !== null && this.pauseTick <= tick) return;
+        this.pauseTick = tick;
         
-        const source = this.audioContext.createBufferSource();
-        const gainNode = this.audioContext.createGain();
+        const sim = this.simulation;
+        if (sim.tick > tick && this.states.has(tick)) {
+            sim.restoreState(this.states.get(tick));
+            this.discardAfter(tick);
+        }
+    }
+    
+    /**
+     * The other player lost the match (reloaded): go back to the last tick we both have
+     * every input for and send it to them. Their inputs past that point went with them.
+     */
+    sendSync() {
+        if (!this.started) {
+            this.sendStart();
+            return;
+        }
         
-        source.buffer = buffer;
-        gainNode.gain.value = 0.3;
+        const sim = this.simulation;
+        const tick = Math.min(this.lastRemoteTick, sim.tick);
+        const state = this.states.get(tick);
+        if (!state) return;
         
-        source.connect(gainNode);
-        gainNode.connect(this.masterGain);
+        sim.restoreState(state);
+        this.discardAfter(tick);
+        this.inputs.forEach((inputs, t) => {
+            if (t > tick) delete inputs[this.opponent];
+        });
+        this.lastRemoteTick = tick;
+        this.fillNeutralInputs(this.opponent, tick);
+        this.pauseTick = null;
         
-        source.start(now);
-    }
-}
-
-/**
- * Procedural music composer
- */
-class ProceduralMusicComposer {
-    constructor(audioSystem) {
-        this.audioSystem = audioSystem;
-        this.currentProgression = [];
-        this.progressionIndex = 0;
-        this.tempo = 120;
-        this.key = 'C';
-        this.mode = 'minor';
+        this.network.send({ type: 'sync', tick, state }, this.opponent);
+        this.peerAck = tick;
+        this.sendInputs();
     }
     
     /**
-     * Generate chord progression
+     * Pick the match up from the other player's sync
      */
-    generateProgression() {
-        // Common progressions
-        const progressions = [
-            ['i', 'VI', 'III', 'VII'],
-            ['i', 'iv', 'v', 'i'],
-            ['i', 'VII', 'VI', 'VII'],
-            ['i', 'VI', 'iv', 'v']
-        ];
+    applySync(data) {
+        this.simulation.restoreState(data.state);
+        this.resetTimeline(data.tick, data.state);
+        this.fillNeutralInputs(this.localPlayer, data.tick);
         
-        this.currentProgression = Random.choice(progressions);
+        if (!this.started) {
+            this.started = true;
+            this.setStatus('');
+            this.events.emit('started');
+        }
     }
     
     /**
-     * Play next chord
+     * Game message from the other player
      */
-    playNextChord() {
-        if (this.currentProgression.length === 0) {
-            this.generateProgression();
+    handleMessage(data, from) {
+        if (!data || from !== this.opponent) return;
+        
+        switch (data.type) {
+            case 'start':
+                this.remoteSeedPart = Number(data.seedPart) >>> 0;
+                if (this.seedPart === null) {
+                    this.sendStart();
+                } else {
+                    this.startMatch();
+                }
+                break;
+            case 'inputs':
+                this.receiveInputs(data);
+                break;
+            case 'pause':
+                if (this.started) this.applyPause(data.tick);
+                break;
+            case 'resume':
+                this.pauseTick = null;
+                break;
+            case 'syncRequest':
+                this.sendSync();
+                break;
+            case 'sync':
+                this.applySync(data);
+                break;
         }
+    }
+    
+    handlePeerJoined(player) {
+        if (player !== this.opponent) return;
         
-        const chord = this.currentProgression[this.progressionIndex];
-        this.progressionIndex = (this.progressionIndex + 1) % this.currentProgression.length;
+        if (!this.started) {
+            this.sendStart();
+        } else {
+            // If they lost the match they'll ask for a sync; otherwise unsent inputs catch them up
+            this.resumeForPeer();
+        }
+    }
+    
+    handleReconnected() {
+        if (this.network.isPeerConnected(this.opponent)) {
+            this.resumeForPeer();
+        } else {
+            this.setStatus(`Reconnected, waiting for player ${this.opponent}...`);
+        }
+    }
+    
+    /**
+     * One line for the HUD: desync warning, what we're waiting for, or round trip and rollbacks
+     */
+    getStatusText() {
+        if (this.desyncTick !== null) return `DESYNC at tick ${this.desyncTick}`;
+        if (this.status) return this.status;
+        if (this.waiting) return `Waiting for player ${this.opponent}'s inputs...`;
+        return `Rollback (P${this.localPlayer}) | room ${this.network.room} | ping ${Math.round(this.rtt)}ms` +
+            ` | rollbacks ${this.rollbacks} (max ${this.maxRollbackDepth} ticks)${this.getSpectatorText()}`;
+    }
+}
+
+/**
+ * Watches a room without a seat. Player 1 streams the match state every spectatorInterval
+ * ticks; this plays the stream back spectatorDelay behind the live match, simulating the ticks
+ * between frames itself so rifts, entanglement and particles show just as they do for the
+ * players. Sends nothing.
+ */
+class SpectatorMatch extends NetworkMatch {
+    constructor(simulation, network) {
+        super(simulation, network);
+        this.isSpectator = true;
         
-        // Play chord notes
-        this.playChord(chord);
+        this.frames = [];          // { tick, state, receivedAt }, oldest first
+        this.lastFrameTick = 0;
+        this.lastReceivedAt = 0;
+        this.startTimer = null;
+        this.forfeit = null;       // { winner, reason }, shown once the feed has played out
+    }
+    
+    begin() {
+        this.setStatus(`Waiting for the match in room ${this.network.room}...`);
+    }
+
+    // No paddle to control
+    queueAction() {}
+    
+    handleMessage(data, from) {
+        if (!data || data.type !== 'watch' || from !== 1) return;
+        
+        const now = Date.now();
+        this.frames.push({ tick: data.tick, state: data.state, receivedAt: now });
+        this.lastReceivedAt = now;
         
-        // Schedule next chord
-        const beatDuration = (60 / this.tempo) * 4 * 1000; // 4 beats
-        setTimeout(() => this.playNextChord(), beatDuration);
+        // The game loop isn't running for us yet: start once the first frame is due
+        if (!this.started && !this.startTimer) {
+            this.setStatus('Buffering...');
+            this.startTimer = setTimeout(() => {
+                this.startTimer = null;
+                this.started = true;
+                this.setStatus('');
+                this.step();
+                this.events.emit('started');
+            }, GAME_CONFIG.network.spectatorDelay);
+        }
     }
     
     /**
-     * Play chord
+     * One game-loop tick: show the latest frame that has waited out the delay, or else
+     * play the next tick locally, but never past where the next frame should take over
      */
-    playChord(chord) {
-        // Simplified chord playing
-        const baseFreq = 220; // A3
+    step() {
+        if (!this.started) return;
         
-        // Play three notes of the chord
-        for (let i = 0; i < 3; i++) {
-            setTimeout(() => {
-                this.audioSystem.playNote(baseFreq * Math.pow(2, i / 3), 1.0, 'sine', 0.1);
-            }, i * 50);
+        const sim = this.simulation;
+        const now = Date.now();
+        
+        let due = null;
+        while (this.frames.length > 0 && now - this.frames[0].receivedAt >= GAME_CONFIG.network.spectatorDelay) {
+            due = this.frames.shift();
+        }
+        
+        if (due) {
+            sim.restoreState(due.state);
+            this.lastFrameTick = due.tick;
+        } else if (sim.gameState.state === 'playing' &&
+                   sim.tick < this.lastFrameTick + GAME_CONFIG.network.spectatorInterval) {
+            sim.step();
+        }
+        
+        // A player left for good: once the last of the feed has been shown, they forfeit
+        if (this.forfeit && this.frames.length === 0 &&
+            now - this.lastReceivedAt >= GAME_CONFIG.network.spectatorDelay) {
+            if (sim.gameState.state !== 'gameover') {
+                sim.endGame(this.forfeit.winner, this.forfeit.reason);
+            }
+            this.forfeit = null;
         }
     }
-}
-
-
-// ================================================================================================
-// NETWORK AND MULTIPLAYER (Placeholder for future implementation)
-// ================================================================================================
-
-/**
- * Network manager for multiplayer
- */
-class NetworkManager {
-    constructor() {
-        this.connected = false;
-        this.peerId = null;
-        this.peer = null;
-        this.connection = null;
+    
+    handlePeerJoined() {
+        if (this.started) this.setStatus('');
     }
     
-    async connect() {
-        console.log('Network features not implemented in this version');
-        // Placeholder for WebRTC or WebSocket implementation
+    handlePeerLeft(player) {
+        this.setStatus(`Player ${player} disconnected`);
     }
     
-    send(data) {
-        if (this.connection) {
-            this.connection.send(data);
+    handlePeerGone(player) {
+        if (this.started) {
+            this.forfeit = { winner: player === 1 ? 2 : 1, reason: `Player ${player} left the match` };
         }
+        this.setStatus(`Player ${player} left`);
     }
     
-    disconnect() {
-        if (this.connection) {
-            this.connection.close();
-        }
-        this.connected = false;
+    handleDisconnected() {
+        this.setStatus('Connection lost, reconnecting...');
+    }
+    
+    handleReconnected() {
+        this.setStatus('');
+    }
+    
+    getStatusText() {
+        if (this.status) return this.status;
+        const delay = (GAME_CONFIG.network.spectatorDelay / 1000).toFixed(1);
+        return `Watching room ${this.network.room} | ${delay}s behind${this.getSpectatorText()}`;
+    }
+    
+    dispose() {
+        clearTimeout(this.startTimer);
+        super.dispose();
     }
 }
 
@@ -4565,54 +9166,52 @@ class NetworkManager {
  */
 let game = null;
 
-document.addEventListener('DOMContentLoaded', () => {
-    console.log('%c⚛️ QUANTUM CHAOS PONG ⚛️', 'font-size: 24px; color: #8a2be2; font-weight: bold;');
-    console.log('%cThe Most Overcomplicated Pong Game Ever Created', 'font-size: 14px; color: #00ffff;');
-    console.log('%cPress F12 to see debug info', 'font-size: 12px; color: #ffff00;');
-    
-    // Create game instance
-    game = new OvercomplicatedPong();
-    
-    // Expose to window for debugging
-    window.game = game;
-    
-    // Add keyboard shortcuts
-    document.addEventListener('keydown', (e) => {
-        if (e.key === 'F3') {
-            e.preventDefault();
-            // Toggle debug overlay (if implemented)
-            console.log('Debug overlay toggle');
-        }
+// Browser only - the simulation can also be loaded headless in Node
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        console.log('%c⚛️ QUANTUM CHAOS PONG ⚛️', 'font-size: 24px; color: #8a2be2; font-weight: bold;');
+        console.log('%cThe Most Overcomplicated Pong Game Ever Created', 'font-size: 14px; color: #00ffff;');
+        console.log('%cPress F12 to see debug info', 'font-size: 12px; color: #ffff00;');
         
-        if (e.key === 'F5') {
-            e.preventDefault();
-            location.reload();
-        }
+        // Create game instance
+        game = new OvercomplicatedPong();
         
-        // Cheat codes
-        if (e.key === 'g' && e.ctrlKey) {
-            e.preventDefault();
-            console.log('God mode activated!');
-            if (game.paddle1) {
-                game.paddle1.quantumEnergy = 1000;
-                game.paddle1.shield = true;
+        // Expose to window for debugging
+        window.game = game;
+        
+        // Add keyboard shortcuts
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'F3') {
+                e.preventDefault();
+                // Toggle debug overlay (if implemented)
+                console.log('Debug overlay toggle');
             }
-        }
-    });
-    
-    // Handle window resize
-    window.addEventListener('resize', () => {
-        // Game uses fixed size canvas, but we could make it responsive here
-    });
-    
-    // Prevent context menu on canvas
-    const canvas = document.getElementById('gameCanvas');
-    canvas.addEventListener('contextmenu', (e) => {
-        e.preventDefault();
+            
+            if (e.key === 'F5') {
+                e.preventDefault();
+                location.reload();
+            }
+            
+            // Cheat codes
+            if (e.key === 'g' && e.ctrlKey) {
+                e.preventDefault();
+                console.log('God mode activated!');
+                if (game.paddle1) {
+                    game.paddle1.quantumEnergy = 1000;
+                    game.paddle1.shield = true;
+                }
+            }
+        });
+        
+        // Prevent context menu on canvas
+        const canvas = document.getElementById('gameCanvas');
+        canvas.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+        });
+        
+        console.log('Game initialized and ready to play!');
     });
-    
-    console.log('Game initialized and ready to play!');
-});
+}
 
 // ================================================================================================
 // ADDITIONAL UTILITY CLASSES AND HELPERS
@@ -4624,6 +9223,7 @@ document.addEventListener('DOMContentLoaded', () => {
 class EventEmitter {
     constructor() {
         this.events = {};
+        this.muted = false; // drop emits while set, e.g. while re-simulating ticks already shown
     }
     
     on(event, callback) {
@@ -4639,7 +9239,7 @@ class EventEmitter {
     }
     
     emit(event, ...args) {
-        if (!this.events[event]) return;
+        if (this.muted || !this.events[event]) return;
         this.events[event].forEach(callback => callback(...args));
     }
 }
@@ -4751,6 +9351,51 @@ class ObjectPool {
     }
 }
 
+/**
+ * Fixed-size buffer of the most recent items; once full, each push drops the oldest
+ */
+class RingBuffer {
+    constructor(capacity) {
+        this.capacity = capacity;
+        this.items = new Array(capacity);
+        this.start = 0;
+        this.length = 0;
+    }
+    
+    push(item) {
+        this.items[(this.start + this.length) % this.capacity] = item;
+        if (this.length < this.capacity) {
+            this.length++;
+        } else {
+            this.start = (this.start + 1) % this.capacity;
+        }
+    }
+    
+    /**
+     * Item by age, 0 being the oldest
+     */
+    get(index) {
+        return this.items[(this.start + index) % this.capacity];
+    }
+    
+    /**
+     * Oldest first
+     */
+    toArray() {
+        const items = [];
+        for (let i = 0; i < this.length; i++) {
+            items.push(this.get(i));
+        }
+        return items;
+    }
+    
+    clear() {
+        this.items = new Array(this.capacity);
+        this.start = 0;
+        this.length = 0;
+    }
+}
+
 /**
  * Spatial hash grid for efficient collision detection
  */
@@ -4919,28 +9564,43 @@ class InputManager {
         this.keys = {};
         this.keysPressed = {};
         this.keysReleased = {};
-        this.mouse = { x: 0, y: 0, down: false };
+        this.mouse = { x: 0, y: 0, down: false, moved: false };
         this.touches = [];
         
         this.setupListeners();
     }
     
+    /**
+     * Letters in lower case, so Shift or Caps Lock don't make a different (or stuck) key
+     */
+    static normalizeKey(key) {
+        return key.length === 1 ? key.toLowerCase() : key;
+    }
+    
     setupListeners() {
         window.addEventListener('keydown', (e) => {
-            if (!this.keys[e.key]) {
-                this.keysPressed[e.key] = true;
+            const key = InputManager.normalizeKey(e.key);
+            if (!this.keys[key]) {
+                this.keysPressed[key] = true;
             }
-            this.keys[e.key] = true;
+            this.keys[key] = true;
         });
         
         window.addEventListener('keyup', (e) => {
-            this.keys[e.key] = false;
-            this.keysReleased[e.key] = true;
+            const key = InputManager.normalizeKey(e.key);
+            this.keys[key] = false;
+            this.keysReleased[key] = true;
+        });
+        
+        // Keys released while the window wasn't listening would stay down
+        window.addEventListener('blur', () => {
+            this.keys = {};
         });
         
         window.addEventListener('mousemove', (e) => {
             this.mouse.x = e.clientX;
             this.mouse.y = e.clientY;
+            this.mouse.moved = true;
         });
         
         window.addEventListener('mousedown', () => {
@@ -4953,15 +9613,15 @@ class InputManager {
     }
     
     isKeyDown(key) {
-        return this.keys[key] || false;
+        return this.keys[InputManager.normalizeKey(key)] || false;
     }
     
     isKeyPressed(key) {
-        return this.keysPressed[key] || false;
+        return this.keysPressed[InputManager.normalizeKey(key)] || false;
     }
     
     isKeyReleased(key) {
-        return this.keysReleased[key] || false;
+        return this.keysReleased[InputManager.normalizeKey(key)] || false;
     }
     
     update() {
@@ -4970,6 +9630,416 @@ class InputManager {
     }
 }
 
+/**
+ * Fits the world (GAME_CONFIG.world) to the window: the canvas keeps the world's shape at
+ * the largest size that fits, letterboxed, with a backing store at the screen's pixel
+ * density. Drawing after begin() is in world units.
+ */
+class Viewport {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.scale = 1; // backing store pixels per world unit
+        this.fit();
+    }
+    
+    /**
+     * Size the canvas for the window (on resize, and entering or leaving fullscreen)
+     */
+    fit() {
+        const { width, height } = GAME_CONFIG.world;
+        const margin = GAME_CONFIG.canvas.margin;
+        const fit = Math.min((window.innerWidth - margin) / width, (window.innerHeight - margin) / height);
+        const cssWidth = Math.max(1, Math.floor(width * fit));
+        const cssHeight = Math.max(1, Math.floor(height * fit));
+        const pixelRatio = Math.min(window.devicePixelRatio || 1, GAME_CONFIG.canvas.maxPixelRatio);
+        
+        this.canvas.style.width = `${cssWidth}px`;
+        this.canvas.style.height = `${cssHeight}px`;
+        this.canvas.width = Math.round(cssWidth * pixelRatio);
+        this.canvas.height = Math.round(cssHeight * pixelRatio);
+        this.scale = this.canvas.width / width;
+    }
+    
+    /**
+     * Start drawing a frame in world units
+     */
+    begin() {
+        this.ctx.setTransform(this.scale, 0, 0, this.scale, 0, 0);
+    }
+    
+    /**
+     * A point on the page (clientX/Y) in world units
+     */
+    toWorld(clientX, clientY) {
+        const rect = this.canvas.getBoundingClientRect();
+        const left = rect.left + (this.canvas.clientLeft || 0);
+        const top = rect.top + (this.canvas.clientTop || 0);
+        return {
+            x: (clientX - left) * GAME_CONFIG.world.width / (this.canvas.clientWidth || rect.width),
+            y: (clientY - top) * GAME_CONFIG.world.height / (this.canvas.clientHeight || rect.height)
+        };
+    }
+}
+
+/**
+ * Controllers through the Gamepad API, which has no button events: poll() reads every pad
+ * once a frame. A pad that connects gets the first player without one (its BACK button
+ * switches it to the other player), and buttons pressed or let go of come out as events.
+ * getGamepads can return VirtualGamepads instead, to drive it without a browser.
+ *
+ * Events: 'connected' (pad, player), 'disconnected' (pad, player), 'assigned' (pad, player),
+ * 'button' (player, button), 'buttonUp' (player, button)
+ */
+class GamepadManager {
+    // Standard mapping
+    static STICK_AXIS = 1;   // left stick, vertical
+    static STICK_X_AXIS = 0; // left stick, horizontal
+    static BACK = 8;
+    
+    static browserGamepads() {
+        if (typeof navigator === 'undefined' || !navigator.getGamepads) return [];
+        return Array.from(navigator.getGamepads());
+    }
+    
+    static isPressed(button) {
+        return Boolean(button && button.pressed);
+    }
+    
+    constructor(getGamepads = GamepadManager.browserGamepads) {
+        this.getGamepads = getGamepads;
+        this.events = new EventEmitter();
+        
+        // Connected pads by index: { index, id, player (null: spare), gamepad, pressed }
+        this.pads = new Map();
+    }
+    
+    /**
+     * Read every pad: hot-plugging, then button presses and releases since the last poll
+     */
+    poll() {
+        const current = new Map();
+        this.getGamepads().forEach(gamepad => {
+            if (gamepad && gamepad.connected) {
+                current.set(gamepad.index, gamepad);
+            }
+        });
+        
+        // Unplugged, or another controller now in its slot
+        this.pads.forEach((pad, index) => {
+            const gamepad = current.get(index);
+            if (!gamepad || gamepad.id !== pad.id) {
+                this.pads.delete(index);
+                this.events.emit('disconnected', pad, pad.player);
+            }
+        });
+        
+        current.forEach((gamepad, index) => {
+            const pad = this.pads.get(index);
+            if (!pad) {
+                // Buttons already held as it connects aren't presses
+                const added = {
+                    index,
+                    id: gamepad.id,
+                    player: this.freePlayer(),
+                    gamepad,
+                    pressed: gamepad.buttons.map(GamepadManager.isPressed)
+                };
+                this.pads.set(index, added);
+                this.events.emit('connected', added, added.player);
+                return;
+            }
+            
+            pad.gamepad = gamepad;
+            gamepad.buttons.forEach((button, i) => {
+                const down = GamepadManager.isPressed(button);
+                if (down && !pad.pressed[i]) {
+                    if (i === GamepadManager.BACK) {
+                        this.assign(index, pad.player === 1 ? 2 : 1);
+                    } else if (pad.player !== null) {
+                        this.events.emit('button', pad.player, i);
+                    }
+                } else if (!down && pad.pressed[i] && pad.player !== null) {
+                    this.events.emit('buttonUp', pad.player, i);
+                }
+                pad.pressed[i] = down;
+            });
+        });
+    }
+    
+    /**
+     * The first player without a pad, or null
+     */
+    freePlayer() {
+        return [1, 2].find(player => !this.getPad(player)) || null;
+    }
+    
+    /**
+     * Give a pad to a player (null: none). The player's previous pad takes this one's
+     * old player.
+     */
+    assign(index, player) {
+        const pad = this.pads.get(index);
+        if (!pad || pad.player === player) return;
+        
+        const previous = player !== null ? this.getPad(player) : null;
+        if (previous) {
+            previous.player = pad.player;
+            this.events.emit('assigned', previous, previous.player);
+        }
+        pad.player = player;
+        this.events.emit('assigned', pad, player);
+    }
+    
+    getPad(player) {
+        for (const pad of this.pads.values()) {
+            if (pad.player === player) return pad;
+        }
+        return null;
+    }
+    
+    getPads() {
+        return Array.from(this.pads.values());
+    }
+    
+    isButtonDown(player, button) {
+        const pad = this.getPad(player);
+        return pad !== null && GamepadManager.isPressed(pad.gamepad.buttons[button]);
+    }
+    
+    /**
+     * A player's stick as a movement input: 0 inside the deadzone, then rising to full
+     * speed at full tilt
+     */
+    getAxis(player, axis = GamepadManager.STICK_AXIS) {
+        const pad = this.getPad(player);
+        const value = pad ? Number(pad.gamepad.axes[axis]) || 0 : 0;
+        const deadzone = GAME_CONFIG.input.stickDeadzone;
+        if (Math.abs(value) <= deadzone) return 0;
+        
+        return GameSimulation.normalizeMove(Math.sign(value) * (Math.abs(value) - deadzone) / (1 - deadzone));
+    }
+}
+
+/**
+ * Stands in for the browser's Gamepad object (standard mapping), for GamepadManager
+ * without a controller
+ */
+class VirtualGamepad {
+    constructor(index = 0, id = 'Virtual gamepad') {
+        this.index = index;
+        this.id = id;
+        this.connected = true;
+        this.mapping = 'standard';
+        this.axes = [0, 0, 0, 0];
+        this.buttons = Array.from({ length: 17 }, () => ({ pressed: false, touched: false, value: 0 }));
+        this.timestamp = 0;
+    }
+    
+    setAxis(axis, value) {
+        this.axes[axis] = value;
+        this.timestamp++;
+    }
+    
+    press(button, value = 1) {
+        this.buttons[button] = { pressed: true, touched: true, value };
+        this.timestamp++;
+    }
+    
+    release(button) {
+        this.buttons[button] = { pressed: false, touched: false, value: 0 };
+        this.timestamp++;
+    }
+    
+    disconnect() {
+        this.connected = false;
+        this.timestamp++;
+    }
+}
+
+/**
+ * Which key does what for each player, on top of InputManager's key state. Bindings are
+ * plain data ({ 1: { up: 'w', ... }, 2: { ... } }) so the settings can keep them, and
+ * every key does at most one thing: binding a key that's taken swaps the two over.
+ */
+class ActionMap {
+    static ACTIONS = ['up', 'down', 'left', 'right', 'boost', 'superposition', 'rift', 'timeSlow', 'pause'];
+    
+    static LABELS = {
+        up: 'Move up',
+        down: 'Move down',
+        left: 'Aim left',
+        right: 'Aim right',
+        boost: 'Boost',
+        superposition: 'Quantum powers',
+        rift: 'Spawn portal',
+        timeSlow: 'Time slow',
+        pause: 'Pause'
+    };
+    
+    // Keys the game itself uses (settings, fullscreen, browser shortcuts)
+    static RESERVED = ['Tab', 'f', 'F3', 'F5'];
+    
+    // Gamepad buttons (standard mapping), the same for both players: A, B/RB, X, Y,
+    // START and the D-pad. The left stick moves too (GamepadManager.getAxis).
+    static GAMEPAD_BUTTONS = {
+        up: [12],
+        down: [13],
+        left: [14],
+        right: [15],
+        boost: [1, 5],
+        superposition: [0],
+        rift: [2],
+        timeSlow: [3],
+        pause: [9]
+    };
+    
+    static defaults() {
+        return {
+            1: { up: 'w', down: 's', left: 'a', right: 'd', boost: 'Shift', superposition: ' ', rift: 'q', timeSlow: 'e', pause: 'Escape' },
+            2: { up: 'ArrowUp', down: 'ArrowDown', left: 'ArrowLeft', right: 'ArrowRight', boost: ',', superposition: 'Enter', rift: '.', timeSlow: '/', pause: 'p' }
+        };
+    }
+    
+    /**
+     * A key as shown to players
+     */
+    static describeKey(key) {
+        const names = {
+            ' ': 'SPACE', ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→', Escape: 'ESC'
+        };
+        return names[key] || key.toUpperCase();
+    }
+    
+    constructor(bindings = null) {
+        this.bindings = ActionMap.defaults();
+        if (bindings) {
+            this.load(bindings);
+        }
+    }
+    
+    /**
+     * Take saved bindings, defaults for anything missing. Also reads the older
+     * { player1Up, player1Down, player2Up, player2Down } settings.
+     */
+    load(bindings) {
+        const defaults = ActionMap.defaults();
+        const legacy = {
+            1: { up: bindings.player1Up, down: bindings.player1Down },
+            2: { up: bindings.player2Up, down: bindings.player2Down }
+        };
+        [1, 2].forEach(player => {
+            const saved = bindings[player] || legacy[player];
+            ActionMap.ACTIONS.forEach(action => {
+                const key = saved[action];
+                this.bindings[player][action] = typeof key === 'string' && key
+                    ? InputManager.normalizeKey(key)
+                    : defaults[player][action];
+            });
+        });
+    }
+    
+    getKey(player, action) {
+        return this.bindings[player][action];
+    }
+    
+    /**
+     * Every { player, action } a key is bound to
+     */
+    actionsFor(key) {
+        const normalized = InputManager.normalizeKey(key);
+        const actions = [];
+        [1, 2].forEach(player => {
+            ActionMap.ACTIONS.forEach(action => {
+                if (this.bindings[player][action] === normalized) {
+                    actions.push({ player, action });
+                }
+            });
+        });
+        return actions;
+    }
+    
+    /**
+     * Whether a player's key for an action is held (or its gamepad button, given gamepads)
+     */
+    isActive(input, player, action, gamepads = null) {
+        return input.isKeyDown(this.bindings[player][action]) ||
+            (gamepads !== null && ActionMap.GAMEPAD_BUTTONS[action].some(button => gamepads.isButtonDown(player, button)));
+    }
+    
+    /**
+     * A player's movement input: the keys or D-pad at full speed, otherwise the stick's
+     */
+    getMove(input, player, gamepads = null) {
+        if (this.isActive(input, player, 'up', gamepads)) return -1;
+        if (this.isActive(input, player, 'down', gamepads)) return 1;
+        return gamepads !== null ? gamepads.getAxis(player) : 0;
+    }
+    
+    /**
+     * A player's sideways input (only used to aim rifts), like getMove
+     */
+    getHorizontal(input, player, gamepads = null) {
+        if (this.isActive(input, player, 'left', gamepads)) return -1;
+        if (this.isActive(input, player, 'right', gamepads)) return 1;
+        return gamepads !== null ? gamepads.getAxis(player, GamepadManager.STICK_X_AXIS) : 0;
+    }
+    
+    /**
+     * Every { player, action } a player's gamepad button does
+     */
+    actionsForButton(player, button) {
+        return ActionMap.ACTIONS
+            .filter(action => ActionMap.GAMEPAD_BUTTONS[action].includes(button))
+            .map(action => ({ player, action }));
+    }
+    
+    /**
+     * Bind a key to a player's action. Returns { error } for a reserved key, otherwise
+     * { swapped }: the { player, action } that had the key and now has this action's old
+     * one, or null.
+     */
+    bind(player, action, key) {
+        const normalized = InputManager.normalizeKey(key);
+        if (ActionMap.RESERVED.includes(normalized)) {
+            return { error: `${ActionMap.describeKey(normalized)} is used by the game` };
+        }
+        
+        const swapped = this.actionsFor(normalized)
+            .find(bound => bound.player !== player || bound.action !== action) || null;
+        if (swapped) {
+            this.bindings[swapped.player][swapped.action] = this.bindings[player][action];
+        }
+        this.bindings[player][action] = normalized;
+        return { swapped };
+    }
+    
+    /**
+     * Bindings sharing a key with another or on a key the game uses (from hand-edited or
+     * old settings), as 'player.action' ids
+     */
+    getConflicts() {
+        const conflicts = new Set();
+        [1, 2].forEach(player => {
+            ActionMap.ACTIONS.forEach(action => {
+                const key = this.bindings[player][action];
+                if (this.actionsFor(key).length > 1 || ActionMap.RESERVED.includes(key)) {
+                    conflicts.add(`${player}.${action}`);
+                }
+            });
+        });
+        return conflicts;
+    }
+    
+    reset() {
+        this.bindings = ActionMap.defaults();
+    }
+    
+    toJSON() {
+        return { 1: { ...this.bindings[1] }, 2: { ...this.bindings[2] } };
+    }
+}
+
 // ================================================================================================
 // EASTER EGGS AND SECRETS
 // ================================================================================================
@@ -5041,6 +10111,8 @@ class EasterEggManager {
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         OvercomplicatedPong,
+        GameSimulation,
+        SeededRandom,
         Vector2D,
         PhysicsBody,
         Paddle,
@@ -5048,10 +10120,31 @@ if (typeof module !== 'undefined' && module.exports) {
         PowerUp,
         Obstacle,
         NeuralNetworkAI,
+        QuantumAbilityAI,
         ParticleSystem,
         CollisionSystem,
         ForceField,
-        GameStateManager
+        GameStateManager,
+        EventEmitter,
+        InputManager,
+        GamepadManager,
+        VirtualGamepad,
+        ActionMap,
+        NetworkManager,
+        NetworkMatch,
+        OnlineMatch,
+        RollbackMatch,
+        SpectatorMatch,
+        ReplaySystem,
+        ReplayPlayer,
+        InstantReplay,
+        RallyGhost,
+        RingBuffer,
+        ReplayFile,
+        ReplayFormatError,
+        StateCodec,
+        GAME_VERSION,
+        GAME_CONFIG
     };
 }
 
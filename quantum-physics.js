@@ -6,7 +6,10 @@
  */
 
 class QuantumPhysicsEngine {
-    constructor() {
+    constructor(rng = null) {
+        // Seeded generator shared with the match ({ next() }); falls back to Math.random
+        this.rng = rng;
+        
         this.PLANCK_CONSTANT = 6.62607015e-34;
         this.REDUCED_PLANCK = this.PLANCK_CONSTANT / (2 * Math.PI);
         this.SPEED_OF_LIGHT = 299792458;
@@ -21,6 +24,23 @@ class QuantumPhysicsEngine {
         this.observerEffect = 1.0;
         this.decoherenceRate = 0.01;
         this.tunnelProbability = 0.05;
+        this.riftCounter = 0;
+        
+        // When each entity that went through a rift may use one again (game time in ms), so a
+        // two-way rift or a loop of them can't bounce it back and forth every frame
+        this.teleportCooldown = 500;
+        this.teleportCooldowns = new Map();
+        
+        // Game time in ms, advanced by update() so timers pause and scale with the match
+        this.time = 0;
+        this.frameDuration = 1000 / 60; // ms per deltaTime unit
+    }
+    
+    /**
+     * Uniform random number in [0, 1) from the match generator when one is attached
+     */
+    random() {
+        return this.rng ? this.rng.next() : Math.random();
     }
     
     /**
@@ -32,10 +52,11 @@ class QuantumPhysicsEngine {
             position: { ...position },
             momentum: { ...momentum },
             waveFunction: this.createWaveFunction(position),
-            phase: Math.random() * 2 * Math.PI,
-            spinState: Math.random() > 0.5 ? 'up' : 'down',
+            phase: this.random() * 2 * Math.PI,
+            spinState: this.random() > 0.5 ? 'up' : 'down',
             coherence: 1.0,
             superpositionStates: [],
+            decoherenceTimer: 0,
             entangledWith: null,
             observationHistory: [],
             uncertaintyPosition: 0,
@@ -54,8 +75,8 @@ class QuantumPhysicsEngine {
     createWaveFunction(position) {
         return {
             amplitude: 1.0,
-            frequency: Math.random() * 0.1 + 0.05,
-            wavelength: 50 + Math.random() * 50,
+            frequency: this.random() * 0.1 + 0.05,
+            wavelength: 50 + this.random() * 50,
             phase: 0,
             collapsed: false,
             distributionWidth: 10
@@ -71,15 +92,15 @@ class QuantumPhysicsEngine {
         
         const states = [];
         for (let i = 0; i < numStates; i++) {
-            const deviation = 50 * (Math.random() - 0.5);
+            const deviation = 50 * (this.random() - 0.5);
             states.push({
                 position: {
                     x: state.position.x + deviation,
                     y: state.position.y + deviation
                 },
                 probability: 1 / numStates,
-                phase: Math.random() * 2 * Math.PI,
-                energy: Math.random() * 100
+                phase: this.random() * 2 * Math.PI,
+                energy: this.random() * 100
             });
         }
         
@@ -96,7 +117,7 @@ class QuantumPhysicsEngine {
         if (!state || !state.superpositionStates.length) return state.position;
         
         // Probabilistic collapse based on quantum mechanics
-        let random = Math.random();
+        let random = this.random();
         let cumulativeProbability = 0;
         let selectedState = state.superpositionStates[0];
         
@@ -113,16 +134,15 @@ class QuantumPhysicsEngine {
         state.waveFunction.collapsed = true;
         state.coherence *= this.observerEffect;
         state.observationHistory.push({
-            time: Date.now(),
+            time: this.time,
             position: { ...state.position },
             state: 'collapsed'
         });
         
-        // Decohere superposition
-        setTimeout(() => {
-            state.superpositionStates = [];
-            state.waveFunction.collapsed = false;
-        }, 100);
+        // Decohere superposition shortly after (counted down in update)
+        if (!(state.decoherenceTimer > 0)) {
+            state.decoherenceTimer = 100;
+        }
         
         return state.position;
     }
@@ -210,7 +230,7 @@ class QuantumPhysicsEngine {
             state.momentum
         );
         
-        if (Math.random() < probability) {
+        if (this.random() < probability) {
             // Entity tunnels through!
             state.position.x += barrier.width || 0;
             state.position.y += barrier.height || 0;
@@ -246,7 +266,7 @@ class QuantumPhysicsEngine {
         state.uncertaintyMomentum = minUncertainty / positionPrecision;
         
         // Add random fluctuation to momentum based on uncertainty
-        const fluctuation = state.uncertaintyMomentum * (Math.random() - 0.5) * 1000;
+        const fluctuation = state.uncertaintyMomentum * (this.random() - 0.5) * 1000;
         state.momentum.x += fluctuation;
         state.momentum.y += fluctuation;
         
@@ -278,48 +298,106 @@ class QuantumPhysicsEngine {
     }
     
     /**
-     * Create dimensional rift (wormhole)
+     * Create dimensional rift (wormhole). Each end faces a direction (angle, radians): by
+     * default the entrance faces its exit and the exit faces back, which keeps the velocity
+     * of whatever goes through. A two-way rift can also be entered at its exit, and one
+     * linkedTo another rift's id sends whatever leaves its exit on into that one.
      */
-    createDimensionalRift(position1, position2) {
+    createDimensionalRift(position1, position2, options = {}) {
+        const facing = Math.atan2(position2.y - position1.y, position2.x - position1.x);
+        const {
+            twoWay = false,
+            entranceAngle = facing,
+            exitAngle = facing + Math.PI,
+            linkedTo = null
+        } = options;
+        
         const rift = {
-            id: 'rift-' + Date.now(),
-            entrance: { ...position1 },
-            exit: { ...position2 },
+            id: 'rift-' + this.riftCounter++,
+            entrance: { x: position1.x, y: position1.y, angle: entranceAngle },
+            exit: { x: position2.x, y: position2.y, angle: exitAngle },
+            twoWay,
+            linkedTo,
             stability: 1.0,
             lifetime: 5000, // milliseconds
             radius: 30,
-            created: Date.now(),
-            quantumFlux: Math.random() * 100
+            created: this.time,
+            age: 0,
+            quantumFlux: this.random() * 100
         };
         
+        // Removed by update() once its age exceeds lifetime
         this.dimensionalRifts.push(rift);
         
-        // Auto-remove after lifetime
-        setTimeout(() => {
-            const index = this.dimensionalRifts.indexOf(rift);
-            if (index > -1) {
-                this.dimensionalRifts.splice(index, 1);
-            }
-        }, rift.lifetime);
-        
         return rift;
     }
     
     /**
-     * Check if entity is in dimensional rift
+     * The rift end (and its other end) whose mouth a position is in, skipping rifts already used
      */
-    checkDimensionalRift(position) {
+    findRiftMouth(position, skip = []) {
         for (const rift of this.dimensionalRifts) {
-            const distToEntrance = Math.sqrt(
-                Math.pow(position.x - rift.entrance.x, 2) +
-                Math.pow(position.y - rift.entrance.y, 2)
-            );
+            if (skip.includes(rift)) continue;
+            
+            const ends = rift.twoWay ? [[rift.entrance, rift.exit], [rift.exit, rift.entrance]] : [[rift.entrance, rift.exit]];
+            for (const [from, to] of ends) {
+                if (Math.hypot(position.x - from.x, position.y - from.y) < rift.radius) {
+                    return { rift, from, to };
+                }
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * The way on from a rift's exit when it's linked to another open rift: in at that one's entrance
+     */
+    findLinkedMouth(rift, skip = []) {
+        const linked = this.dimensionalRifts.find(other => other.id === rift.linkedTo);
+        if (!linked || skip.includes(linked)) return null;
+        return { rift: linked, from: linked.entrance, to: linked.exit };
+    }
+    
+    /**
+     * Check if entity is in dimensional rift. Coming out of a linked rift, or in another
+     * rift's mouth, carries on through that one too (each rift once), and the velocity turns
+     * by the angle between the ends it went in and out of. With an entityId, it then can't
+     * teleport again until teleportCooldown has passed.
+     */
+    checkDimensionalRift(position, velocity = { x: 0, y: 0 }, entityId = null) {
+        if (entityId !== null && this.teleportCooldowns.get(entityId) > this.time) {
+            return { teleport: false };
+        }
+        
+        const rifts = [];
+        let destination = position;
+        let newVelocity = { x: velocity.x, y: velocity.y };
+        let mouth = this.findRiftMouth(destination);
+        while (mouth) {
+            rifts.push(mouth.rift);
+            destination = { x: mouth.to.x, y: mouth.to.y };
             
-            if (distToEntrance < rift.radius) {
-                return { teleport: true, destination: rift.exit, rift };
+            // Going in against one end and out of the other, facing its own way
+            const turn = mouth.to.angle - mouth.from.angle + Math.PI;
+            if (Math.abs(Math.sin(turn)) > 1e-9 || Math.cos(turn) < 0) {
+                const cos = Math.cos(turn);
+                const sin = Math.sin(turn);
+                newVelocity = {
+                    x: newVelocity.x * cos - newVelocity.y * sin,
+                    y: newVelocity.x * sin + newVelocity.y * cos
+                };
             }
+            mouth = (mouth.to === mouth.rift.exit && this.findLinkedMouth(mouth.rift, rifts)) ||
+                this.findRiftMouth(destination, rifts);
+        }
+        
+        if (rifts.length === 0) {
+            return { teleport: false };
+        }
+        if (entityId !== null) {
+            this.teleportCooldowns.set(entityId, this.time + this.teleportCooldown);
         }
-        return { teleport: false };
+        return { teleport: true, destination, velocity: newVelocity, rift: rifts[0], rifts };
     }
     
     /**
@@ -342,7 +420,7 @@ class QuantumPhysicsEngine {
      */
     calculateQuantumFluctuations() {
         // Zero-point energy fluctuations
-        this.quantumFluctuations = (Math.random() - 0.5) * 10;
+        this.quantumFluctuations = (this.random() - 0.5) * 10;
         return this.quantumFluctuations;
     }
     
@@ -413,8 +491,8 @@ class QuantumPhysicsEngine {
             case 'momentum':
                 result = { ...state.momentum };
                 // Measurement disturbs position (uncertainty principle)
-                state.position.x += (Math.random() - 0.5) * 20;
-                state.position.y += (Math.random() - 0.5) * 20;
+                state.position.x += (this.random() - 0.5) * 20;
+                state.position.y += (this.random() - 0.5) * 20;
                 break;
             case 'spin':
                 result = state.spinState;
@@ -480,6 +558,20 @@ class QuantumPhysicsEngine {
      * Update quantum physics each frame
      */
     update(deltaTime) {
+        const elapsed = deltaTime * this.frameDuration;
+        this.time += elapsed;
+        
+        // Finish pending post-collapse decoherence
+        for (const state of this.waveFunction.values()) {
+            if (state.decoherenceTimer > 0) {
+                state.decoherenceTimer -= elapsed;
+                if (state.decoherenceTimer <= 0) {
+                    state.superpositionStates = [];
+                    state.waveFunction.collapsed = false;
+                }
+            }
+        }
+        
         // Apply decoherence
         this.applyDecoherence(deltaTime);
         
@@ -491,16 +583,19 @@ class QuantumPhysicsEngine {
             this.evolveWaveFunction(entityId, deltaTime);
             
             // Apply uncertainty principle periodically
-            if (Math.random() < 0.01) {
+            if (this.random() < 0.01) {
                 this.applyUncertaintyPrinciple(entityId);
             }
         }
         
-        // Update dimensional rifts
-        const now = Date.now();
+        // Update dimensional rifts: they fade as they age and close when their lifetime is up
         this.dimensionalRifts = this.dimensionalRifts.filter(rift => {
-            rift.stability -= 0.01 * deltaTime;
-            return (now - rift.created) < rift.lifetime && rift.stability > 0;
+            rift.age += elapsed;
+            rift.stability = Math.max(0, 1 - rift.age / rift.lifetime);
+            return rift.age < rift.lifetime;
+        });
+        this.teleportCooldowns.forEach((until, entityId) => {
+            if (until <= this.time) this.teleportCooldowns.delete(entityId);
         });
     }
     
@@ -514,6 +609,45 @@ class QuantumPhysicsEngine {
         this.superpositions.clear();
         this.dimensionalRifts = [];
         this.quantumFluctuations = 0;
+        this.riftCounter = 0;
+        this.teleportCooldowns.clear();
+        this.time = 0;
+    }
+    
+    /**
+     * Plain-data copy of the engine (states, entanglements, rifts, teleport cooldowns), for snapshots
+     */
+    getState() {
+        const copy = value => JSON.parse(JSON.stringify(value));
+        
+        return {
+            waveFunction: copy(Array.from(this.waveFunction.values())),
+            entangledPairs: Array.from(this.entangledPairs),
+            quantumStates: copy(this.quantumStates),
+            superpositions: copy(Array.from(this.superpositions.entries())),
+            dimensionalRifts: copy(this.dimensionalRifts),
+            quantumFluctuations: this.quantumFluctuations,
+            riftCounter: this.riftCounter,
+            teleportCooldowns: Array.from(this.teleportCooldowns.entries()),
+            time: this.time
+        };
+    }
+    
+    /**
+     * Restore a copy made by getState(); entities must re-fetch their states from waveFunction
+     */
+    setState(state) {
+        const copy = value => JSON.parse(JSON.stringify(value));
+        
+        this.waveFunction = new Map(copy(state.waveFunction).map(entry => [entry.id, entry]));
+        this.entangledPairs = new Set(state.entangledPairs);
+        this.quantumStates = copy(state.quantumStates);
+        this.superpositions = new Map(copy(state.superpositions));
+        this.dimensionalRifts = copy(state.dimensionalRifts);
+        this.quantumFluctuations = state.quantumFluctuations;
+        this.riftCounter = state.riftCounter;
+        this.teleportCooldowns = new Map(state.teleportCooldowns || []);
+        this.time = state.time;
     }
 }
 
@@ -521,3 +655,7 @@ class QuantumPhysicsEngine {
 if (typeof window !== 'undefined') {
     window.QuantumPhysicsEngine = QuantumPhysicsEngine;
 }
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { QuantumPhysicsEngine };
+}
@@ -0,0 +1,653 @@
+/**
+ * RELAY SERVER
+ * ============
+ * Small WebSocket relay for online matches, using nothing but Node's standard library.
+ * Run `node relay-server.js [port]` and open http://localhost:8080 - it serves the game too.
+ *
+ * Players join a room by code: the first to arrive is the host (player 1), the second the
+ * guest (player 2). The relay never runs the game, it only passes messages between the two
+ * and keeps a dropped player's seat for a while so they can rejoin with their token.
+ * Anyone else can join an existing room as a spectator: they get what the players send to
+ * 'spectators' and the room's comings and goings, but can't send anything themselves.
+ *
+ * Protocol (JSON text frames):
+ *   client -> relay  { type: 'join', room, token?, options?, spectate? }
+ *                                                     take a seat (token reclaims an old one,
+ *                                                     refused once the seat has gone);
+ *                                                     options are kept by a room its first
+ *                                                     player creates, e.g. { netcode };
+ *                                                     spectate watches a room instead
+ *                    { type: 'relay', data, to? }     forward data to the other player (or one
+ *                                                     player, or to: 'spectators')
+ *                    { type: 'leave' }                give the seat up for good
+ *   relay -> client  { type: 'welcome', room, player, token, rejoined, peers, options, spectators }
+ *                                                     (player null for a spectator)
+ *                    { type: 'relay', from, data }
+ *                    { type: 'peerJoined', player, rejoined }
+ *                    { type: 'peerLeft', player }     dropped, seat held for rejoining
+ *                    { type: 'peerGone', player }     left, or never came back
+ *                    { type: 'spectators', count }    someone started or stopped watching
+ *                    { type: 'error', reason, code? }  code 'seatExpired': the token's seat is gone
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+const RELAY_CONFIG = {
+    port: 8080,
+    seatHoldTime: 30000,        // ms a dropped player's seat waits for them
+    heartbeatInterval: 10000,   // ms between pings; a socket that misses one is dropped
+    maxMessageSize: 1024 * 1024,
+    maxRoomCodeLength: 32,
+    maxRoomOptionsSize: 1024,   // bytes of JSON
+    staticRoot: __dirname
+};
+
+// Fixed by RFC 6455 for the handshake
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODES = {
+    continuation: 0x0,
+    text: 0x1,
+    binary: 0x2,
+    close: 0x8,
+    ping: 0x9,
+    pong: 0xA
+};
+
+// Only the game's own files are served, never the repo's other contents (this file included)
+const GAME_FILES = ['index.html', 'overcomplicated-pong.js', 'quantum-physics.js', 'audio-system.js'];
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.png': 'image/png',
+    '.ico': 'image/x-icon'
+};
+
+// ================================================================================================
+// WEBSOCKET CONNECTION
+// ================================================================================================
+
+/**
+ * One upgraded socket speaking RFC 6455 frames.
+ * Emits 'message' (text) for each complete message and 'close' once when it goes away.
+ */
+class WebSocketConnection extends EventEmitter {
+    constructor(socket, maxMessageSize = RELAY_CONFIG.maxMessageSize) {
+        super();
+        this.socket = socket;
+        this.maxMessageSize = maxMessageSize;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = [];
+        this.open = true;
+        this.alive = true;
+        
+        // Set by the relay once the client has joined a room
+        this.room = null;
+        this.seat = null;
+        this.spectator = false;
+        
+        socket.setNoDelay(true);
+        socket.on('data', chunk => this.handleData(chunk));
+        socket.on('close', () => this.handleClose());
+        socket.on('error', () => this.handleClose());
+    }
+    
+    /**
+     * Parse every complete frame in the buffer
+     */
+    handleData(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+        
+        while (this.open) {
+            const frame = this.readFrame();
+            if (!frame) break;
+            this.handleFrame(frame);
+        }
+    }
+    
+    /**
+     * Take one frame off the front of the buffer, or null if it hasn't all arrived
+     */
+    readFrame() {
+        const buffer = this.buffer;
+        if (buffer.length < 2) return null;
+        
+        const fin = (buffer[0] & 0x80) !== 0;
+        const opcode = buffer[0] & 0x0F;
+        const masked = (buffer[1] & 0x80) !== 0;
+        let length = buffer[1] & 0x7F;
+        let offset = 2;
+        
+        if (length === 126) {
+            if (buffer.length < 4) return null;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) return null;
+            length = Number(buffer.readBigUInt64BE(2));
+            offset = 10;
+        }
+        
+        // Clients must mask and must stay under the size limit
+        if (!masked) {
+            this.close(1002, 'Frames from clients must be masked');
+            return null;
+        }
+        if (length > this.maxMessageSize) {
+            this.close(1009, 'Message too big');
+            return null;
+        }
+        
+        if (buffer.length < offset + 4 + length) return null;
+        
+        const mask = buffer.subarray(offset, offset + 4);
+        const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= mask[i % 4];
+        }
+        
+        this.buffer = buffer.subarray(offset + 4 + length);
+        return { fin, opcode, payload };
+    }
+    
+    /**
+     * React to one frame: assemble messages, answer pings, honour close
+     */
+    handleFrame(frame) {
+        switch (frame.opcode) {
+            case OPCODES.text:
+            case OPCODES.binary:
+            case OPCODES.continuation:
+                this.fragments.push(frame.payload);
+                if (this.fragments.reduce((size, part) => size + part.length, 0) > this.maxMessageSize) {
+                    this.close(1009, 'Message too big');
+                    return;
+                }
+                if (frame.fin) {
+                    const message = Buffer.concat(this.fragments).toString('utf8');
+                    this.fragments = [];
+                    this.emit('message', message);
+                }
+                break;
+            case OPCODES.ping:
+                this.sendFrame(OPCODES.pong, frame.payload);
+                break;
+            case OPCODES.pong:
+                this.alive = true;
+                break;
+            case OPCODES.close:
+                this.close(1000);
+                break;
+            default:
+                this.close(1002, 'Unknown opcode');
+        }
+    }
+    
+    /**
+     * Send a text message
+     */
+    send(text) {
+        this.sendFrame(OPCODES.text, Buffer.from(text, 'utf8'));
+    }
+    
+    /**
+     * Write one unmasked, unfragmented frame (server frames are never masked)
+     */
+    sendFrame(opcode, payload = Buffer.alloc(0)) {
+        if (!this.open) return;
+        
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[0] = 0x80 | opcode;
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+        
+        this.socket.write(Buffer.concat([header, payload]));
+    }
+    
+    /**
+     * Check the other end is still there; a missed pong means it isn't
+     */
+    ping() {
+        if (!this.alive) {
+            this.socket.destroy();
+            return;
+        }
+        this.alive = false;
+        this.sendFrame(OPCODES.ping);
+    }
+    
+    /**
+     * Say goodbye with a close frame and end the socket
+     */
+    close(code = 1000, reason = '') {
+        if (!this.open) return;
+        
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code, 0);
+        payload.write(reason, 2);
+        this.sendFrame(OPCODES.close, payload);
+        this.socket.end();
+        this.handleClose();
+    }
+    
+    handleClose() {
+        if (!this.open) return;
+        this.open = false;
+        this.emit('close');
+    }
+}
+
+// ================================================================================================
+// ROOMS
+// ================================================================================================
+
+/**
+ * Two seats (player 1 hosts, player 2 is the guest), whoever sits in them, and spectators.
+ * A seat outlives its connection by seatHoldTime so a dropped player can come back.
+ */
+class RelayRoom {
+    constructor(code, options = {}) {
+        this.code = code;
+        this.options = options; // chosen by whoever created the room, shared with everyone joining
+        this.seats = new Map(); // player -> { player, token, connection, holdTimer }
+        this.spectators = new Set(); // connections watching
+    }
+    
+    /**
+     * Lowest free player number, or null when the room is full
+     */
+    freePlayer() {
+        return [1, 2].find(player => !this.seats.has(player)) || null;
+    }
+    
+    findSeat(token) {
+        return Array.from(this.seats.values()).find(seat => seat.token === token) || null;
+    }
+    
+    /**
+     * Send a message to every connected seat except one, and to the spectators
+     */
+    broadcast(message, except = null) {
+        const text = JSON.stringify(message);
+        this.seats.forEach(seat => {
+            if (seat !== except && seat.connection) {
+                seat.connection.send(text);
+            }
+        });
+        this.spectators.forEach(connection => connection.send(text));
+    }
+    
+    /**
+     * Who else is seated, and whether they are connected right now
+     */
+    getPeers(except) {
+        return Array.from(this.seats.values())
+            .filter(seat => seat !== except)
+            .map(seat => ({ player: seat.player, connected: seat.connection !== null }));
+    }
+    
+    isEmpty() {
+        return this.seats.size === 0 && this.spectators.size === 0;
+    }
+}
+
+// ================================================================================================
+// RELAY SERVER
+// ================================================================================================
+
+/**
+ * HTTP server for the game files plus the WebSocket relay on the same port
+ */
+class RelayServer {
+    constructor(options = {}) {
+        this.config = { ...RELAY_CONFIG, ...options };
+        this.rooms = new Map();
+        this.connections = new Set();
+        this.heartbeat = null;
+        
+        this.server = http.createServer((req, res) => this.serveFile(req, res));
+        this.server.on('upgrade', (req, socket, head) => this.handleUpgrade(req, socket, head));
+    }
+    
+    /**
+     * Start listening; resolves with the bound address
+     */
+    listen(port = this.config.port) {
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, () => {
+                this.heartbeat = setInterval(() => {
+                    this.connections.forEach(connection => connection.ping());
+                }, this.config.heartbeatInterval);
+                resolve(this.server.address());
+            });
+        });
+    }
+    
+    /**
+     * Drop every connection and stop listening
+     */
+    close() {
+        clearInterval(this.heartbeat);
+        this.rooms.forEach(room => room.seats.forEach(seat => clearTimeout(seat.holdTimer)));
+        this.rooms.clear();
+        this.connections.forEach(connection => connection.close(1001, 'Server shutting down'));
+        return new Promise(resolve => this.server.close(() => resolve()));
+    }
+    
+    /**
+     * Complete the WebSocket handshake and start relaying for this socket
+     */
+    handleUpgrade(req, socket, head) {
+        const key = req.headers['sec-websocket-key'];
+        if ((req.headers.upgrade || '').toLowerCase() !== 'websocket' || !key) {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+        
+        const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '',
+            ''
+        ].join('\r\n'));
+        
+        const connection = new WebSocketConnection(socket, this.config.maxMessageSize);
+        this.connections.add(connection);
+        connection.on('message', text => this.handleMessage(connection, text));
+        connection.on('close', () => this.handleClose(connection));
+        
+        if (head && head.length > 0) {
+            connection.handleData(head);
+        }
+    }
+    
+    /**
+     * Dispatch one client message
+     */
+    handleMessage(connection, text) {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (e) {
+            this.sendError(connection, 'Messages must be JSON');
+            return;
+        }
+        
+        switch (message && message.type) {
+            case 'join':
+                this.joinRoom(connection, message);
+                break;
+            case 'relay':
+                this.relay(connection, message);
+                break;
+            case 'leave':
+                this.leaveRoom(connection);
+                break;
+            default:
+                this.sendError(connection, 'Unknown message type');
+        }
+    }
+    
+    /**
+     * Seat a client in a room: back in their old seat if the token matches, else the free one
+     */
+    joinRoom(connection, { room: code, token, options, spectate }) {
+        if (connection.room) {
+            this.sendError(connection, 'Already in a room');
+            return;
+        }
+        
+        code = String(code || '').trim().slice(0, this.config.maxRoomCodeLength);
+        if (!code) {
+            this.sendError(connection, 'Room code required');
+            return;
+        }
+        
+        if (spectate) {
+            this.watchRoom(connection, code);
+            return;
+        }
+        
+        let room = this.rooms.get(code);
+        if (!room) {
+            const validOptions = options && typeof options === 'object' && !Array.isArray(options) &&
+                JSON.stringify(options).length <= this.config.maxRoomOptionsSize;
+            room = new RelayRoom(code, validOptions ? options : {});
+            this.rooms.set(code, room);
+        }
+        
+        let seat = token ? room.findSeat(token) : null;
+        const rejoined = seat !== null;
+        
+        // Its seat was given up: coming back as a newcomer, maybe as the other player, would
+        // leave the client playing a match that's over as the wrong side
+        if (token && !seat) {
+            this.sendError(connection, 'Seat expired', 'seatExpired');
+            if (room.isEmpty()) this.rooms.delete(code);
+            return;
+        }
+        
+        if (seat) {
+            clearTimeout(seat.holdTimer);
+            seat.holdTimer = null;
+            
+            // The same player on a fresh connection (e.g. the old one hasn't timed out yet)
+            if (seat.connection) {
+                const previous = seat.connection;
+                seat.connection = null;
+                previous.seat = null;
+                previous.close(4000, 'Replaced by a newer connection');
+            }
+        } else {
+            const player = room.freePlayer();
+            if (!player) {
+                this.sendError(connection, 'Room is full');
+                return;
+            }
+            seat = {
+                player,
+                token: crypto.randomBytes(16).toString('hex'),
+                connection: null,
+                holdTimer: null
+            };
+            room.seats.set(player, seat);
+        }
+        
+        seat.connection = connection;
+        connection.room = room;
+        connection.seat = seat;
+        
+        connection.send(JSON.stringify({
+            type: 'welcome',
+            room: code,
+            player: seat.player,
+            token: seat.token,
+            rejoined,
+            peers: room.getPeers(seat),
+            options: room.options,
+            spectators: room.spectators.size
+        }));
+        room.broadcast({ type: 'peerJoined', player: seat.player, rejoined }, seat);
+    }
+    
+    /**
+     * Watch a room that already has players in it
+     */
+    watchRoom(connection, code) {
+        const room = this.rooms.get(code);
+        if (!room || room.seats.size === 0) {
+            this.sendError(connection, 'No match in that room');
+            return;
+        }
+        
+        room.spectators.add(connection);
+        connection.room = room;
+        connection.spectator = true;
+        
+        connection.send(JSON.stringify({
+            type: 'welcome',
+            room: code,
+            player: null,
+            token: null,
+            rejoined: false,
+            peers: room.getPeers(null),
+            options: room.options,
+            spectators: room.spectators.size
+        }));
+        room.broadcast({ type: 'spectators', count: room.spectators.size });
+    }
+    
+    removeSpectator(connection) {
+        const room = connection.room;
+        room.spectators.delete(connection);
+        connection.room = null;
+        connection.spectator = false;
+        
+        if (room.isEmpty()) {
+            this.rooms.delete(room.code);
+        } else {
+            room.broadcast({ type: 'spectators', count: room.spectators.size });
+        }
+    }
+    
+    /**
+     * Forward data to the other player, to one player with `to`, or to the spectators
+     */
+    relay(connection, { data, to }) {
+        const seat = connection.seat;
+        if (!seat) {
+            this.sendError(connection, connection.spectator ? 'Spectators can only watch' : 'Join a room first');
+            return;
+        }
+        
+        const text = JSON.stringify({ type: 'relay', from: seat.player, data });
+        if (to === 'spectators') {
+            connection.room.spectators.forEach(spectator => spectator.send(text));
+            return;
+        }
+        connection.room.seats.forEach(other => {
+            if (other !== seat && other.connection && (to === undefined || other.player === to)) {
+                other.connection.send(text);
+            }
+        });
+    }
+    
+    /**
+     * Give up the seat for good
+     */
+    leaveRoom(connection) {
+        if (connection.spectator) {
+            this.removeSpectator(connection);
+            return;
+        }
+        
+        const { room, seat } = connection;
+        if (!seat) return;
+        
+        connection.room = null;
+        connection.seat = null;
+        seat.connection = null;
+        this.removeSeat(room, seat);
+    }
+    
+    /**
+     * A dropped connection keeps its seat for a while in case the player comes back
+     */
+    handleClose(connection) {
+        this.connections.delete(connection);
+        if (connection.spectator) {
+            this.removeSpectator(connection);
+            return;
+        }
+        
+        const { room, seat } = connection;
+        if (!seat || seat.connection !== connection) return;
+        
+        seat.connection = null;
+        room.broadcast({ type: 'peerLeft', player: seat.player }, seat);
+        seat.holdTimer = setTimeout(() => this.removeSeat(room, seat), this.config.seatHoldTime);
+    }
+    
+    removeSeat(room, seat) {
+        clearTimeout(seat.holdTimer);
+        room.seats.delete(seat.player);
+        room.broadcast({ type: 'peerGone', player: seat.player });
+        
+        if (room.isEmpty()) {
+            this.rooms.delete(room.code);
+        }
+    }
+    
+    sendError(connection, reason, code) {
+        connection.send(JSON.stringify({ type: 'error', reason, code }));
+    }
+    
+    /**
+     * Serve the game's own files from staticRoot
+     */
+    serveFile(req, res) {
+        let urlPath;
+        try {
+            urlPath = decodeURIComponent((req.url || '/').split('?')[0]);
+        } catch (e) {
+            res.writeHead(400);
+            res.end('Bad request');
+            return;
+        }
+        
+        const relative = urlPath === '/' ? 'index.html' : urlPath.replace(/^\/+/, '');
+        const filePath = path.join(path.resolve(this.config.staticRoot), relative);
+        const contentType = CONTENT_TYPES[path.extname(relative).toLowerCase()];
+        
+        if (req.method !== 'GET' || !GAME_FILES.includes(relative) || !contentType) {
+            res.writeHead(404);
+            res.end('Not found');
+            return;
+        }
+        
+        fs.readFile(filePath, (err, contents) => {
+            if (err) {
+                res.writeHead(404);
+                res.end('Not found');
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': contentType });
+            res.end(contents);
+        });
+    }
+}
+
+// Run directly: node relay-server.js [port]
+if (require.main === module) {
+    const port = Number(process.argv[2]) || Number(process.env.PORT) || RELAY_CONFIG.port;
+    const relay = new RelayServer();
+    
+    relay.listen(port).then(address => {
+        console.log(`Quantum Chaos Pong relay on http://localhost:${address.port} (ws://localhost:${address.port})`);
+    }).catch(err => {
+        console.error(`Could not start the relay: ${err.message}`);
+        process.exit(1);
+    });
+}
+
+module.exports = { RelayServer, RelayRoom, WebSocketConnection, RELAY_CONFIG };
@@ -0,0 +1,113 @@
+/**
+ * Key bindings and gamepads: what each key or button does for each player
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ActionMap, GamepadManager, VirtualGamepad } = require('../overcomplicated-pong.js');
+
+/**
+ * Stands in for InputManager, with the keys given held down
+ */
+const holding = (...keys) => ({ isKeyDown: key => keys.includes(key) });
+
+test('every action has a default key, and no key does two things', () => {
+    const map = new ActionMap();
+    
+    [1, 2].forEach(player => ActionMap.ACTIONS.forEach(action => {
+        assert.equal(typeof map.getKey(player, action), 'string', `${player}.${action}`);
+    }));
+    assert.equal(map.getConflicts().size, 0);
+});
+
+test('binding a free key only changes that action', () => {
+    const map = new ActionMap();
+    
+    assert.deepEqual(map.bind(1, 'up', 'i'), { swapped: null });
+    assert.equal(map.getKey(1, 'up'), 'i');
+    assert.equal(map.getKey(1, 'down'), 's');
+});
+
+test('binding a key that is already taken swaps the two actions', () => {
+    const map = new ActionMap();
+    
+    assert.deepEqual(map.bind(1, 'up', 's'), { swapped: { player: 1, action: 'down' } });
+    assert.equal(map.getKey(1, 'up'), 's');
+    assert.equal(map.getKey(1, 'down'), 'w');
+    
+    // Across players too
+    assert.deepEqual(map.bind(1, 'boost', 'ArrowUp'), { swapped: { player: 2, action: 'up' } });
+    assert.equal(map.getKey(1, 'boost'), 'ArrowUp');
+    assert.equal(map.getKey(2, 'up'), 'Shift');
+    assert.equal(map.getConflicts().size, 0);
+});
+
+test('letters are bound whatever their case, and reserved keys are refused', () => {
+    const map = new ActionMap();
+    
+    map.bind(2, 'rift', 'K');
+    assert.deepEqual(map.actionsFor('k'), [{ player: 2, action: 'rift' }]);
+    assert.ok(map.bind(1, 'pause', 'F').error);
+    assert.equal(map.getKey(1, 'pause'), 'Escape');
+});
+
+test('saved bindings load over the defaults, older settings included', () => {
+    const map = new ActionMap({ 1: { up: 'I', rift: '' }, 2: { down: 'j' } });
+    
+    assert.equal(map.getKey(1, 'up'), 'i');
+    assert.equal(map.getKey(1, 'rift'), 'q');
+    assert.equal(map.getKey(2, 'down'), 'j');
+    assert.equal(map.getKey(2, 'up'), 'ArrowUp');
+    assert.equal(new ActionMap({ player2Up: 'o' }).getKey(2, 'up'), 'o');
+});
+
+test('movement comes from the keys, the D-pad or the stick', () => {
+    const pad = new VirtualGamepad(0);
+    const gamepads = new GamepadManager(() => [pad]);
+    const map = new ActionMap();
+    gamepads.poll();
+    
+    assert.equal(map.getMove(holding('w'), 1, gamepads), -1);
+    assert.equal(map.getMove(holding(), 1, gamepads), 0);
+    pad.setAxis(GamepadManager.STICK_AXIS, 0.6);
+    assert.equal(map.getMove(holding(), 1, gamepads), 0.5);
+    assert.equal(map.getMove(holding('w'), 1, gamepads), -1);
+    pad.setAxis(GamepadManager.STICK_AXIS, 0.1);
+    assert.equal(map.getMove(holding(), 1, gamepads), 0, 'inside the deadzone');
+    pad.press(13);
+    assert.equal(map.getMove(holding(), 1, gamepads), 1);
+    pad.setAxis(GamepadManager.STICK_X_AXIS, -1);
+    assert.equal(map.getHorizontal(holding(), 1, gamepads), -1);
+    assert.equal(map.getMove(holding('ArrowDown'), 2, gamepads), 1, 'player 2 has no pad');
+});
+
+test('pads go to players as they connect, and report presses once', () => {
+    const first = new VirtualGamepad(0, 'First');
+    const second = new VirtualGamepad(1, 'Second');
+    let connected = [first];
+    const gamepads = new GamepadManager(() => connected);
+    const presses = [];
+    gamepads.events.on('button', (player, button) => presses.push([player, button]));
+    
+    gamepads.poll();
+    connected = [first, second];
+    gamepads.poll();
+    assert.equal(gamepads.getPad(1).id, 'First');
+    assert.equal(gamepads.getPad(2).id, 'Second');
+    
+    second.press(0);
+    gamepads.poll();
+    gamepads.poll();
+    assert.deepEqual(presses, [[2, 0]]);
+    assert.deepEqual(new ActionMap().actionsForButton(2, 0), [{ player: 2, action: 'superposition' }]);
+    
+    // BACK swaps a pad over to the other player
+    second.release(0);
+    second.press(GamepadManager.BACK);
+    gamepads.poll();
+    assert.equal(gamepads.getPad(1).id, 'Second');
+    assert.equal(gamepads.getPad(2).id, 'First');
+    
+    connected = [first];
+    gamepads.poll();
+    assert.equal(gamepads.getPad(1), null);
+});
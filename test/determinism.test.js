@@ -0,0 +1,90 @@
+/**
+ * The simulation is deterministic: a seed and the inputs played are all it takes to get
+ * the same match again
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GameSimulation, SeededRandom } = require('../overcomplicated-pong.js');
+
+/**
+ * Play a match for up to `ticks` ticks, both players pressing whatever a generator seeded
+ * with `inputSeed` picks. Returns the simulation and the inputs each tick was played with.
+ */
+function play(mode, seed, ticks, inputSeed = 'inputs') {
+    const sim = new GameSimulation();
+    sim.start(mode, { seed });
+    const inputs = new SeededRandom(inputSeed);
+    const played = [];
+    
+    while (sim.tick < ticks && sim.gameState.state === 'playing') {
+        if (sim.tick % 20 === 0) {
+            sim.setPaddleInput(1, inputs.int(-1, 1));
+            sim.setPaddleInput(2, inputs.int(-1, 1));
+        }
+        if (inputs.next() < 0.01) {
+            sim.queueAction(inputs.int(1, 2), inputs.choice(['superposition', 'rift', 'timeSlow']));
+        }
+        sim.step();
+        played.push(JSON.parse(JSON.stringify(sim.lastInputs)));
+    }
+    return { sim, played };
+}
+
+/**
+ * Play recorded inputs back from the start of a match
+ */
+function replay(mode, seed, played) {
+    const sim = new GameSimulation();
+    sim.start(mode, { seed });
+    played.forEach(inputs => {
+        sim.applyInputs(inputs);
+        sim.step();
+    });
+    return sim;
+}
+
+/**
+ * Where everything on the field is, and the score
+ */
+function snapshot(sim) {
+    const body = entity => [entity.position.x, entity.position.y, entity.velocity.x, entity.velocity.y];
+    return JSON.stringify({
+        tick: sim.tick,
+        score: [sim.gameState.score1, sim.gameState.score2],
+        paddles: [body(sim.paddle1), body(sim.paddle2)],
+        balls: sim.balls.map(body),
+        powerups: sim.powerups.map(powerup => [powerup.type, powerup.position.x, powerup.position.y]),
+        obstacles: sim.obstacles.map(body),
+        rifts: sim.quantumEngine.dimensionalRifts.map(rift => [rift.entrance, rift.exit])
+    });
+}
+
+['chaos', 'vs-quantum'].forEach(mode => {
+    test(`${mode}: the same seed and inputs give the same final state`, () => {
+        const first = play(mode, 'same seed', 1500);
+        const second = play(mode, 'same seed', 1500);
+        
+        assert.ok(first.sim.tick > 100);
+        assert.equal(snapshot(second.sim), snapshot(first.sim));
+    });
+    
+    test(`${mode}: playing the recorded inputs back reaches the same state`, () => {
+        const { sim, played } = play(mode, 42, 1500);
+        
+        assert.equal(snapshot(replay(mode, 42, played)), snapshot(sim));
+    });
+});
+
+test('another seed plays out differently', () => {
+    const first = play('chaos', 'one seed', 600);
+    const second = play('chaos', 'another seed', 600);
+    
+    assert.notEqual(snapshot(second.sim), snapshot(first.sim));
+});
+
+test('string seeds are the same as their hashed number', () => {
+    const sim = new GameSimulation();
+    sim.start('chaos', { seed: 'abc' });
+    
+    assert.equal(sim.seed, SeededRandom.normalizeSeed('abc'));
+});
@@ -0,0 +1,76 @@
+/**
+ * Replay files: a recorded match survives encode and decode, and plays back tick for tick
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    GameSimulation, SeededRandom, StateCodec, ReplaySystem, ReplayPlayer, ReplayFile, ReplayFormatError
+} = require('../overcomplicated-pong.js');
+
+/**
+ * Record a match to its end (or maxTicks), with the checksum of every tick it played
+ */
+function record(mode, seed, maxTicks = 3000) {
+    const sim = new GameSimulation();
+    const recorder = new ReplaySystem();
+    const inputs = new SeededRandom(`${seed}:inputs`);
+    const checksums = new Map();
+    sim.start(mode, { seed });
+    recorder.startRecording(sim, mode);
+    
+    while (recorder.recording && sim.tick < maxTicks) {
+        const ball = sim.balls[0];
+        sim.setPaddleInput(1, ball ? Math.sign(ball.position.y - sim.paddle1.position.y) : 0);
+        if (sim.tick % 6 === 0) {
+            sim.setPaddleInput(2, { target: inputs.int(100, 700) });
+        }
+        if (inputs.next() < 0.01) {
+            sim.queueAction(1, 'rift', { aim: { x: 300, y: inputs.int(100, 700), angle: 45 }, exit: { x: 900, y: 400 } });
+        }
+        if (inputs.next() < 0.01) {
+            sim.queueAction(2, 'superposition');
+        }
+        sim.update(sim.fixedDelta);
+        recorder.recordTick(sim);
+        checksums.set(sim.tick, StateCodec.checksum(sim.serializeState()));
+    }
+    return { replay: recorder.stopRecording(), checksums };
+}
+
+['chaos', 'vs-human', 'boss'].forEach(mode => {
+    test(`${mode}: encode, decode and play reproduces the match`, () => {
+        const { replay, checksums } = record(mode, `replay ${mode}`);
+        const decoded = ReplayFile.decode(ReplayFile.encode(replay));
+        
+        assert.equal(decoded.endTick, replay.endTick);
+        const sim = new GameSimulation();
+        const player = new ReplayPlayer(sim, decoded);
+        while (player.playing) {
+            player.advance();
+            assert.equal(StateCodec.checksum(sim.serializeState()), checksums.get(sim.tick), `tick ${sim.tick}`);
+        }
+        assert.equal(sim.tick, replay.endTick);
+    });
+});
+
+test('seeking lands on the same state as playing up to it', () => {
+    const { replay, checksums } = record('chaos', 'seek', 1000);
+    const player = new ReplayPlayer(new GameSimulation(), ReplayFile.decode(ReplayFile.encode(replay)));
+    
+    player.seek(700);
+    assert.equal(StateCodec.checksum(player.simulation.serializeState()), checksums.get(700));
+    player.seek(150);
+    assert.equal(StateCodec.checksum(player.simulation.serializeState()), checksums.get(150));
+});
+
+test('damaged or foreign files are refused', () => {
+    const { replay } = record('chaos', 'damaged', 200);
+    const file = JSON.parse(ReplayFile.encode(replay));
+    const decode = changes => () => ReplayFile.decode(JSON.stringify({ ...file, ...changes }));
+    
+    assert.throws(() => ReplayFile.decode('{not json'), ReplayFormatError);
+    assert.throws(decode({ gameVersion: '0.0.1' }), ReplayFormatError);
+    assert.throws(decode({ configHash: 'other' }), ReplayFormatError);
+    assert.throws(decode({ moves: [[5, 0, 0]] }), ReplayFormatError);
+    assert.throws(decode({ actions: [[100000, 1, 'rift']] }), ReplayFormatError);
+});
@@ -0,0 +1,156 @@
+/**
+ * Rollback netcode: two peers playing over a laggy connection end up with the same match
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    GameSimulation, RollbackMatch, EventEmitter, StateCodec, ReplaySystem, ReplayPlayer, GAME_CONFIG
+} = require('../overcomplicated-pong.js');
+
+/**
+ * Stands in for NetworkManager between two players in one room: messages arrive `latency`
+ * ticks after they're sent, as JSON like over the relay
+ */
+class LaggyNetwork {
+    constructor(player, latency) {
+        this.player = player;
+        this.latency = latency;
+        this.room = 'test';
+        this.spectators = 0;
+        this.events = new EventEmitter();
+        this.peer = null;
+        this.queue = [];
+        this.now = 0;
+    }
+    
+    static pair(latency) {
+        const first = new LaggyNetwork(1, latency);
+        const second = new LaggyNetwork(2, latency);
+        first.peer = second;
+        second.peer = first;
+        return [first, second];
+    }
+    
+    send(data, to) {
+        if (to === 'spectators') return true;
+        this.peer.queue.push({ at: this.now + this.latency, text: JSON.stringify(data), from: this.player });
+        return true;
+    }
+    
+    isPeerConnected(player) {
+        return this.peer !== null && this.peer.player === player;
+    }
+    
+    disconnect() {}
+    
+    /**
+     * Move on a tick and hand over the messages due by then
+     */
+    tick() {
+        this.now++;
+        const due = this.queue.filter(message => message.at <= this.now);
+        this.queue = this.queue.filter(message => message.at > this.now);
+        due.forEach(message => this.events.emit('message', JSON.parse(message.text), message.from));
+    }
+}
+
+/**
+ * Two RollbackMatches on a LaggyNetwork, playing `ticks` game-loop ticks. Each player
+ * changes direction every few ticks (the other side mispredicts it) and now and then uses
+ * an ability. Each records the match as the game does.
+ */
+function playOnline(latency, ticks) {
+    const networks = LaggyNetwork.pair(latency);
+    const peers = networks.map(network => {
+        const simulation = new GameSimulation();
+        const match = new RollbackMatch(simulation, network);
+        const recorder = new ReplaySystem();
+        match.events.on('started', () => {
+            simulation.gameState.winScore = Infinity;
+            recorder.startRecording(simulation, 'online');
+        });
+        match.events.on('confirmed', (inputs, getState) => recorder.recordInputs(inputs, getState));
+        match.begin({});
+        return { network, simulation, match, recorder, desyncs: [] };
+    });
+    peers.forEach(peer => peer.match.events.on('desync', tick => peer.desyncs.push(tick)));
+    
+    for (let i = 0; i < ticks; i++) {
+        peers.forEach(({ network, simulation, match }) => {
+            network.tick();
+            if (simulation.gameState) {
+                simulation.gameState.winScore = Infinity;
+            }
+            const player = network.player;
+            match.setLocalMove(((i >> (player === 1 ? 3 : 4)) % 3) - 1);
+            if (i % 97 === 30 + player) {
+                const type = ['superposition', 'rift', 'timeSlow'][i % 3];
+                match.queueAction(type, type === 'rift' ? { aim: { x: 300, y: 300 + player } } : {});
+            }
+            match.step();
+        });
+    }
+    return peers;
+}
+
+[2, 8].forEach(latency => {
+    test(`peers with ${latency} ticks of lag stay in sync`, () => {
+        const peers = playOnline(latency, 900);
+        const [first, second] = peers;
+        
+        peers.forEach(peer => {
+            assert.equal(peer.match.started, true);
+            assert.deepEqual(peer.desyncs, []);
+            assert.equal(peer.match.desyncTick, null);
+        });
+        assert.equal(first.simulation.seed, second.simulation.seed);
+        if (latency > GAME_CONFIG.network.inputDelay) {
+            assert.ok(first.match.rollbacks > 0 && second.match.rollbacks > 0, 'the lag made them roll back');
+        }
+        
+        // Every tick both have confirmed hashes the same
+        let compared = 0;
+        first.match.localChecksums.forEach((value, tick) => {
+            if (!second.match.localChecksums.has(tick)) return;
+            assert.equal(second.match.localChecksums.get(tick), value, `tick ${tick}`);
+            compared++;
+        });
+        assert.ok(compared > 500, `compared ${compared} ticks`);
+    });
+});
+
+test('a peer too far ahead waits for the other', () => {
+    const peers = playOnline(GAME_CONFIG.network.maxRollback * 2, 200);
+    const [first, second] = peers;
+    
+    assert.ok(Math.abs(first.simulation.tick - second.simulation.tick) <= GAME_CONFIG.network.maxRollback + 1);
+    assert.ok(first.simulation.tick < 200);
+    peers.forEach(peer => assert.equal(peer.match.desyncTick, null));
+});
+
+test('the confirmed states are the same', () => {
+    const [first, second] = playOnline(4, 600);
+    const tick = Math.min(first.match.lastChecksumTick, second.match.lastChecksumTick);
+    
+    assert.equal(
+        StateCodec.checksum(first.match.states.get(tick)),
+        StateCodec.checksum(second.match.states.get(tick))
+    );
+});
+
+test('both record the same match, without their mispredictions', () => {
+    const peers = playOnline(8, 900);
+    const replays = peers.map(peer => peer.recorder.stopRecording());
+    const [first, second] = peers;
+    
+    assert.ok(first.match.rollbacks > 0);
+    assert.equal(replays[0].endTick, first.match.lastChecksumTick);
+    assert.deepEqual(replays[1].inputs.slice(0, 600), replays[0].inputs.slice(0, 600));
+    
+    const player = new ReplayPlayer(new GameSimulation(), replays[0]);
+    player.seek(replays[0].endTick);
+    assert.equal(
+        StateCodec.checksum(player.simulation.serializeState()),
+        StateCodec.checksum(second.match.states.get(replays[0].endTick))
+    );
+});